@@ -0,0 +1,156 @@
+// Migrações versionadas do schema.
+// Cada arquivo em database/migrations se chama "NNN_descricao.js" e exporta
+// up(ctx) e down(ctx). As versões aplicadas ficam na tabela schema_migrations.
+const fs = require('fs');
+const path = require('path');
+const { getTypes } = require('./schema');
+
+class Migrator {
+   constructor(sql, { directory = path.join(__dirname, 'migrations') } = {}) {
+      this.sql = sql;
+      this.type = sql.type;
+      this.directory = directory;
+   }
+
+   async ensureTable() {
+      if (this.tableReady) return;
+      await this.sql.exec(`
+         CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(50) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at ${getTypes(this.type).datetime} DEFAULT CURRENT_TIMESTAMP
+         )
+      `);
+      this.tableReady = true;
+   }
+
+   loadMigrations() {
+      return fs.readdirSync(this.directory)
+         .filter(file => /^\d+_.+\.js$/.test(file))
+         .sort()
+         .map(file => {
+            const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+            const migration = require(path.join(this.directory, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+               throw new Error(`Migração ${file} precisa exportar up() e down()`);
+            }
+            return { version, name, ...migration };
+         });
+   }
+
+   async getApplied() {
+      await this.ensureTable();
+      const rows = await this.sql.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+      return new Map(rows.map(row => [row.version, row]));
+   }
+
+   async status() {
+      const applied = await this.getApplied();
+      return this.loadMigrations().map(({ version, name }) => ({
+         version,
+         name,
+         applied: applied.has(version),
+         appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+      }));
+   }
+
+   // Aplica todas as migrações pendentes, em ordem. Retorna as aplicadas.
+   async migrate() {
+      const applied = await this.getApplied();
+      const pending = this.loadMigrations().filter(migration => !applied.has(migration.version));
+
+      for (const migration of pending) {
+         await this.sql.transaction(async (tx) => {
+            await migration.up(this.createContext(tx));
+            await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+         });
+         console.log(`✅ Migração aplicada: ${migration.version}_${migration.name}`);
+      }
+
+      return pending;
+   }
+
+   // Desfaz as últimas "steps" migrações aplicadas. Retorna as revertidas.
+   async rollback(steps = 1) {
+      const applied = await this.getApplied();
+      const toRollback = this.loadMigrations()
+         .filter(migration => applied.has(migration.version))
+         .reverse()
+         .slice(0, steps);
+
+      for (const migration of toRollback) {
+         await this.sql.transaction(async (tx) => {
+            await migration.down(this.createContext(tx));
+            await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+         });
+         console.log(`↩️  Migração revertida: ${migration.version}_${migration.name}`);
+      }
+
+      return toRollback;
+   }
+
+   // Utilitários disponíveis dentro de up()/down()
+   createContext(sql) {
+      const type = this.type;
+
+      const hasColumn = async (table, column) => {
+         if (type === 'sqlite') {
+            const columns = await sql.all(`PRAGMA table_info(${table})`);
+            return columns.some(info => info.name === column);
+         }
+
+         const schemaFilter = type === 'mysql' ? 'table_schema = DATABASE()' : 'table_schema = current_schema()';
+         const row = await sql.get(`
+            SELECT column_name FROM information_schema.columns
+            WHERE ${schemaFilter} AND table_name = ? AND column_name = ?
+         `, [table, column]);
+         return !!row;
+      };
+
+      return {
+         sql,
+         type,
+         types: getTypes(type),
+         hasColumn,
+
+         // Bancos criados antes das migrações podem já ter a coluna
+         async addColumn(table, column, definition) {
+            if (await hasColumn(table, column)) return;
+            await sql.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+         },
+
+         async dropColumn(table, column) {
+            if (!await hasColumn(table, column)) return;
+            await sql.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+         },
+
+         async createIndex(name, table, columns, { unique = false } = {}) {
+            const kind = unique ? 'UNIQUE INDEX' : 'INDEX';
+            if (type !== 'mysql') {
+               await sql.exec(`CREATE ${kind} IF NOT EXISTS ${name} ON ${table}(${columns})`);
+               return;
+            }
+            // MySQL não tem CREATE INDEX IF NOT EXISTS
+            try {
+               await sql.exec(`CREATE ${kind} ${name} ON ${table}(${columns})`);
+            } catch (error) {
+               if (error.code !== 'ER_DUP_KEYNAME') throw error;
+            }
+         },
+
+         async dropIndex(name, table) {
+            if (type !== 'mysql') {
+               await sql.exec(`DROP INDEX IF EXISTS ${name}`);
+               return;
+            }
+            try {
+               await sql.exec(`DROP INDEX ${name} ON ${table}`);
+            } catch (error) {
+               if (error.code !== 'ER_CANT_DROP_FIELD_OR_KEY') throw error;
+            }
+         }
+      };
+   }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,229 @@
+// Camada de consulta assíncrona compartilhada pelos repositories.
+// As consultas usam sempre "?" como placeholder; cada dialeto faz a conversão.
+//
+//    await sql.all('SELECT * FROM users WHERE id > ?', [10]);
+//    await sql.get('SELECT * FROM users WHERE id = ?', [1]);
+//    await sql.run('UPDATE users SET status = ? WHERE id = ?', ['busy', 1]);
+//    const id = await sql.insert('INSERT INTO rooms (name) VALUES (?)', ['Geral']);
+
+// Troca "?" por "$1, $2..." (PostgreSQL), ignorando o conteúdo entre aspas
+const toPgPlaceholders = (sql) => {
+   let index = 0;
+   let quote = null;
+   let result = '';
+
+   for (const char of sql) {
+      if (quote) {
+         if (char === quote) quote = null;
+         result += char;
+      } else if (char === '\'' || char === '"') {
+         quote = char;
+         result += char;
+      } else if (char === '?') {
+         result += `$${++index}`;
+      } else {
+         result += char;
+      }
+   }
+   return result;
+};
+
+class SqlClient {
+   constructor(db, type, { inTransaction = false } = {}) {
+      this.db = db;
+      this.type = type;
+      this.inTransaction = inTransaction;
+      // SQLite usa uma única conexão: a transação aberta, se houver (ver transaction())
+      this.openTransaction = null;
+   }
+
+   // No SQLite, executa run (síncrono) só quando não há transação aberta, para que
+   // comandos de outras requisições não caiam dentro dela. Quem está dentro da
+   // transação usa o SqlClient recebido em transaction() e não espera.
+   async whenIdle(run) {
+      while (this.openTransaction) {
+         await this.openTransaction;
+      }
+      return run();
+   }
+
+   async all(sql, params = []) {
+      switch (this.type) {
+         case 'sqlite':
+            return this.whenIdle(() => this.db.prepare(sql).all(...params));
+         case 'postgres':
+            return (await this.db.query(toPgPlaceholders(sql), params)).rows;
+         case 'mysql':
+            return (await this.db.query(sql, params))[0];
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   async get(sql, params = []) {
+      if (this.type === 'sqlite') {
+         return this.whenIdle(() => this.db.prepare(sql).get(...params));
+      }
+      const rows = await this.all(sql, params);
+      return rows[0];
+   }
+
+   // Executa um comando e retorna { changes }
+   async run(sql, params = []) {
+      switch (this.type) {
+         case 'sqlite':
+            return this.whenIdle(() => ({ changes: this.db.prepare(sql).run(...params).changes }));
+         case 'postgres':
+            return { changes: (await this.db.query(toPgPlaceholders(sql), params)).rowCount };
+         case 'mysql':
+            return { changes: (await this.db.query(sql, params))[0].affectedRows };
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   // INSERT em tabela com coluna "id" gerada; retorna o id criado
+   async insert(sql, params = []) {
+      switch (this.type) {
+         case 'sqlite':
+            return this.whenIdle(() => Number(this.db.prepare(sql).run(...params).lastInsertRowid));
+         case 'postgres':
+            return (await this.db.query(`${toPgPlaceholders(sql)} RETURNING id`, params)).rows[0].id;
+         case 'mysql':
+            return (await this.db.query(sql, params))[0].insertId;
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   // Executa vários comandos separados por ";" (sem parâmetros), enviados inteiros ao banco:
+   // ";" dentro de textos e corpos de trigger não quebra o script
+   async exec(sql) {
+      switch (this.type) {
+         case 'sqlite':
+            await this.whenIdle(() => this.db.exec(sql));
+            return;
+         case 'postgres':
+            // Sem parâmetros, o pg usa o protocolo simples, que aceita vários comandos
+            await this.db.query(sql);
+            return;
+         case 'mysql':
+            // Exige a conexão criada com multipleStatements (ver database/connection.js)
+            await this.db.query(sql);
+            return;
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   // Executa fn dentro de uma transação, com um SqlClient preso à mesma conexão.
+   // Dentro de fn, use só o SqlClient recebido: no SQLite o original espera o fim da transação.
+   async transaction(fn) {
+      if (this.inTransaction) {
+         return fn(this);
+      }
+
+      switch (this.type) {
+         case 'sqlite': {
+            // Uma transação por vez; até o COMMIT/ROLLBACK os outros comandos esperam
+            while (this.openTransaction) {
+               await this.openTransaction;
+            }
+            let finish;
+            this.openTransaction = new Promise(resolve => { finish = resolve; });
+
+            try {
+               this.db.exec('BEGIN');
+               const result = await fn(new SqlClient(this.db, this.type, { inTransaction: true }));
+               this.db.exec('COMMIT');
+               return result;
+            } catch (error) {
+               if (this.db.inTransaction) this.db.exec('ROLLBACK');
+               throw error;
+            } finally {
+               this.openTransaction = null;
+               finish();
+            }
+         }
+         case 'postgres': {
+            const connection = await this.db.connect();
+            try {
+               await connection.query('BEGIN');
+               const result = await fn(new SqlClient(connection, this.type, { inTransaction: true }));
+               await connection.query('COMMIT');
+               return result;
+            } catch (error) {
+               await connection.query('ROLLBACK');
+               throw error;
+            } finally {
+               connection.release();
+            }
+         }
+         case 'mysql': {
+            const connection = await this.db.getConnection();
+            try {
+               await connection.beginTransaction();
+               const result = await fn(new SqlClient(connection, this.type, { inTransaction: true }));
+               await connection.commit();
+               return result;
+            } catch (error) {
+               await connection.rollback();
+               throw error;
+            } finally {
+               connection.release();
+            }
+         }
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   // ===== Diferenças de SQL entre os dialetos =====
+
+   // INSERT que ignora linhas já existentes (chave primária/única)
+   // body: "INTO tabela (colunas) VALUES (...)" ou "INTO tabela (colunas) SELECT ..."
+   insertOrIgnore(body) {
+      switch (this.type) {
+         case 'sqlite':
+            return `INSERT OR IGNORE ${body}`;
+         case 'postgres':
+            return `INSERT ${body} ON CONFLICT DO NOTHING`;
+         case 'mysql':
+            return `INSERT IGNORE ${body}`;
+         default:
+            throw new Error(`Banco ${this.type} não suportado`);
+      }
+   }
+
+   // INSERT ... ON CONFLICT/DUPLICATE KEY UPDATE para as colunas informadas
+   upsert(table, columns, conflictColumns, updateColumns) {
+      const placeholders = columns.map(() => '?').join(', ');
+      const insert = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+
+      if (this.type === 'mysql') {
+         const updates = updateColumns.map(column => `${column} = VALUES(${column})`).join(', ');
+         return `${insert} ON DUPLICATE KEY UPDATE ${updates}`;
+      }
+
+      const updates = updateColumns.map(column => `${column} = excluded.${column}`).join(', ');
+      return `${insert} ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET ${updates}`;
+   }
+
+   // Erro de chave única/primária duplicada, no código de erro de cada driver
+   isUniqueViolation(error) {
+      switch (this.type) {
+         case 'sqlite':
+            return error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+         case 'postgres':
+            return error.code === '23505';
+         case 'mysql':
+            return error.code === 'ER_DUP_ENTRY';
+         default:
+            return false;
+      }
+   }
+}
+
+SqlClient.toPgPlaceholders = toPgPlaceholders;
+
+module.exports = SqlClient;
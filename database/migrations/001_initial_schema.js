@@ -0,0 +1,86 @@
+// Schema inicial: usuários, salas, membros, mensagens e sessões.
+// Usa IF NOT EXISTS para adotar bancos criados antes das migrações.
+// Chaves estrangeiras ficam no nível da tabela: o MySQL ignora REFERENCES na coluna.
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      // Tabela de usuários
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id ${t.id},
+          username VARCHAR(50) UNIQUE NOT NULL,
+          email VARCHAR(100) UNIQUE,
+          password_hash VARCHAR(255) NOT NULL,
+          avatar VARCHAR(255),
+          status VARCHAR(20) DEFAULT 'available',
+          is_online BOOLEAN DEFAULT FALSE,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          last_seen ${t.datetime} DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Tabela de salas/grupos
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS rooms (
+          id ${t.id},
+          name VARCHAR(100),
+          type VARCHAR(20) NOT NULL DEFAULT 'private',
+          created_by INTEGER,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      // Tabela de membros das salas
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS room_members (
+          room_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          joined_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (room_id, user_id),
+          FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Tabela de mensagens
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id ${t.id},
+          room_id INTEGER,
+          user_id INTEGER,
+          content TEXT,
+          message_type VARCHAR(20) DEFAULT 'text',
+          file_data ${t.json},
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Tabela de sessões para JWT
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id ${t.id},
+          user_id INTEGER,
+          token_hash VARCHAR(255),
+          expires_at ${t.datetime} NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Índices para performance
+      await createIndex('idx_messages_room_id', 'messages', 'room_id');
+      await createIndex('idx_messages_created_at', 'messages', 'created_at');
+      await createIndex('idx_users_username', 'users', 'username');
+      await createIndex('idx_user_sessions_token', 'user_sessions', 'token_hash');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS user_sessions');
+      await sql.exec('DROP TABLE IF EXISTS messages');
+      await sql.exec('DROP TABLE IF EXISTS room_members');
+      await sql.exec('DROP TABLE IF EXISTS rooms');
+      await sql.exec('DROP TABLE IF EXISTS users');
+   }
+};
@@ -0,0 +1,12 @@
+// Edição e exclusão lógica de mensagens
+module.exports = {
+   async up({ types: t, addColumn }) {
+      await addColumn('messages', 'edited_at', `${t.datetime} NULL`);
+      await addColumn('messages', 'deleted_at', `${t.datetime} NULL`);
+   },
+
+   async down({ dropColumn }) {
+      await dropColumn('messages', 'deleted_at');
+      await dropColumn('messages', 'edited_at');
+   }
+};
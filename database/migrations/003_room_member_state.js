@@ -0,0 +1,12 @@
+// Ponteiro de leitura e papel (owner/admin/member) de cada membro da sala
+module.exports = {
+   async up({ addColumn }) {
+      await addColumn('room_members', 'last_read_message_id', 'INTEGER');
+      await addColumn('room_members', 'role', "VARCHAR(20) DEFAULT 'member'");
+   },
+
+   async down({ dropColumn }) {
+      await dropColumn('room_members', 'role');
+      await dropColumn('room_members', 'last_read_message_id');
+   }
+};
@@ -0,0 +1,22 @@
+// Estado de entrega por mensagem e destinatário
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS message_deliveries (
+          message_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'sent',
+          delivered_at ${t.datetime} NULL,
+          PRIMARY KEY (message_id, user_id),
+          FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await createIndex('idx_message_deliveries_pending', 'message_deliveries', 'user_id, status');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS message_deliveries');
+   }
+};
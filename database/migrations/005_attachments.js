@@ -0,0 +1,27 @@
+// Anexos enviados: quem enviou, em qual sala/mensagem foram usados
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS attachments (
+          id ${t.id},
+          filename VARCHAR(255) UNIQUE NOT NULL,
+          original_name VARCHAR(255),
+          mimetype VARCHAR(100),
+          size INTEGER,
+          uploader_id INTEGER NOT NULL,
+          room_id INTEGER NULL,
+          message_id INTEGER NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (uploader_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+          FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL
+        )
+      `);
+
+      await createIndex('idx_attachments_room_id', 'attachments', 'room_id');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS attachments');
+   }
+};
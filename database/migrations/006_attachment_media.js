@@ -0,0 +1,16 @@
+// Metadados de imagens: dimensões, placeholder blurhash e variantes geradas
+module.exports = {
+   async up({ types: t, addColumn }) {
+      await addColumn('attachments', 'width', 'INTEGER');
+      await addColumn('attachments', 'height', 'INTEGER');
+      await addColumn('attachments', 'blurhash', 'VARCHAR(100)');
+      await addColumn('attachments', 'variants', t.json);
+   },
+
+   async down({ dropColumn }) {
+      await dropColumn('attachments', 'variants');
+      await dropColumn('attachments', 'blurhash');
+      await dropColumn('attachments', 'height');
+      await dropColumn('attachments', 'width');
+   }
+};
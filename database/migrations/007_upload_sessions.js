@@ -0,0 +1,26 @@
+// Sessões de upload em partes (retomável, compatível com o protocolo tus)
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          original_name VARCHAR(255),
+          mimetype VARCHAR(100),
+          upload_length BIGINT NOT NULL,
+          upload_offset BIGINT NOT NULL DEFAULT 0,
+          attachment_id INTEGER NULL,
+          expires_at BIGINT NOT NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (attachment_id) REFERENCES attachments(id) ON DELETE SET NULL
+        )
+      `);
+
+      await createIndex('idx_upload_sessions_expires_at', 'upload_sessions', 'expires_at');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS upload_sessions');
+   }
+};
@@ -0,0 +1,22 @@
+// Sessões com refresh token rotativo: dispositivo, origem e revogação
+module.exports = {
+   async up({ types: t, addColumn, createIndex }) {
+      await addColumn('user_sessions', 'previous_token_hash', 'VARCHAR(255)');
+      await addColumn('user_sessions', 'device_name', 'VARCHAR(100)');
+      await addColumn('user_sessions', 'ip_address', 'VARCHAR(45)');
+      await addColumn('user_sessions', 'user_agent', 'VARCHAR(255)');
+      await addColumn('user_sessions', 'last_used_at', `${t.datetime} NULL`);
+      await addColumn('user_sessions', 'revoked_at', `${t.datetime} NULL`);
+      await createIndex('idx_user_sessions_user_id', 'user_sessions', 'user_id');
+   },
+
+   async down({ dropColumn, dropIndex }) {
+      await dropIndex('idx_user_sessions_user_id', 'user_sessions');
+      await dropColumn('user_sessions', 'revoked_at');
+      await dropColumn('user_sessions', 'last_used_at');
+      await dropColumn('user_sessions', 'user_agent');
+      await dropColumn('user_sessions', 'ip_address');
+      await dropColumn('user_sessions', 'device_name');
+      await dropColumn('user_sessions', 'previous_token_hash');
+   }
+};
@@ -0,0 +1,26 @@
+// Tokens de uso único para confirmar e-mail e redefinir senha
+module.exports = {
+   async up({ sql, types: t, addColumn, createIndex }) {
+      await addColumn('users', 'email_verified_at', `${t.datetime} NULL`);
+
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS account_tokens (
+          id ${t.id},
+          user_id INTEGER NOT NULL,
+          purpose VARCHAR(30) NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          expires_at ${t.datetime} NOT NULL,
+          used_at ${t.datetime} NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await createIndex('idx_account_tokens_user_purpose', 'account_tokens', 'user_id, purpose');
+   },
+
+   async down({ sql, dropColumn }) {
+      await sql.exec('DROP TABLE IF EXISTS account_tokens');
+      await dropColumn('users', 'email_verified_at');
+   }
+};
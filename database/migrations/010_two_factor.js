@@ -0,0 +1,33 @@
+// Autenticação em dois fatores (TOTP) e códigos de recuperação
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS user_two_factor (
+          user_id INTEGER PRIMARY KEY,
+          secret VARCHAR(64) NOT NULL,
+          enabled_at ${t.datetime} NULL,
+          last_used_step BIGINT NULL,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+          id ${t.id},
+          user_id INTEGER NOT NULL,
+          code_hash VARCHAR(64) NOT NULL,
+          used_at ${t.datetime} NULL,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await createIndex('idx_two_factor_recovery_codes_user_id', 'two_factor_recovery_codes', 'user_id');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS two_factor_recovery_codes');
+      await sql.exec('DROP TABLE IF EXISTS user_two_factor');
+   }
+};
@@ -0,0 +1,12 @@
+// Perfil público: nome de exibição e bio
+module.exports = {
+   async up({ addColumn }) {
+      await addColumn('users', 'display_name', 'VARCHAR(50)');
+      await addColumn('users', 'bio', 'VARCHAR(500)');
+   },
+
+   async down({ dropColumn }) {
+      await dropColumn('users', 'bio');
+      await dropColumn('users', 'display_name');
+   }
+};
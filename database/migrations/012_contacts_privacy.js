@@ -0,0 +1,49 @@
+// Contatos, bloqueios e configurações de privacidade
+module.exports = {
+   async up({ sql, types: t, createIndex }) {
+      // Um registro por direção: o pedido A -> B fica "pending" até B aceitar,
+      // quando passam a existir A -> B e B -> A como "accepted"
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS contacts (
+          user_id INTEGER NOT NULL,
+          contact_id INTEGER NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          accepted_at ${t.datetime} NULL,
+          PRIMARY KEY (user_id, contact_id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (contact_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS user_blocks (
+          blocker_id INTEGER NOT NULL,
+          blocked_id INTEGER NOT NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (blocker_id, blocked_id),
+          FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Quem vê o status online e o last_seen: everyone, contacts ou nobody
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS user_privacy (
+          user_id INTEGER PRIMARY KEY,
+          online_visibility VARCHAR(20) NOT NULL DEFAULT 'everyone',
+          last_seen_visibility VARCHAR(20) NOT NULL DEFAULT 'everyone',
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await createIndex('idx_contacts_contact_id', 'contacts', 'contact_id');
+      await createIndex('idx_user_blocks_blocked_id', 'user_blocks', 'blocked_id');
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS user_privacy');
+      await sql.exec('DROP TABLE IF EXISTS user_blocks');
+      await sql.exec('DROP TABLE IF EXISTS contacts');
+   }
+};
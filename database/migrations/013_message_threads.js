@@ -0,0 +1,14 @@
+// Respostas e threads: reply_to é a mensagem citada e thread_id a mensagem raiz da thread
+module.exports = {
+   async up({ addColumn, createIndex }) {
+      await addColumn('messages', 'reply_to', 'INTEGER');
+      await addColumn('messages', 'thread_id', 'INTEGER');
+      await createIndex('idx_messages_thread_id', 'messages', 'thread_id');
+   },
+
+   async down({ dropColumn, dropIndex }) {
+      await dropIndex('idx_messages_thread_id', 'messages');
+      await dropColumn('messages', 'thread_id');
+      await dropColumn('messages', 'reply_to');
+   }
+};
@@ -0,0 +1,20 @@
+// Reações com emoji: cada usuário reage no máximo uma vez com cada emoji
+module.exports = {
+   async up({ sql, types: t }) {
+      await sql.exec(`
+        CREATE TABLE IF NOT EXISTS message_reactions (
+          message_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          emoji VARCHAR(32) NOT NULL,
+          created_at ${t.datetime} DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (message_id, user_id, emoji),
+          FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+   },
+
+   async down({ sql }) {
+      await sql.exec('DROP TABLE IF EXISTS message_reactions');
+   }
+};
@@ -0,0 +1,60 @@
+// Busca textual nas mensagens.
+// - sqlite: tabela FTS5 ligada a messages (external content), mantida por triggers
+// - postgres: índice GIN sobre to_tsvector('simple', content)
+// - mysql: índice FULLTEXT em content
+module.exports = {
+   async up({ sql, type, dropIndex }) {
+      if (type === 'sqlite') {
+         await sql.exec(`
+           CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+             content,
+             content = 'messages',
+             content_rowid = 'id',
+             tokenize = 'unicode61 remove_diacritics 2'
+           );
+
+           CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+             INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+           END;
+
+           CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+             INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+           END;
+
+           CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+             INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+             INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+           END;
+
+           INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+         `);
+         return;
+      }
+
+      if (type === 'postgres') {
+         await sql.exec(`
+           CREATE INDEX IF NOT EXISTS idx_messages_search
+           ON messages USING GIN (to_tsvector('simple', coalesce(content, '')))
+         `);
+         return;
+      }
+
+      // Recriar o índice deixa a migração segura para reexecução
+      await dropIndex('idx_messages_search', 'messages');
+      await sql.exec('ALTER TABLE messages ADD FULLTEXT INDEX idx_messages_search (content)');
+   },
+
+   async down({ sql, type, dropIndex }) {
+      if (type === 'sqlite') {
+         await sql.exec(`
+           DROP TRIGGER IF EXISTS messages_fts_update;
+           DROP TRIGGER IF EXISTS messages_fts_delete;
+           DROP TRIGGER IF EXISTS messages_fts_insert;
+           DROP TABLE IF EXISTS messages_fts;
+         `);
+         return;
+      }
+
+      await dropIndex('idx_messages_search', 'messages');
+   }
+};
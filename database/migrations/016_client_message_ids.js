@@ -0,0 +1,13 @@
+// Id gerado pelo cliente em cada envio: reenvios com o mesmo id não duplicam a mensagem.
+// Único por remetente; mensagens sem client_message_id (NULL) não entram na restrição.
+module.exports = {
+   async up({ addColumn, createIndex }) {
+      await addColumn('messages', 'client_message_id', 'VARCHAR(64)');
+      await createIndex('idx_messages_client_message_id', 'messages', 'user_id, client_message_id', { unique: true });
+   },
+
+   async down({ dropColumn, dropIndex }) {
+      await dropIndex('idx_messages_client_message_id', 'messages');
+      await dropColumn('messages', 'client_message_id');
+   }
+};
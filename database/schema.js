@@ -0,0 +1,31 @@
+// Tipos de coluna de cada dialeto suportado (sqlite, postgres, mysql).
+// As tabelas em si são criadas pelas migrações em database/migrations.
+const TYPES = {
+   sqlite: {
+      id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      datetime: 'DATETIME',
+      json: 'JSON'
+   },
+   postgres: {
+      id: 'SERIAL PRIMARY KEY',
+      datetime: 'TIMESTAMPTZ',
+      json: 'JSONB'
+   },
+   mysql: {
+      id: 'INT AUTO_INCREMENT PRIMARY KEY',
+      datetime: 'DATETIME',
+      json: 'JSON'
+   }
+};
+
+const getTypes = (type) => {
+   const types = TYPES[type];
+   if (!types) {
+      throw new Error(`Banco ${type} não suportado`);
+   }
+   return types;
+};
+
+module.exports = {
+   getTypes
+};
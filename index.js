@@ -12,11 +12,48 @@ const DatabaseConnection = require('./database/connection');
 const UserRepository = require('./repositories/UserRepository');
 const RoomRepository = require('./repositories/RoomRepository');
 const MessageRepository = require('./repositories/MessageRepository');
+const HistoryRepository = require('./repositories/HistoryRepository');
+const ConversationRepository = require('./repositories/ConversationRepository');
+const DeliveryRepository = require('./repositories/DeliveryRepository');
+const AttachmentRepository = require('./repositories/AttachmentRepository');
+const UploadSessionRepository = require('./repositories/UploadSessionRepository');
+const SessionRepository = require('./repositories/SessionRepository');
+const AccountRepository = require('./repositories/AccountRepository');
+const TwoFactorRepository = require('./repositories/TwoFactorRepository');
+const ProfileRepository = require('./repositories/ProfileRepository');
+const ContactRepository = require('./repositories/ContactRepository');
+const ReactionRepository = require('./repositories/ReactionRepository');
+const SearchRepository = require('./repositories/SearchRepository');
+const PrivacyRepository = require('./repositories/PrivacyRepository');
 const AuthService = require('./services/AuthService');
+const MessageService = require('./services/MessageService');
+const ThreadService = require('./services/ThreadService');
+const ReactionService = require('./services/ReactionService');
+const SearchService = require('./services/SearchService');
+const GroupService = require('./services/GroupService');
+const AttachmentService = require('./services/AttachmentService');
+const MediaService = require('./services/MediaService');
+const UploadService = require('./services/UploadService');
+const SessionService = require('./services/SessionService');
+const AccountService = require('./services/AccountService');
+const TwoFactorService = require('./services/TwoFactorService');
+const ProfileService = require('./services/ProfileService');
+const PrivacyService = require('./services/PrivacyService');
+const { createRealtime } = require('./realtime');
+const { ChatNotifier, registerSocketHandlers } = require('./sockets');
+const { createStorage } = require('./storage');
+const { createMailer } = require('./mailer');
+const { createRateLimit } = require('./ratelimit');
+const { rateLimit } = require('./middleware/rateLimit');
+const { validate } = require('./middleware/validate');
+const { routes } = require('./validation');
+const { toMessageDto, toEditedPayload, toDeletedPayload } = require('./utils/messageFormatter');
+const ServiceError = require('./utils/ServiceError');
 const {
   authenticateToken,
   authenticateSocket,
-  rateLimiter,
+  optionalAuth,
+  requireOwnership,
   requestLogger,
   corsMiddleware
 } = require('./middleware/auth');
@@ -29,20 +66,63 @@ app.use(corsMiddleware);
 app.use(express.json());
 
 // Conectar ao banco de dados
-let db, userRepository, roomRepository, messageRepository, authService;
+let userRepository, roomRepository, messageRepository, historyRepository, conversationRepository;
+let deliveryRepository, attachmentRepository, uploadSessionRepository, sessionRepository, accountRepository;
+let twoFactorRepository, profileRepository, contactRepository, privacyRepository, reactionRepository, searchRepository;
+let authService, sessionService, accountService, twoFactorService, profileService, privacyService, messageService, threadService, reactionService, searchService, groupService, attachmentService, mediaService, uploadService;
+let realtime, fileStorage, mailer, rateLimits;
 
 async function initializeDatabase() {
   try {
-    db = await DatabaseConnection.connect();
-    const dbType = DatabaseConnection.getType();
+    await DatabaseConnection.connect();
+    const sql = DatabaseConnection.getClient();
+
+    // Migrações automáticas: ligadas por padrão fora de produção (DB_AUTO_MIGRATE)
+    const autoMigrate = process.env.DB_AUTO_MIGRATE
+      ? process.env.DB_AUTO_MIGRATE === 'true'
+      : process.env.NODE_ENV !== 'production';
+    if (autoMigrate) {
+      await DatabaseConnection.migrate();
+    }
 
     // Inicializar repositories
-    userRepository = new UserRepository(db, dbType);
-    roomRepository = new RoomRepository(db, dbType);
-    messageRepository = new MessageRepository(db, dbType);
+    userRepository = new UserRepository(sql);
+    roomRepository = new RoomRepository(sql);
+    messageRepository = new MessageRepository(sql);
+    historyRepository = new HistoryRepository(sql);
+    conversationRepository = new ConversationRepository(sql);
+    deliveryRepository = new DeliveryRepository(sql);
+    attachmentRepository = new AttachmentRepository(sql);
+    uploadSessionRepository = new UploadSessionRepository(sql);
+    sessionRepository = new SessionRepository(sql);
+    accountRepository = new AccountRepository(sql);
+    twoFactorRepository = new TwoFactorRepository(sql);
+    profileRepository = new ProfileRepository(sql);
+    contactRepository = new ContactRepository(sql);
+    privacyRepository = new PrivacyRepository(sql);
+    reactionRepository = new ReactionRepository(sql);
+    searchRepository = new SearchRepository(sql);
 
     // Inicializar serviços
     authService = new AuthService(userRepository);
+    // Sessão revogada derruba na hora os sockets abertos com ela (em qualquer servidor)
+    sessionService = new SessionService(sessionRepository, userRepository, {
+      onRevoke: (sessionId) => io.in(SessionService.sessionRoom(sessionId)).disconnectSockets(true)
+    });
+    mailer = createMailer();
+    accountService = new AccountService(accountRepository, sessionService, mailer);
+    twoFactorService = new TwoFactorService(twoFactorRepository, accountRepository);
+    messageService = new MessageService(historyRepository, roomRepository);
+    threadService = new ThreadService(historyRepository, roomRepository);
+    reactionService = new ReactionService(reactionRepository, historyRepository, roomRepository);
+    searchService = new SearchService(searchRepository);
+    privacyService = new PrivacyService(contactRepository, privacyRepository, userRepository);
+    groupService = new GroupService(userRepository, roomRepository, messageRepository, privacyService);
+    fileStorage = createStorage({ root: uploadDir });
+    attachmentService = new AttachmentService(attachmentRepository, roomRepository, { storage: fileStorage });
+    mediaService = new MediaService({ uploadDir });
+    profileService = new ProfileService(profileRepository, mediaService, fileStorage);
+    uploadService = new UploadService(uploadSessionRepository, attachmentService, mediaService, { uploadDir, allowedTypes });
 
     console.log('✅ Sistema de banco de dados inicializado');
   } catch (error) {
@@ -51,12 +131,14 @@ async function initializeDatabase() {
   }
 }
 
-// Configuração do multer para upload de arquivos
+// Configuração do multer para upload de arquivos.
+// O disco é só a área de recebimento: depois de validado, o arquivo vai para o storage.
+const uploadDir = path.join(__dirname, process.env.UPLOAD_PATH || 'uploads');
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, process.env.UPLOAD_PATH || 'uploads');
-    fs.ensureDirSync(uploadPath);
-    cb(null, uploadPath);
+    fs.ensureDirSync(uploadDir);
+    cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -65,14 +147,15 @@ const storage = multer.diskStorage({
   }
 });
 
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-    'application/pdf', 'text/plain',
-    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-  ];
+// Tipos aceitos tanto no upload direto quanto no upload em partes
+const allowedTypes = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
 
+const fileFilter = (req, file, cb) => {
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -88,6 +171,21 @@ const upload = multer({
   }
 });
 
+// Avatares: só imagens, recortadas depois pelo MediaService
+const avatarUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (MediaService.IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('O avatar deve ser uma imagem (JPEG, PNG, GIF ou WebP)'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.AVATAR_MAX_SIZE) || 5 * 1024 * 1024 // 5MB padrão
+  }
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -96,20 +194,71 @@ const io = new Server(server, {
   },
 });
 
-// Middleware para servir arquivos estáticos
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Pub/sub entre servidores e presença compartilhada
+async function initializeRealtime() {
+  try {
+    realtime = await createRealtime();
+    if (realtime.adapter) {
+      io.adapter(realtime.adapter);
+    }
+
+    // Sockets que este servidor deixou registrados antes de reiniciar
+    const staleUserIds = await realtime.presence.clearNode();
+    for (const userId of staleUserIds) {
+      await userRepository.updateOnlineStatus(userId, false);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao inicializar camada de tempo real:', error);
+    process.exit(1);
+  }
+}
+
+// Limite de taxa das rotas e dos eventos do socket
+async function initializeRateLimit() {
+  try {
+    rateLimits = await createRateLimit();
+  } catch (error) {
+    console.error('❌ Erro ao inicializar rate limit:', error);
+    process.exit(1);
+  }
+}
 
 async function startServer() {
   await initializeDatabase();
+  await initializeRealtime();
+  await initializeRateLimit();
+
+  const limit = (rule) => rateLimit(rateLimits.limiter, rule);
+  const { loginLockout } = rateLimits;
+
+  // Eventos para os clientes conectados, usados pelas rotas e pelos handlers do socket
+  const notifier = new ChatNotifier(io, {
+    presence: realtime.presence, userRepository, roomRepository, historyRepository, threadService, privacyService
+  });
 
   // ===== ROTAS DE AUTENTICAÇÃO =====
-  app.post('/api/auth/register', rateLimiter(100, 60 * 1000), async (req, res) => {
+  // Dispositivo e origem de quem está entrando, exibidos na lista de sessões
+  const sessionMeta = (req) => ({
+    deviceName: req.body && req.body.deviceName,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  app.post('/api/auth/register', limit('auth_register'), validate(routes.register), async (req, res) => {
     try {
       const result = await authService.register(req.body);
+      const tokens = await sessionService.createSession(result.user, sessionMeta(req));
+
+      // Falha no envio não impede o cadastro: o usuário pode pedir o link de novo
+      if (result.user.email) {
+        accountService.sendVerification(result.user.id)
+          .catch(error => console.error('❌ Erro ao enviar confirmação de e-mail:', error));
+      }
+
       res.status(201).json({
         success: true,
         message: 'Usuário registrado com sucesso',
-        data: result
+        data: { ...result, ...tokens, token: tokens.accessToken }
       });
     } catch (error) {
       res.status(400).json({
@@ -119,24 +268,115 @@ async function startServer() {
     }
   });
 
-  app.post('/api/auth/login', rateLimiter(100, 60 * 1000), async (req, res) => {
+  // Chave do bloqueio de login: o id da conta, tanto no login por username quanto por e-mail.
+  // Um identificador sem conta é bloqueado pelo próprio nome, para não revelar se ela existe.
+  const lockoutAccount = async ({ username, email } = {}) => {
+    const user = username
+      ? await userRepository.findByUsername(username)
+      : email && await userRepository.findByEmail(email);
+    return user ? `user:${user.id}` : `unknown:${username || email}`;
+  };
+
+  // Com 2FA ativo, a senha correta devolve só o challenge para /api/auth/login/2fa
+  app.post('/api/auth/login', limit('auth_login'), validate(routes.login), async (req, res) => {
     try {
-      const result = await authService.login(req.body);
+      // Bloqueio progressivo por conta, além do limite por IP
+      const account = await lockoutAccount(req.body);
+      await loginLockout.assertNotLocked(account);
+
+      let result;
+      try {
+        result = await authService.login(req.body);
+      } catch (error) {
+        const lockedFor = await loginLockout.registerFailure(account);
+        throw lockedFor ? loginLockout.lockedError(lockedFor) : error;
+      }
+
+      // Com 2FA, as falhas só são zeradas quando o código também confere
+      if (await twoFactorService.isEnabled(result.user.id)) {
+        const challenge = await twoFactorService.createChallenge(result.user);
+        return res.json({
+          success: true,
+          message: 'Informe o código de verificação',
+          data: { twoFactorRequired: true, ...challenge }
+        });
+      }
+
+      await loginLockout.registerSuccess(account);
+      const tokens = await sessionService.createSession(result.user, sessionMeta(req));
       res.json({
         success: true,
         message: 'Login realizado com sucesso',
-        data: result
+        data: { ...result, ...tokens, token: tokens.accessToken }
       });
     } catch (error) {
+      if (error.code === 'ACCOUNT_LOCKED') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          retryAfter: error.retryAfter
+        });
+      }
       res.status(401).json({
         success: false,
         error: error.message
       });
     }
   });
-  app.post('/api/auth/logout', authenticateToken(authService), async (req, res) => {
+
+  // Segunda etapa do login: { challengeToken, code } ou { challengeToken, recoveryCode }
+  app.post('/api/auth/login/2fa', limit('auth_login_2fa'), validate(routes.loginTwoFactor), async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      // Código errado conta no mesmo bloqueio da senha errada
+      const userId = twoFactorService.readChallenge(challengeToken);
+      const account = `user:${userId}`;
+      await loginLockout.assertNotLocked(account);
+
+      try {
+        await twoFactorService.verifyChallenge(challengeToken, { code, recoveryCode });
+      } catch (error) {
+        if (error.code !== 'INVALID_CODE' && error.code !== 'TOO_MANY_ATTEMPTS') throw error;
+
+        const lockedFor = await loginLockout.registerFailure(account);
+        if (!lockedFor) throw error;
+        // O bloqueio assume a partir daqui: passado o prazo, um novo login com a senha volta a ter as tentativas
+        await twoFactorService.resetFailedAttempts(userId);
+        throw loginLockout.lockedError(lockedFor);
+      }
+      await loginLockout.registerSuccess(account);
+
+      const { password_hash, ...user } = await userRepository.findById(userId);
+      const tokens = await sessionService.createSession(user, sessionMeta(req));
+      res.json({
+        success: true,
+        message: 'Login realizado com sucesso',
+        data: { user, ...tokens, token: tokens.accessToken }
+      });
+    } catch (error) {
+      if (error.code === 'ACCOUNT_LOCKED') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          retryAfter: error.retryAfter
+        });
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  });
+
+  // Encerra só a sessão deste dispositivo
+  app.post('/api/auth/logout', authenticateToken(sessionService), validate(routes.noBody), async (req, res) => {
     try {
-      await authService.logout(req.user.id);
+      await sessionService.revoke(req.user.sessionId);
       res.json({
         success: true,
         message: 'Logout realizado com sucesso'
@@ -149,23 +389,151 @@ async function startServer() {
     }
   });
 
-  app.post('/api/auth/refresh', async (req, res) => {
+  // Troca o refresh token por um novo par; o refresh token usado deixa de valer
+  app.post('/api/auth/refresh', limit('auth_refresh'), validate(routes.refresh), async (req, res) => {
     try {
-      const { token } = req.body;
-      const result = await authService.refreshToken(token);
+      const tokens = await sessionService.refresh(req.body.refreshToken, sessionMeta(req));
       res.json({
         success: true,
-        data: result
+        data: { ...tokens, token: tokens.accessToken }
       });
     } catch (error) {
       res.status(401).json({
         success: false,
-        error: error.message
+        error: error.status ? error.message : 'Refresh token inválido ou expirado'
+      });
+    }
+  });
+
+  // ===== VERIFICAÇÃO EM DUAS ETAPAS (TOTP) =====
+  const sendTwoFactorError = (res, error) => {
+    console.error('Erro na verificação em duas etapas:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Erro interno do servidor'
+    });
+  };
+
+  app.get('/api/auth/2fa', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      res.json({ success: true, data: await twoFactorService.getStatus(req.user.id) });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  });
+
+  // Gera o segredo; o cliente mostra o otpauthUri como QR code
+  app.post('/api/auth/2fa/setup', authenticateToken(sessionService), validate(routes.noBody), async (req, res) => {
+    try {
+      res.json({ success: true, data: await twoFactorService.setup(req.user) });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  });
+
+  // Ativa com o primeiro código e devolve os códigos de recuperação (exibidos uma única vez)
+  app.post('/api/auth/2fa/enable', authenticateToken(sessionService), limit('two_factor'), validate(routes.twoFactorCode), async (req, res) => {
+    try {
+      const result = await twoFactorService.enable(req.user.id, req.body.code);
+      res.json({ success: true, message: 'Verificação em duas etapas ativada', data: result });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  });
+
+  app.post('/api/auth/2fa/disable', authenticateToken(sessionService), limit('two_factor'), validate(routes.passwordConfirmation), async (req, res) => {
+    try {
+      await twoFactorService.disable(req.user.id, req.body.password);
+      res.json({ success: true, message: 'Verificação em duas etapas desativada' });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  });
+
+  app.post('/api/auth/2fa/recovery-codes', authenticateToken(sessionService), limit('two_factor'), validate(routes.passwordConfirmation), async (req, res) => {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.password);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  });
+
+  // ===== CONFIRMAÇÃO DE E-MAIL E RECUPERAÇÃO DE SENHA =====
+  app.post('/api/auth/verify-email', limit('verify_email'), validate(routes.tokenBody), async (req, res) => {
+    try {
+      await accountService.verifyEmail(req.body.token);
+      res.json({ success: true, message: 'E-mail confirmado com sucesso' });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  });
+
+  app.post('/api/auth/resend-verification', authenticateToken(sessionService), limit('resend_verification'), validate(routes.noBody), async (req, res) => {
+    try {
+      await accountService.sendVerification(req.user.id);
+      res.json({ success: true, message: 'Enviamos um novo link de confirmação' });
+    } catch (error) {
+      console.error('Erro ao reenviar confirmação de e-mail:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  });
+
+  // Mesma resposta para e-mails cadastrados ou não
+  // Busca e envio em segundo plano, como no cadastro: a resposta é a mesma e sai no mesmo
+  // tempo com ou sem conta para o e-mail, e uma falha no envio não aparece para o cliente
+  app.post('/api/auth/forgot-password', limit('forgot_password'), validate(routes.forgotPassword), (req, res) => {
+    accountService.requestPasswordReset(req.body.email)
+      .catch(error => console.error('❌ Erro ao enviar redefinição de senha:', error));
+
+    res.json({
+      success: true,
+      message: 'Se o e-mail estiver cadastrado, você receberá um link para redefinir a senha'
+    });
+  });
+
+  app.post('/api/auth/reset-password', limit('reset_password'), validate(routes.resetPassword), async (req, res) => {
+    try {
+      await accountService.resetPassword(req.body.token, req.body.password);
+      res.json({ success: true, message: 'Senha redefinida. Entre novamente com a nova senha' });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
       });
     }
   });
 
-  app.get('/api/auth/me', authenticateToken(authService), async (req, res) => {
+  app.get('/api/auth/sessions', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+      res.json({ success: true, data: sessions });
+    } catch (error) {
+      console.error('Erro ao listar sessões:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Encerra uma sessão (ex.: um celular perdido) e desconecta os sockets dela
+  app.delete('/api/auth/sessions/:id', authenticateToken(sessionService), validate(routes.sessionParams), async (req, res) => {
+    try {
+      await sessionService.revokeForUser(req.user.id, req.params.id);
+      res.json({ success: true, message: 'Sessão encerrada' });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  });
+
+  app.get('/api/auth/me', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
     try {
       console.log('📋 Endpoint /api/auth/me chamado');
       console.log('👤 Usuário autenticado:', req.user);
@@ -183,9 +551,10 @@ async function startServer() {
   });
 
   // ===== ROTAS DA API =====
-  app.get('/api/users', authenticateToken(authService), async (req, res) => {
+  app.get('/api/users', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
     try {
-      const users = await userRepository.findAll(req.user.id);
+      // Sem os usuários bloqueados (nos dois sentidos) e com a presença conforme a privacidade de cada um
+      const users = await privacyService.applyPresencePrivacy(req.user.id, await userRepository.findAll(req.user.id));
       res.json({
         success: true,
         data: users
@@ -198,7 +567,218 @@ async function startServer() {
     }
   });
 
-  app.get('/api/rooms', authenticateToken(authService), async (req, res) => {
+  // ===== PERFIL =====
+  const sendProfileError = (res, error) => {
+    console.error('Erro no perfil:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Erro interno do servidor'
+    });
+  };
+
+  app.get('/api/users/:id', authenticateToken(sessionService), validate(routes.userParams), async (req, res) => {
+    try {
+      const profile = await profileService.getProfile(req.params.id, req.user.id);
+      const [visibleProfile] = await privacyService.applyPresencePrivacy(req.user.id, [profile], { dropBlocked: false });
+      res.json({ success: true, data: visibleProfile });
+    } catch (error) {
+      sendProfileError(res, error);
+    }
+  });
+
+  // { displayName, bio, status }
+  app.patch('/api/users/:id', authenticateToken(sessionService), requireOwnership, validate(routes.updateProfile), async (req, res) => {
+    try {
+      const profile = await profileService.updateProfile(req.user.id, req.body);
+      notifier.broadcastProfile(profile);
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      sendProfileError(res, error);
+    }
+  });
+
+  app.put('/api/users/:id/avatar', authenticateToken(sessionService), requireOwnership, validate(routes.userParams), (req, res, next) => {
+    avatarUpload.single('avatar')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, error: error.code === 'LIMIT_FILE_SIZE' ? 'Imagem muito grande' : error.message });
+      }
+      next();
+    });
+  }, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Nenhuma imagem foi enviada' });
+      }
+      const profile = await profileService.updateAvatar(req.user.id, req.file);
+      notifier.broadcastProfile(profile);
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      sendProfileError(res, error);
+    }
+  });
+
+  app.delete('/api/users/:id/avatar', authenticateToken(sessionService), requireOwnership, validate(routes.userParams), async (req, res) => {
+    try {
+      const profile = await profileService.removeAvatar(req.user.id);
+      notifier.broadcastProfile(profile);
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      sendProfileError(res, error);
+    }
+  });
+
+  // Público para funcionar em <img src>; a URL muda a cada novo avatar, então pode ficar em cache.
+  // Com token, quem tem bloqueio com o dono não vê o avatar (como em profile_updated e na lista de usuários)
+  app.get('/api/users/:id/avatar', optionalAuth(sessionService), validate(routes.userParams), async (req, res) => {
+    try {
+      if (req.user && await privacyService.isBlockedBetween(req.user.id, req.params.id)) {
+        throw new ServiceError('Avatar não encontrado', 404);
+      }
+      const { stream, size } = await profileService.openAvatar(req.params.id);
+      res.type('image/webp');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      // A resposta com token depende de quem pede: não vai para caches compartilhados
+      res.setHeader('Cache-Control', req.user ? 'private, max-age=86400' : 'public, max-age=86400');
+      if (size !== undefined) {
+        res.setHeader('Content-Length', String(size));
+      }
+      stream.on('error', (error) => {
+        console.error('Erro ao ler avatar do storage:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Erro interno do servidor' });
+    }
+  });
+
+  // { currentPassword, newPassword }; as outras sessões são encerradas
+  app.put('/api/users/:id/password', authenticateToken(sessionService), requireOwnership, limit('password_change'), validate(routes.changePassword), async (req, res) => {
+    try {
+      await accountService.changePassword(req.user.id, req.user.sessionId, req.body.currentPassword, req.body.newPassword);
+      res.json({ success: true, message: 'Senha alterada com sucesso' });
+    } catch (error) {
+      sendProfileError(res, error);
+    }
+  });
+
+  // ===== CONTATOS, BLOQUEIOS E PRIVACIDADE =====
+
+  const sendPrivacyError = (res, error) => {
+    console.error('Erro em contatos/privacidade:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Erro interno do servidor'
+    });
+  };
+
+  const publicUser = ({ id, username }) => ({ id, username });
+
+  app.get('/api/contacts', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      const contacts = await privacyService.listContacts(req.user.id);
+      res.json({ success: true, data: contacts });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.get('/api/contacts/requests', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      res.json({ success: true, data: await privacyService.listRequests(req.user.id) });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  // { username } — se o outro usuário já tinha pedido, vira contato na hora
+  app.post('/api/contacts', authenticateToken(sessionService), limit('contact_request'), validate(routes.usernameBody), async (req, res) => {
+    try {
+      const { target, status } = await privacyService.requestContact(req.user.id, req.body.username);
+      if (status === 'accepted') {
+        notifier.emitToUser(target.id, "contact_accepted", { user: publicUser(req.user) });
+        await notifier.broadcastUsersList();
+      } else {
+        notifier.emitToUser(target.id, "contact_request", { from: publicUser(req.user) });
+      }
+      res.status(status === 'accepted' ? 200 : 201).json({ success: true, data: { user: publicUser(target), status } });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.post('/api/contacts/:username/accept', authenticateToken(sessionService), limit('contact_request'), validate(routes.usernameParams), async (req, res) => {
+    try {
+      const { target, status } = await privacyService.acceptContact(req.user.id, req.params.username);
+      notifier.emitToUser(target.id, "contact_accepted", { user: publicUser(req.user) });
+      await notifier.broadcastUsersList();
+      res.json({ success: true, data: { user: publicUser(target), status } });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  // Remove o contato, recusa ou cancela o pedido
+  app.delete('/api/contacts/:username', authenticateToken(sessionService), limit('contact_request'), validate(routes.usernameParams), async (req, res) => {
+    try {
+      const { target } = await privacyService.removeContact(req.user.id, req.params.username);
+      notifier.emitToUser(target.id, "contact_removed", { user: publicUser(req.user) });
+      await notifier.broadcastUsersList();
+      res.json({ success: true, message: 'Contato removido' });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.get('/api/blocks', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      res.json({ success: true, data: await privacyService.listBlocked(req.user.id) });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  // { username } — o bloqueado não é avisado; só deixa de ver a presença de quem bloqueou
+  app.post('/api/blocks', authenticateToken(sessionService), limit('contact_request'), validate(routes.usernameBody), async (req, res) => {
+    try {
+      const { target } = await privacyService.block(req.user.id, req.body.username);
+      await notifier.broadcastUsersList();
+      res.status(201).json({ success: true, data: { user: publicUser(target) } });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.delete('/api/blocks/:username', authenticateToken(sessionService), limit('contact_request'), validate(routes.usernameParams), async (req, res) => {
+    try {
+      await privacyService.unblock(req.user.id, req.params.username);
+      await notifier.broadcastUsersList();
+      res.json({ success: true, message: 'Usuário desbloqueado' });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.get('/api/privacy', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
+    try {
+      res.json({ success: true, data: await privacyService.getSettings(req.user.id) });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  // { onlineVisibility, lastSeenVisibility }: everyone, contacts ou nobody
+  app.patch('/api/privacy', authenticateToken(sessionService), validate(routes.updatePrivacy), async (req, res) => {
+    try {
+      const settings = await privacyService.updateSettings(req.user.id, req.body);
+      await notifier.broadcastUsersList();
+      res.json({ success: true, data: settings });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  });
+
+  app.get('/api/rooms', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
     try {
       const rooms = await roomRepository.findUserRooms(req.user.id);
       res.json({
@@ -214,20 +794,18 @@ async function startServer() {
   });
 
   // Route para upload de arquivos
-  app.post('/api/upload', authenticateToken(authService), upload.single('file'), (req, res) => {
+  app.post('/api/upload', authenticateToken(sessionService), limit('upload'), validate(routes.noQuery), upload.single('file'), async (req, res) => {
+    let processed = null;
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'Nenhum arquivo foi enviado' });
       }
 
-      const fileInfo = {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        size: req.file.size,
-        mimetype: req.file.mimetype,
-        url: `/uploads/${req.file.filename}`,
-        uploadDate: new Date().toISOString()
-      };
+      // Conferir o conteúdo real e gerar miniatura/prévia/metadados das imagens
+      processed = await mediaService.process(req.file);
+
+      // Registrar o anexo com quem enviou; a sala é definida ao publicar na mensagem
+      const fileInfo = await attachmentService.register(req.file, req.user.id, processed);
 
       res.json({
         success: true,
@@ -235,32 +813,200 @@ async function startServer() {
       });
     } catch (error) {
       console.error('Erro no upload:', error);
-      res.status(500).json({ error: 'Erro interno do servidor' });
+      if (req.file) {
+        await mediaService.discard(req.file, processed && processed.media);
+      }
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
+    }
+  });
+
+  // Envia o arquivo do anexo (sem servir a pasta de uploads diretamente)
+  // variant: "thumbnail" ou "preview" para as versões reduzidas das imagens
+  async function sendAttachment(res, attachment, variant = null) {
+    const { stream, size } = await attachmentService.openFile(attachment, variant);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(attachment.original_name || attachment.filename)}"`);
+    res.type(variant ? 'image/webp' : (attachment.mimetype || 'application/octet-stream'));
+    if (size !== undefined) {
+      res.setHeader('Content-Length', String(size));
+    }
+    stream.on('error', (error) => {
+      console.error('Erro ao ler arquivo do storage:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  // Download autenticado: quem enviou ou membros da sala onde foi publicado
+  app.get('/api/attachments/:id', authenticateToken(sessionService), validate(routes.attachment), async (req, res) => {
+    try {
+      const attachment = await attachmentService.getForDownload(req.params.id, req.user.id);
+      await sendAttachment(res, attachment, req.query.variant);
+    } catch (error) {
+      console.error('Erro ao baixar arquivo:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
     }
   });
 
-  // Route para deletar arquivos
-  app.delete('/api/upload/:filename', authenticateToken(authService), (req, res) => {
+  // Gera uma URL assinada de curta duração (para <img src> e links diretos)
+  app.get('/api/attachments/:id/signed-url', authenticateToken(sessionService), validate(routes.attachment), async (req, res) => {
     try {
-      const filename = req.params.filename;
-      const filePath = path.join(__dirname, 'uploads', filename);
+      const signed = await attachmentService.createSignedUrl(req.params.id, req.user.id, req.query.variant);
+      res.json({
+        success: true,
+        data: signed
+      });
+    } catch (error) {
+      console.error('Erro ao assinar URL:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
+    }
+  });
 
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        res.json({ success: true, message: 'Arquivo deletado com sucesso' });
-      } else {
-        res.status(404).json({ error: 'Arquivo não encontrado' });
-      }
+  // Download por URL assinada (sem header Authorization)
+  app.get('/api/attachments/:id/signed', validate(routes.signedAttachment), async (req, res) => {
+    try {
+      const { variant, expires, signature } = req.query;
+      const attachment = await attachmentService.getForSignedDownload(req.params.id, variant, expires, signature);
+      await sendAttachment(res, attachment, variant);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
+    }
+  });
+
+  // Route para deletar arquivos (somente quem enviou)
+  app.delete('/api/upload/:filename', authenticateToken(sessionService), validate(routes.uploadFilename), async (req, res) => {
+    try {
+      await attachmentService.deleteByFilename(req.params.filename, req.user.id);
+      res.json({ success: true, message: 'Arquivo deletado com sucesso' });
     } catch (error) {
       console.error('Erro ao deletar arquivo:', error);
-      res.status(500).json({ error: 'Erro interno do servidor' });
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
+    }
+  });
+
+  // ===== UPLOAD RETOMÁVEL (protocolo tus) =====
+
+  // Todas as respostas informam a versão do protocolo; pedido de outra versão responde 412
+  const tusHeaders = (req, res, next) => {
+    res.setHeader('Tus-Resumable', UploadService.TUS_VERSION);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const requested = req.get('Tus-Resumable');
+    if (requested && requested !== UploadService.TUS_VERSION) {
+      res.setHeader('Tus-Version', UploadService.TUS_VERSION);
+      return res.status(412).json({ error: `Versão do protocolo tus não suportada: ${requested}` });
+    }
+    next();
+  };
+
+  const sendUploadError = (res, error) => {
+    console.error('Erro no upload retomável:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Erro interno do servidor' });
+  };
+
+  const setUploadHeaders = (res, session) => {
+    res.setHeader('Upload-Offset', String(session.upload_offset));
+    res.setHeader('Upload-Length', String(session.upload_length));
+    res.setHeader('Upload-Expires', new Date(session.expires_at * 1000).toUTCString());
+  };
+
+  // Corpo da parte em bytes crus, limitado ao tamanho máximo de uma parte
+  const readChunk = express.raw({ type: 'application/offset+octet-stream', limit: uploadService.maxChunkSize });
+  const readUploadChunk = (req, res, next) => {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ error: 'Content-Type deve ser application/offset+octet-stream' });
+    }
+    readChunk(req, res, (error) => {
+      if (error) {
+        return res.status(error.status || 400).json({ error: 'Parte excede o tamanho máximo permitido' });
+      }
+      next();
+    });
+  };
+
+  // Descoberta das capacidades do servidor (sem autenticação, como no protocolo)
+  app.options('/api/uploads', tusHeaders, validate(routes.noQuery), (req, res) => {
+    res.setHeader('Tus-Version', UploadService.TUS_VERSION);
+    res.setHeader('Tus-Extension', UploadService.TUS_EXTENSIONS.join(','));
+    res.setHeader('Tus-Max-Size', String(uploadService.maxSize));
+    res.setHeader('Tus-Checksum-Algorithm', UploadService.CHECKSUM_ALGORITHMS.join(','));
+    res.status(204).end();
+  });
+
+  // Inicia a sessão: Upload-Length + Upload-Metadata (filename e filetype em base64)
+  app.post('/api/uploads', tusHeaders, authenticateToken(sessionService), limit('upload'), validate(routes.noQuery), async (req, res) => {
+    try {
+      const session = await uploadService.create(req.user.id, {
+        length: req.get('Upload-Length'),
+        metadata: req.get('Upload-Metadata')
+      });
+
+      setUploadHeaders(res, session);
+      res.setHeader('Location', `/api/uploads/${session.id}`);
+      res.status(201).json({ success: true, data: uploadService.toStatus(session) });
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  });
+
+  // Offset já recebido, para retomar de onde parou
+  app.head('/api/uploads/:id', tusHeaders, authenticateToken(sessionService), validate(routes.uploadSession), async (req, res) => {
+    try {
+      const session = await uploadService.getSession(req.params.id, req.user.id);
+      setUploadHeaders(res, session);
+      res.status(200).end();
+    } catch (error) {
+      res.status(error.status || 500).end();
+    }
+  });
+
+  app.get('/api/uploads/:id', tusHeaders, authenticateToken(sessionService), validate(routes.uploadSession), async (req, res) => {
+    try {
+      const session = await uploadService.getSession(req.params.id, req.user.id);
+      setUploadHeaders(res, session);
+      res.json({ success: true, data: uploadService.toStatus(session), file: await uploadService.findFile(session) });
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  });
+
+  // Envia a parte que começa em Upload-Offset (Upload-Checksum opcional: "sha1 <base64>").
+  // A última parte valida o conteúdo e registra o anexo antes de responder.
+  app.patch('/api/uploads/:id', tusHeaders, authenticateToken(sessionService), validate(routes.uploadSession), readUploadChunk, async (req, res) => {
+    try {
+      const session = await uploadService.appendChunk(req.params.id, req.user.id, {
+        offset: req.get('Upload-Offset'),
+        chunk: req.body,
+        checksum: req.get('Upload-Checksum')
+      });
+
+      setUploadHeaders(res, session);
+      res.status(204).end();
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  });
+
+  app.delete('/api/uploads/:id', tusHeaders, authenticateToken(sessionService), validate(routes.uploadSession), async (req, res) => {
+    try {
+      await uploadService.cancel(req.params.id, req.user.id);
+      res.status(204).end();
+    } catch (error) {
+      sendUploadError(res, error);
     }
   });
 
+  // Limpeza periódica das sessões abandonadas
+  setInterval(() => {
+    uploadService.cleanupExpired()
+      .then(count => count && console.log(`🧹 ${count} upload(s) expirado(s) removido(s)`))
+      .catch(error => console.error('❌ Erro ao limpar uploads expirados:', error));
+  }, 60 * 60 * 1000).unref();
+
   // ===== ROTAS DE MENSAGENS =====
 
   // Endpoint de teste simples SEM autenticação
-  app.get('/api/messages/health', async (req, res) => {
+  app.get('/api/messages/health', validate(routes.noQuery), async (req, res) => {
     try {
       console.log('🏥 Endpoint de health check chamado');
       res.json({
@@ -278,7 +1024,7 @@ async function startServer() {
   });
 
   // Endpoint de teste simples
-  app.get('/api/messages/test', authenticateToken(authService), async (req, res) => {
+  app.get('/api/messages/test', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
     try {
       console.log('🧪 Endpoint de teste chamado');
       console.log('👤 Usuário autenticado:', req.user);
@@ -297,31 +1043,77 @@ async function startServer() {
     }
   });
 
+  // Lê os parâmetros de paginação (?before=ID, ?after=ID, ?limit=N)
+  function parseHistoryQuery(query) {
+    const cursors = {};
+    for (const key of ['before', 'after']) {
+      if (query[key] === undefined) continue;
+      const value = parseInt(query[key]);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Cursor "${key}" inválido`);
+      }
+      cursors[key] = value;
+    }
+    if (cursors.before && cursors.after) {
+      throw new Error('Use apenas um cursor: "before" ou "after"');
+    }
+    return { ...cursors, limit: query.limit };
+  }
+
+  // Metadados de paginação devolvidos junto com cada página
+  function buildPagination(page, query) {
+    const first = page.messages[0];
+    const last = page.messages[page.messages.length - 1];
+    return {
+      limit: page.limit,
+      hasMore: page.hasMore,
+      before: first ? first.id : null,
+      after: last ? last.id : (query.after || null)
+    };
+  }
+
   // Buscar mensagens de uma conversa privada
-  app.get('/api/messages/private/:username', authenticateToken(authService), async (req, res) => {
+  app.get('/api/messages/private/:username', authenticateToken(sessionService), validate(routes.privateHistory), async (req, res) => {
     try {
       console.log('🔍 Endpoint /api/messages/private chamado');
       const { username } = req.params;
       const currentUser = req.user;
 
-      console.log('📝 Parâmetros:', { username, currentUserId: currentUser.id, currentUsername: currentUser.username });
-
-      // Por enquanto, vamos retornar mensagens mock para testar
-      const mockMessages = [
-        {
-          id: 1,
-          from: 'sistema',
-          message: 'Histórico de mensagens carregado com sucesso!',
-          timestamp: '12:00',
-          type: 'received',
-          fileData: null
-        }
-      ];
+      let query;
+      try {
+        query = parseHistoryQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      const targetUser = await userRepository.findByUsername(username);
+      if (!targetUser) {
+        return res.status(404).json({
+          success: false,
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      const room = await roomRepository.createOrFindPrivateRoom(currentUser.id, targetUser.id);
+      if (!await roomRepository.isMember(room.id, currentUser.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado a esta conversa'
+        });
+      }
+
+      const page = await historyRepository.findPage(room.id, query);
+      await reactionService.attachReactions(page.messages);
+
+      // Mesmo formato de "receive_private"
+      const messages = await messageService.serializeMessages(page.messages, { id: room.id, type: 'private', partner: targetUser }, currentUser);
 
-      console.log('✅ Retornando mensagens mock');
       res.json({
         success: true,
-        data: mockMessages
+        data: messages,
+        roomId: room.id,
+        readState: await conversationRepository.getReadState(room.id),
+        pagination: buildPagination(page, query)
       });
 
     } catch (error) {
@@ -334,30 +1126,35 @@ async function startServer() {
   });
 
   // Buscar mensagens de um grupo
-  app.get('/api/messages/group/:roomId', authenticateToken(authService), async (req, res) => {
+  app.get('/api/messages/group/:roomId', authenticateToken(sessionService), validate(routes.groupHistory), async (req, res) => {
     try {
       console.log('🔍 Endpoint /api/messages/group chamado');
-      const { roomId } = req.params;
+      const roomId = parseInt(req.params.roomId);
       const currentUser = req.user;
 
-      console.log('📝 Parâmetros:', { roomId, currentUserId: currentUser.id, currentUsername: currentUser.username });
-
-      // Por enquanto, vamos retornar mensagens mock para testar
-      const mockMessages = [
-        {
-          id: 1,
-          from: 'sistema',
-          message: 'Histórico de mensagens do grupo carregado com sucesso!',
-          timestamp: '12:00',
-          type: 'received',
-          fileData: null
-        }
-      ];
+      let query;
+      try {
+        query = parseHistoryQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      if (!roomId || !await roomRepository.isMember(roomId, currentUser.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Você não é membro deste grupo'
+        });
+      }
+
+      const page = await historyRepository.findPage(roomId, query);
+      await reactionService.attachReactions(page.messages);
 
-      console.log('✅ Retornando mensagens mock do grupo');
       res.json({
         success: true,
-        data: mockMessages
+        data: await messageService.serializeMessages(page.messages, { id: roomId, type: 'group' }, currentUser),
+        roomId,
+        readState: await conversationRepository.getReadState(roomId),
+        pagination: buildPagination(page, query)
       });
 
     } catch (error) {
@@ -370,18 +1167,55 @@ async function startServer() {
   });
 
   // Buscar todas as conversas do usuário com contadores de mensagens não lidas
-  app.get('/api/messages/conversations', authenticateToken(authService), async (req, res) => {
+  app.get('/api/messages/conversations', authenticateToken(sessionService), validate(routes.noQuery), async (req, res) => {
     try {
       console.log('🔍 Endpoint /api/messages/conversations chamado');
       const currentUser = req.user;
       console.log('👤 Usuário atual:', { id: currentUser.id, username: currentUser.username });
 
-      // Por enquanto, retornar array vazio para não quebrar
-      // Implementação completa será feita após testar os outros endpoints
-      console.log('✅ Retornando lista vazia de conversas temporariamente');
+      const conversations = await conversationRepository.findByUser(currentUser.id);
+      const participants = await privacyService.applyPresencePrivacy(
+        currentUser.id,
+        conversations.map(conversation => conversation.participant).filter(Boolean),
+        { dropBlocked: false }
+      );
+      const visibleParticipants = new Map(participants.map(participant => [participant.id, participant]));
+
+      const data = conversations.map(conversation => {
+        const { lastMessage } = conversation;
+        const participant = conversation.participant && visibleParticipants.get(conversation.participant.id);
+        let lastMessagePayload = null;
+
+        if (lastMessage) {
+          lastMessagePayload = toMessageDto(lastMessage, {
+            type: conversation.type,
+            to: lastMessage.user_id === currentUser.id ? (participant && participant.username) : currentUser.username
+          });
+        }
+
+        return {
+          roomId: conversation.id,
+          type: conversation.type,
+          name: conversation.type === 'private'
+            ? (participant ? participant.username : null)
+            : conversation.name,
+          participant: participant ? {
+            id: participant.id,
+            username: participant.username,
+            avatar: participant.avatar,
+            status: participant.status || 'available',
+            isOnline: !!participant.is_online,
+            lastSeen: participant.last_seen
+          } : null,
+          lastMessage: lastMessagePayload,
+          unreadCount: conversation.unread_count,
+          lastReadMessageId: conversation.last_read_message_id
+        };
+      });
+
       res.json({
         success: true,
-        data: []
+        data
       });
 
     } catch (error) {
@@ -393,318 +1227,224 @@ async function startServer() {
     }
   });
 
-  // Map para rastrear usuários conectados (userId -> socketId)
-  const connectedUsers = new Map();
-
-  // Função para broadcast da lista de usuários
-  async function broadcastUsersList() {
+  // Busca textual nas conversas do usuário
+  // ?q=texto&roomId=&sender=&since=&until=&hasAttachment=&sort=relevance|recent&cursor=&limit=
+  app.get('/api/messages/search', authenticateToken(sessionService), limit('search'), validate(routes.search), async (req, res) => {
     try {
-      const userIds = Array.from(connectedUsers.keys());
-      const allOnlineUsers = [];
-
-      for (const userId of userIds) {
-        try {
-          const user = await userRepository.findById(userId);
-          if (user) {
-            allOnlineUsers.push({
-              id: user.id,
-              username: user.username,
-              status: user.status || 'available'
-            });
-          }
-        } catch (error) {
-          console.error(`Erro ao buscar usuário ${userId}:`, error);
-        }
-      }
-
-      console.log('Broadcasting users list to all connected users');
-
-      // Enviar lista personalizada para cada usuário (sem ele mesmo)
-      for (const [userId, socketId] of connectedUsers) {
-        const socket = io.sockets.sockets.get(socketId);
-        if (socket) {
-          const otherUsers = allOnlineUsers.filter(user => user.id !== userId);
-          console.log(`Sending ${otherUsers.length} other users to user ${userId}`);
-          socket.emit("user_list", otherUsers);
-        }
-      }
+      const { results, pagination } = await searchService.search(req.user, req.query);
+      await reactionService.attachReactions(results);
+      res.json({
+        success: true,
+        data: results,
+        pagination
+      });
     } catch (error) {
-      console.error("Erro ao enviar lista de usuários:", error);
+      console.error('❌ Erro na busca de mensagens:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
     }
-  }
-
-  io.on("connection", async (socket) => {
-    const user = socket.user;
-    console.log(`✅ Usuário conectado via Socket.IO: ${user.username} (ID: ${user.id})`);
+  });
 
-    // Atualizar status online
-    await userRepository.updateOnlineStatus(user.id, true);
-    connectedUsers.set(user.id, socket.id);
+  // Editar mensagem (somente o autor)
+  app.patch('/api/messages/:id', authenticateToken(sessionService), limit('message_edit'), validate(routes.editMessage), async (req, res) => {
+    try {
+      const message = await messageService.editMessage(req.params.id, req.user.id, req.body.message);
+      const payload = toEditedPayload(message);
+      await notifier.emitToRoomMembers(message.room_id, "message_edited", payload);
 
-    console.log(`👥 Total de usuários conectados: ${connectedUsers.size}`);
+      res.json({
+        success: true,
+        data: payload
+      });
+    } catch (error) {
+      console.error('❌ Erro ao editar mensagem:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
 
-    // Enviar lista de usuários online para todos
-    await broadcastUsersList();
+  // Excluir mensagem (somente o autor)
+  app.delete('/api/messages/:id', authenticateToken(sessionService), limit('message_edit'), validate(routes.messageParams), async (req, res) => {
+    try {
+      const message = await messageService.deleteMessage(req.params.id, req.user.id);
+      const payload = toDeletedPayload(message);
+      await notifier.emitToRoomMembers(message.room_id, "message_deleted", payload);
+      if (message.thread_id) {
+        await notifier.notifyThreadUpdated(message.thread_id, message.room_id);
+      }
 
-    // Buscar e enviar histórico de mensagens do usuário
-    const userRooms = await roomRepository.findUserRooms(user.id);
-    for (const room of userRooms) {
-      const messages = await messageRepository.findByRoom(room.id, 50);
-      socket.emit("room_history", { roomId: room.id, messages });
+      res.json({
+        success: true,
+        data: payload
+      });
+    } catch (error) {
+      console.error('❌ Erro ao excluir mensagem:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
     }
+  });
 
-    // ===== EVENTOS DE MENSAGENS =====
-
-    // Enviar mensagem privada
-    socket.on("send_private", async ({ to, message, fileData }) => {
+  // Thread de uma mensagem: a raiz e as respostas, paginadas como o histórico (?before, ?after, ?limit)
+  app.get('/api/messages/:id/thread', authenticateToken(sessionService), validate(routes.thread), async (req, res) => {
+    try {
+      let query;
       try {
-        // Buscar usuário destinatário
-        const targetUser = await userRepository.findByUsername(to);
-        if (!targetUser) {
-          socket.emit("error", { message: "Usuário não encontrado" });
-          return;
-        }
-
-        // Criar ou encontrar sala privada
-        const room = await roomRepository.createOrFindPrivateRoom(user.id, targetUser.id);
-
-        // Salvar mensagem no banco
-        const messageData = {
-          room_id: room.id,
-          user_id: user.id,
-          content: message,
-          message_type: fileData ? 'file' : 'text',
-          file_data: fileData || null
-        };
-
-        const savedMessage = await messageRepository.create(messageData);
-
-        const payload = {
-          id: savedMessage.id,
-          from: user.username,
-          to: to,
-          message,
-          fileData,
-          timestamp: new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
-          type: 'private'
-        };
-
-        // Enviar para o destinatário se estiver online
-        const targetSocketId = connectedUsers.get(targetUser.id);
-        if (targetSocketId) {
-          io.to(targetSocketId).emit("receive_private", payload);
-        }
-
-        // Confirmar envio para o remetente
-        socket.emit("message_sent", payload);
-
+        query = parseHistoryQuery(req.query);
       } catch (error) {
-        console.error("Erro ao enviar mensagem privada:", error);
-        socket.emit("error", { message: "Erro ao enviar mensagem" });
+        return res.status(400).json({ success: false, error: error.message });
       }
-    });
 
-    // Enviar mensagem em grupo
-    socket.on("send_group", async ({ roomId, message, fileData }) => {
-      try {
-        // Verificar se usuário é membro da sala
-        if (!await roomRepository.isMember(roomId, user.id)) {
-          socket.emit("error", { message: "Você não é membro deste grupo" });
-          return;
-        }
-
-        // Salvar mensagem no banco
-        const messageData = {
-          room_id: roomId,
-          user_id: user.id,
-          content: message,
-          message_type: fileData ? 'file' : 'text',
-          file_data: fileData || null
-        };
+      const { root, page } = await threadService.getThread(req.params.id, req.user.id, query);
+      await reactionService.attachReactions([root, ...page.messages]);
 
-        const savedMessage = await messageRepository.create(messageData);
+      // Mesmo formato do histórico da conversa
+      const [rootPayload, ...replies] = await messageService.serializeMessages(
+        [root, ...page.messages],
+        { id: root.room_id, type: root.room_type },
+        req.user
+      );
 
-        const payload = {
-          id: savedMessage.id,
-          from: user.username,
-          roomId,
-          message,
-          fileData,
-          timestamp: new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
-          type: 'group'
-        };
+      res.json({
+        success: true,
+        data: replies,
+        root: rootPayload,
+        roomId: root.room_id,
+        pagination: buildPagination(page, query)
+      });
+    } catch (error) {
+      console.error('❌ Erro ao buscar thread:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  });
 
-        // Buscar membros do grupo e enviar mensagem
-        const members = await roomRepository.getRoomMembers(roomId);
-        members.forEach(member => {
-          const memberSocketId = connectedUsers.get(member.id);
-          if (memberSocketId) {
-            io.to(memberSocketId).emit("receive_group", payload);
-          }
+  // Situação de entrega de uma mensagem (somente o autor)
+  app.get('/api/messages/:id/deliveries', authenticateToken(sessionService), validate(routes.messageParams), async (req, res) => {
+    try {
+      const message = await historyRepository.findById(parseInt(req.params.id));
+      if (!message || message.user_id !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mensagem não encontrada'
         });
-
-      } catch (error) {
-        console.error("Erro ao enviar mensagem em grupo:", error);
-        socket.emit("error", { message: "Erro ao enviar mensagem" });
       }
-    });
 
-    // Criar grupo
-    socket.on("create_group", async ({ groupName, members }) => {
-      try {
-        // Criar sala
-        const room = await roomRepository.create({
-          name: groupName,
-          type: 'group',
-          created_by: user.id
-        });
+      res.json({
+        success: true,
+        data: await deliveryRepository.findByMessage(message.id)
+      });
+    } catch (error) {
+      console.error('❌ Erro ao buscar entregas:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
 
-        // Adicionar criador
-        await roomRepository.addMember(room.id, user.id);
-
-        // Adicionar membros
-        for (const memberUsername of members) {
-          const member = await userRepository.findByUsername(memberUsername);
-          if (member) {
-            await roomRepository.addMember(room.id, member.id);
-
-            // Notificar membro se estiver online
-            const memberSocketId = connectedUsers.get(member.id);
-            if (memberSocketId) {
-              io.to(memberSocketId).emit("group_created", {
-                roomId: room.id,
-                groupName,
-                members: [user.username, ...members],
-                createdBy: user.username
-              });
-            }
-          }
-        }
+  // ===== ROTAS DE GRUPOS =====
 
-        // Notificar criador
-        socket.emit("group_created", {
-          roomId: room.id,
-          groupName,
-          members: [user.username, ...members],
-          createdBy: user.username
+  // Executa uma operação de grupo e notifica os membros
+  function groupRoute(operation) {
+    return async (req, res) => {
+      try {
+        const result = await operation(req);
+        await notifier.broadcastGroupChange(result);
+        res.json({
+          success: true,
+          data: result
         });
-
       } catch (error) {
-        console.error("Erro ao criar grupo:", error);
-        socket.emit("error", { message: "Erro ao criar grupo" });
+        console.error('❌ Erro na administração do grupo:', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
       }
-    });
+    };
+  }
 
-    // Entrar em uma sala
-    socket.on("join_room", async (roomId) => {
-      try {
-        // Verificar se usuário é membro
-        if (await roomRepository.isMember(roomId, user.id)) {
-          socket.join(roomId);
-
-          // Enviar histórico da sala
-          const messages = await messageRepository.findByRoom(roomId, 50);
-          socket.emit("room_history", messages);
-        } else {
-          socket.emit("error", { message: "Acesso negado a esta sala" });
-        }
-      } catch (error) {
-        console.error("Erro ao entrar na sala:", error);
-        socket.emit("error", { message: "Erro ao entrar na sala" });
-      }
-    });
+  // Mesmo resultado do evento "create_group" do socket
+  app.post('/api/groups', authenticateToken(sessionService), limit('create_group'), validate(routes.createGroup), async (req, res) => {
+    try {
+      const result = await groupService.createGroup(req.user, req.body.name, req.body.members);
+      await notifier.broadcastGroupCreated(result);
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ Erro ao criar grupo:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
 
-    // Sair de uma sala
-    socket.on("leave_room", (roomId) => {
-      socket.leave(roomId);
-    });
+  app.get('/api/groups/:roomId', authenticateToken(sessionService), validate(routes.groupParams), async (req, res) => {
+    try {
+      const group = await groupService.getGroupForMember(parseInt(req.params.roomId), req.user);
+      res.json({
+        success: true,
+        data: group
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
 
-    // Indicador de "digitando"
-    socket.on("typing", async ({ to, roomId }) => {
-      try {
-        if (to) {
-          // Mensagem privada
-          const targetUser = await userRepository.findByUsername(to);
-          if (targetUser) {
-            const targetSocketId = connectedUsers.get(targetUser.id);
-            if (targetSocketId) {
-              io.to(targetSocketId).emit("typing", { from: user.username, type: 'private' });
-            }
-          }
-        } else if (roomId) {
-          // Mensagem em grupo
-          if (await roomRepository.isMember(roomId, user.id)) {
-            socket.to(roomId).emit("typing", { from: user.username, type: 'group', roomId });
-          }
-        }
-      } catch (error) {
-        console.error("Erro no indicador de digitação:", error);
-      }
-    });
+  app.patch('/api/groups/:roomId', authenticateToken(sessionService), limit('group_admin'), validate(routes.renameGroup), groupRoute(req =>
+    groupService.rename(parseInt(req.params.roomId), req.user, req.body.name)
+  ));
 
-    socket.on("stop_typing", async ({ to, roomId }) => {
-      try {
-        if (to) {
-          const targetUser = await userRepository.findByUsername(to);
-          if (targetUser) {
-            const targetSocketId = connectedUsers.get(targetUser.id);
-            if (targetSocketId) {
-              io.to(targetSocketId).emit("stop_typing", { from: user.username, type: 'private' });
-            }
-          }
-        } else if (roomId) {
-          if (await roomRepository.isMember(roomId, user.id)) {
-            socket.to(roomId).emit("stop_typing", { from: user.username, type: 'group', roomId });
-          }
-        }
-      } catch (error) {
-        console.error("Erro ao parar indicador de digitação:", error);
-      }
-    });
+  app.delete('/api/groups/:roomId', authenticateToken(sessionService), limit('group_admin'), validate(routes.groupParams), groupRoute(req =>
+    groupService.deleteGroup(parseInt(req.params.roomId), req.user)
+  ));
 
-    // Atualizar status do usuário
-    socket.on("update_status", async ({ status }) => {
-      try {
-        await userRepository.updateStatus(user.id, status);
-        await broadcastUsersList();
-      } catch (error) {
-        console.error("Erro ao atualizar status:", error);
-      }
-    });
+  app.post('/api/groups/:roomId/leave', authenticateToken(sessionService), limit('group_admin'), validate(routes.groupParams), groupRoute(req =>
+    groupService.leave(parseInt(req.params.roomId), req.user)
+  ));
 
-    // Buscar mensagens
-    socket.on("search_messages", async ({ query }) => {
-      try {
-        const results = await messageRepository.searchMessages(query, user.id);
-        socket.emit("search_results", results);
-      } catch (error) {
-        console.error("Erro na busca:", error);
-        socket.emit("error", { message: "Erro na busca" });
-      }
-    });
+  app.post('/api/groups/:roomId/members', authenticateToken(sessionService), limit('group_admin'), validate(routes.addGroupMember), groupRoute(req =>
+    groupService.addMember(parseInt(req.params.roomId), req.user, req.body.username)
+  ));
 
-    // Desconexão
-    socket.on("disconnect", async () => {
-      try {
-        console.log(`❌ Usuário desconectado: ${user.username} (ID: ${user.id})`);
+  app.delete('/api/groups/:roomId/members/:username', authenticateToken(sessionService), limit('group_admin'), validate(routes.groupMemberParams), groupRoute(req =>
+    groupService.removeMember(parseInt(req.params.roomId), req.user, req.params.username)
+  ));
 
-        // Atualizar status offline
-        await userRepository.updateOnlineStatus(user.id, false);
-        connectedUsers.delete(user.id);
+  app.post('/api/groups/:roomId/members/:username/promote', authenticateToken(sessionService), limit('group_admin'), validate(routes.groupMemberParams), groupRoute(req =>
+    groupService.promote(parseInt(req.params.roomId), req.user, req.params.username)
+  ));
 
-        // Enviar lista atualizada
-        await broadcastUsersList();
-      } catch (error) {
-        console.error("Erro na desconexão:", error);
-      }
-    });
-  });
+  app.post('/api/groups/:roomId/members/:username/demote', authenticateToken(sessionService), limit('group_admin'), validate(routes.groupMemberParams), groupRoute(req =>
+    groupService.demote(parseInt(req.params.roomId), req.user, req.params.username)
+  ));
 
   // ===== SOCKET.IO COM AUTENTICAÇÃO =====
   console.log('🔌 Configurando Socket.IO...');
 
   // Middleware de autenticação para Socket.IO
-  io.use(authenticateSocket(authService));
+  io.use(authenticateSocket(sessionService));
+
+  // Eventos de cada conexão (sockets/registerSocketHandlers.js)
+  registerSocketHandlers(io, {
+    userRepository, roomRepository, messageRepository, historyRepository, conversationRepository, deliveryRepository,
+    privacyService, profileService, messageService, threadService, reactionService, searchService, groupService,
+    attachmentService, presence: realtime.presence, limiter: rateLimits.limiter, notifier
+  });
 
   console.log('🔌 Socket.IO configurado, aguardando conexões...');
 
@@ -737,9 +1477,21 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Fechar conexão do banco ao encerrar
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n🔄 Encerrando servidor...');
-  DatabaseConnection.close();
+  if (realtime) {
+    await realtime.close().catch(error => console.error('❌ Erro ao encerrar tempo real:', error));
+  }
+  if (fileStorage) {
+    await fileStorage.close().catch(error => console.error('❌ Erro ao encerrar storage:', error));
+  }
+  if (mailer) {
+    await mailer.close().catch(error => console.error('❌ Erro ao encerrar mailer:', error));
+  }
+  if (rateLimits) {
+    await rateLimits.close().catch(error => console.error('❌ Erro ao encerrar rate limit:', error));
+  }
+  await DatabaseConnection.close();
   process.exit(0);
 });
 
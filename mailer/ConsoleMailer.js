@@ -0,0 +1,10 @@
+// Mostra o e-mail no log do servidor em vez de enviar
+class ConsoleMailer {
+   async send({ to, subject, text }) {
+      console.log(`📧 E-mail para ${to}: ${subject}\n${text}`);
+   }
+
+   async close() {}
+}
+
+module.exports = ConsoleMailer;
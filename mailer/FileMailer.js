@@ -0,0 +1,27 @@
+// Grava cada e-mail como JSON em uma pasta, para conferir os links em desenvolvimento
+const path = require('path');
+const fs = require('fs-extra');
+
+class FileMailer {
+   constructor({ dir, from = process.env.MAIL_FROM }) {
+      this.dir = dir;
+      this.from = from;
+   }
+
+   async send({ to, subject, text, html }) {
+      await fs.ensureDir(this.dir);
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      await fs.writeJson(path.join(this.dir, filename), {
+         from: this.from,
+         to,
+         subject,
+         text,
+         html,
+         date: new Date().toISOString()
+      }, { spaces: 2 });
+   }
+
+   async close() {}
+}
+
+module.exports = FileMailer;
@@ -0,0 +1,35 @@
+// Envio real por SMTP (qualquer provedor: SES, SendGrid, Mailgun, servidor próprio...)
+class SmtpMailer {
+   constructor({
+      host = process.env.SMTP_HOST,
+      port = parseInt(process.env.SMTP_PORT) || 587,
+      secure = process.env.SMTP_SECURE === 'true',
+      user = process.env.SMTP_USER,
+      password = process.env.SMTP_PASSWORD,
+      from = process.env.MAIL_FROM
+   } = {}) {
+      if (!host) {
+         throw new Error('SMTP_HOST é obrigatório para o mailer smtp');
+      }
+
+      const nodemailer = require('nodemailer');
+
+      this.from = from;
+      this.transport = nodemailer.createTransport({
+         host,
+         port,
+         secure,
+         auth: user ? { user, pass: password } : undefined
+      });
+   }
+
+   async send({ to, subject, text, html }) {
+      await this.transport.sendMail({ from: this.from, to, subject, text, html });
+   }
+
+   async close() {
+      this.transport.close();
+   }
+}
+
+module.exports = SmtpMailer;
@@ -0,0 +1,41 @@
+// Envio de e-mails plugável.
+//
+// MAIL_DRIVER=console (padrão) -> imprime o e-mail no log
+// MAIL_DRIVER=file             -> grava cada e-mail em MAIL_FILE_DIR (JSON)
+// MAIL_DRIVER=smtp             -> envia por SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER...)
+//
+// Todos os drivers expõem send({ to, subject, text, html }) e close().
+const path = require('path');
+const ConsoleMailer = require('./ConsoleMailer');
+const FileMailer = require('./FileMailer');
+const SmtpMailer = require('./SmtpMailer');
+
+function createMailer({ driver = process.env.MAIL_DRIVER || 'console', ...options } = {}) {
+   let mailer;
+   switch (driver) {
+      case 'console':
+         mailer = new ConsoleMailer();
+         break;
+      case 'file':
+         mailer = new FileMailer({
+            dir: path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox'),
+            ...options
+         });
+         break;
+      case 'smtp':
+         mailer = new SmtpMailer(options);
+         break;
+      default:
+         throw new Error(`Mailer ${driver} não suportado`);
+   }
+
+   console.log(`✅ E-mails: driver ${driver}`);
+   return mailer;
+}
+
+module.exports = {
+   createMailer,
+   ConsoleMailer,
+   FileMailer,
+   SmtpMailer
+};
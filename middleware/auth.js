@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 
-// Middleware para verificar token JWT
+// Middleware para verificar token JWT.
+// authService: qualquer serviço com validateToken(token) -> usuário; o SessionService
+// também recusa tokens de sessões revogadas ou expiradas.
 const authenticateToken = (authService) => {
    return async (req, res, next) => {
       try {
@@ -97,45 +99,6 @@ const requireOwnership = (req, res, next) => {
    next();
 };
 
-// Middleware para rate limiting básico
-const rateLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-   const requests = new Map();
-
-   return (req, res, next) => {
-      const ip = req.ip || req.connection.remoteAddress;
-      const now = Date.now();
-      const windowStart = now - windowMs;
-
-      // Limpar registros antigos
-      for (const [key, timestamps] of requests.entries()) {
-         const validTimestamps = timestamps.filter(time => time > windowStart);
-         if (validTimestamps.length === 0) {
-            requests.delete(key);
-         } else {
-            requests.set(key, validTimestamps);
-         }
-      }
-
-      // Verificar limite atual
-      const userRequests = requests.get(ip) || [];
-      const recentRequests = userRequests.filter(time => time > windowStart);
-
-      if (recentRequests.length >= maxRequests) {
-         return res.status(429).json({
-            error: 'Muitas tentativas. Tente novamente mais tarde.',
-            code: 'RATE_LIMIT_EXCEEDED',
-            retryAfter: Math.ceil(windowMs / 1000)
-         });
-      }
-
-      // Adicionar request atual
-      recentRequests.push(now);
-      requests.set(ip, recentRequests);
-
-      next();
-   };
-};
-
 // Middleware para logging
 const requestLogger = (req, res, next) => {
    const start = Date.now();
@@ -173,11 +136,13 @@ const corsMiddleware = (req, res, next) => {
       res.setHeader('Access-Control-Allow-Origin', origin);
    }
 
-   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+   res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset, Upload-Checksum');
+   res.setHeader('Access-Control-Expose-Headers', 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Tus-Checksum-Algorithm, Upload-Offset, Upload-Length, Upload-Expires, Retry-After, RateLimit-Limit, RateLimit-Remaining');
    res.setHeader('Access-Control-Allow-Credentials', 'true');
 
-   if (req.method === 'OPTIONS') {
+   // Preflight do navegador responde aqui; os demais OPTIONS (ex.: descoberta do tus) seguem para as rotas
+   if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
       res.sendStatus(200);
    } else {
       next();
@@ -189,7 +154,6 @@ module.exports = {
    authenticateSocket,
    optionalAuth,
    requireOwnership,
-   rateLimiter,
    requestLogger,
    corsMiddleware
 };
@@ -0,0 +1,57 @@
+// Middlewares de limite de taxa para rotas do Express e eventos do Socket.IO
+const { SOCKET_EVENT_RULES } = require('../ratelimit');
+
+const RATE_LIMIT_MESSAGE = 'Muitas requisições. Tente novamente em alguns segundos.';
+
+// Use depois de authenticateToken nas regras por usuário (keyBy com 'user')
+const rateLimit = (limiter, ruleName) => {
+   return async (req, res, next) => {
+      const result = await limiter.consume(ruleName, { userId: req.user && req.user.id, ip: req.ip });
+
+      res.setHeader('RateLimit-Limit', result.limit);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      if (result.allowed) return next();
+
+      res.setHeader('Retry-After', result.retryAfter);
+      res.status(429).json({
+         success: false,
+         error: RATE_LIMIT_MESSAGE,
+         code: 'RATE_LIMIT_EXCEEDED',
+         rule: ruleName,
+         retryAfter: result.retryAfter
+      });
+   };
+};
+
+// socket.use(socketRateLimit(limiter, socket)): eventos acima do limite são descartados
+// e o cliente recebe "rate_limited" (e a resposta do ack, se houver)
+const socketRateLimit = (limiter, socket, eventRules = SOCKET_EVENT_RULES) => {
+   return async ([event, ...args], next) => {
+      const ruleName = eventRules[event] || 'socket_default';
+      const result = await limiter.consume(ruleName, {
+         userId: socket.user && socket.user.id,
+         ip: socket.handshake.address
+      });
+      if (result.allowed) return next();
+
+      const payload = {
+         event,
+         rule: ruleName,
+         message: RATE_LIMIT_MESSAGE,
+         code: 'RATE_LIMIT_EXCEEDED',
+         limit: result.limit,
+         retryAfter: result.retryAfter
+      };
+      socket.emit('rate_limited', payload);
+
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+         ack({ success: false, error: payload.message, code: payload.code, retryAfter: payload.retryAfter });
+      }
+   };
+};
+
+module.exports = {
+   rateLimit,
+   socketRateLimit
+};
@@ -0,0 +1,71 @@
+// Middlewares de validação para rotas do Express e eventos do Socket.IO.
+// Dados fora do schema geram 400 (ou "error" no socket) com code VALIDATION_ERROR
+// e a lista de campos com problema em details.
+const { validate: check, ValidationError, socketEvents } = require('../validation');
+
+// schema: { params, query, body } — cada parte é trocada pela versão normalizada
+const validate = (schema) => {
+   return (req, res, next) => {
+      const details = [];
+      const run = (part, value) => {
+         try {
+            return check(schema[part], value);
+         } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            details.push(...error.details);
+            return value;
+         }
+      };
+
+      if (schema.params) req.params = run('params', req.params);
+      if (schema.query) {
+         // No Express 5, req.query é um getter: a versão validada passa a ser uma propriedade própria
+         Object.defineProperty(req, 'query', { value: run('query', req.query), writable: true, configurable: true, enumerable: true });
+      }
+      // Sem corpo (ou sem Content-Type JSON), req.body fica undefined
+      if (schema.body) req.body = run('body', req.body === undefined ? {} : req.body);
+
+      if (details.length === 0) return next();
+
+      const error = new ValidationError(details);
+      res.status(error.status).json({
+         success: false,
+         error: error.message,
+         code: error.code,
+         details: error.details
+      });
+   };
+};
+
+// socket.use(socketValidation(socket)): o payload vira a versão normalizada;
+// payload inválido é descartado e o cliente recebe a resposta do ack (ou "error", sem ack)
+const socketValidation = (socket, eventSchemas = socketEvents) => {
+   return (packet, next) => {
+      const [event] = packet;
+      const schema = eventSchemas[event];
+      if (!schema) return next();
+
+      // O ack vem como último argumento; sem payload, ele ocupa a posição do payload
+      const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+      const hasPayload = packet.length > (ack ? 2 : 1);
+
+      try {
+         packet.splice(1, hasPayload ? 1 : 0, check(schema, hasPayload ? packet[1] : undefined));
+         next();
+      } catch (error) {
+         if (!(error instanceof ValidationError)) return next(error);
+
+         // Com ack, o erro vai só na resposta, como nos demais erros dos eventos
+         if (ack) {
+            ack({ success: false, error: error.message, code: error.code, details: error.details });
+         } else {
+            socket.emit('error', { message: error.message, code: error.code, event, details: error.details });
+         }
+      }
+   };
+};
+
+module.exports = {
+   validate,
+   socketValidation
+};
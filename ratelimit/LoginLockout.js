@@ -0,0 +1,73 @@
+// Bloqueio progressivo de contas após senhas erradas seguidas.
+// A cada maxAttempts falhas dentro de windowSeconds, a conta fica bloqueada por
+// lockSeconds, dobrando a cada novo bloqueio no mesmo dia (até maxLockSeconds).
+// Um login certo zera as falhas e a progressão.
+const ServiceError = require('../utils/ServiceError');
+
+const LEVEL_TTL_MS = 24 * 60 * 60 * 1000;
+
+class LoginLockout {
+   constructor(store, {
+      maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+      windowSeconds = parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 15 * 60,
+      lockSeconds = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60,
+      maxLockSeconds = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60
+   } = {}) {
+      this.store = store;
+      this.maxAttempts = maxAttempts;
+      this.windowSeconds = windowSeconds;
+      this.lockSeconds = lockSeconds;
+      this.maxLockSeconds = maxLockSeconds;
+   }
+
+   keys(account) {
+      const id = String(account || '').trim().toLowerCase();
+      return {
+         failures: `login:failures:${id}`,
+         level: `login:level:${id}`,
+         lock: `login:lock:${id}`
+      };
+   }
+
+   // Segundos restantes de bloqueio (0 se a conta está liberada)
+   async getRetryAfter(account) {
+      const ms = await this.store.ttl(this.keys(account).lock);
+      return ms > 0 ? Math.ceil(ms / 1000) : 0;
+   }
+
+   lockedError(retryAfter) {
+      const error = new ServiceError('Muitas tentativas de login. Tente novamente mais tarde.', 429);
+      error.code = 'ACCOUNT_LOCKED';
+      error.retryAfter = retryAfter;
+      return error;
+   }
+
+   async assertNotLocked(account) {
+      const retryAfter = await this.getRetryAfter(account);
+      if (retryAfter > 0) {
+         throw this.lockedError(retryAfter);
+      }
+   }
+
+   // Registra uma senha errada; retorna os segundos de bloqueio quando a conta acaba de ser bloqueada
+   async registerFailure(account) {
+      const keys = this.keys(account);
+      const failures = await this.store.increment(keys.failures, this.windowSeconds * 1000);
+      if (failures < this.maxAttempts) return 0;
+
+      const level = await this.store.increment(keys.level, LEVEL_TTL_MS);
+      const seconds = Math.min(this.lockSeconds * 2 ** (level - 1), this.maxLockSeconds);
+      await this.store.set(keys.lock, 1, seconds * 1000);
+      await this.store.delete(keys.failures);
+
+      console.log(`🔒 Login bloqueado por ${seconds}s após ${failures} tentativas: ${String(account).slice(0, 50)}`);
+      return seconds;
+   }
+
+   async registerSuccess(account) {
+      const keys = this.keys(account);
+      await this.store.delete(keys.failures, keys.level);
+   }
+}
+
+module.exports = LoginLockout;
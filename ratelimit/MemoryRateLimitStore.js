@@ -0,0 +1,86 @@
+// Baldes de tokens e contadores em memória (um único processo)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+   constructor() {
+      this.buckets = new Map();
+      this.counters = new Map();
+      // Remove baldes cheios e contadores vencidos para a memória não crescer sem limite
+      this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+      this.sweeper.unref();
+   }
+
+   // Tira "cost" tokens do balde; o balde enche refillPerMs tokens por milissegundo até capacity
+   async consume(key, { capacity, refillPerMs }, cost = 1) {
+      const now = Date.now();
+      const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+      this.buckets.set(key, {
+         tokens: remaining,
+         updatedAt: now,
+         fullAt: now + (capacity - remaining) / refillPerMs
+      });
+
+      return {
+         allowed,
+         remaining: Math.floor(remaining),
+         retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs)
+      };
+   }
+
+   getCounter(key) {
+      const counter = this.counters.get(key);
+      if (!counter) return null;
+      if (counter.expiresAt <= Date.now()) {
+         this.counters.delete(key);
+         return null;
+      }
+      return counter;
+   }
+
+   // Incrementa o contador; o prazo começa a contar no primeiro incremento
+   async increment(key, ttlMs) {
+      const counter = this.getCounter(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      counter.value += 1;
+      this.counters.set(key, counter);
+      return counter.value;
+   }
+
+   async set(key, value, ttlMs) {
+      this.counters.set(key, { value, expiresAt: Date.now() + ttlMs });
+   }
+
+   async get(key) {
+      const counter = this.getCounter(key);
+      return counter ? counter.value : null;
+   }
+
+   // Milissegundos até a chave expirar (0 se não existir)
+   async ttl(key) {
+      const counter = this.getCounter(key);
+      return counter ? counter.expiresAt - Date.now() : 0;
+   }
+
+   async delete(...keys) {
+      keys.forEach(key => this.counters.delete(key));
+   }
+
+   sweep() {
+      const now = Date.now();
+      for (const [key, bucket] of this.buckets) {
+         if (bucket.fullAt <= now) this.buckets.delete(key);
+      }
+      for (const [key, counter] of this.counters) {
+         if (counter.expiresAt <= now) this.counters.delete(key);
+      }
+   }
+
+   async close() {
+      clearInterval(this.sweeper);
+   }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,52 @@
+// Aplica as regras de limite de taxa sobre um store (memória ou Redis)
+class RateLimiter {
+   constructor(store, rules) {
+      this.store = store;
+      this.rules = rules;
+   }
+
+   getRule(name) {
+      const rule = this.rules[name];
+      if (!rule) {
+         throw new Error(`Regra de rate limit ${name} não existe`);
+      }
+      return rule;
+   }
+
+   // identity: { userId, ip }; uma chave por dimensão de rule.keyBy
+   keysFor(name, rule, { userId, ip }) {
+      const keys = [];
+      if (rule.keyBy.includes('user') && userId) keys.push(`${name}:user:${userId}`);
+      if (rule.keyBy.includes('ip') || keys.length === 0) keys.push(`${name}:ip:${ip || 'unknown'}`);
+      return keys;
+   }
+
+   // Consome um token de cada balde da regra; passa só se todos tiverem token.
+   // retryAfter em segundos quando recusado.
+   async consume(name, identity, cost = 1) {
+      const rule = this.getRule(name);
+      const base = { rule: name, limit: rule.limit };
+      const bucket = { capacity: rule.limit, refillPerMs: rule.limit / (rule.interval * 1000) };
+
+      try {
+         const results = [];
+         for (const key of this.keysFor(name, rule, identity)) {
+            results.push(await this.store.consume(key, bucket, cost));
+         }
+
+         const refused = results.filter(result => !result.allowed);
+         return {
+            ...base,
+            allowed: refused.length === 0,
+            remaining: Math.min(...results.map(result => result.remaining)),
+            retryAfter: refused.length === 0 ? 0 : Math.max(1, ...refused.map(result => Math.ceil(result.retryAfterMs / 1000)))
+         };
+      } catch (error) {
+         // Falha no store (ex.: Redis fora do ar) não derruba o chat
+         console.error(`❌ Erro no rate limit (${name}):`, error.message);
+         return { ...base, allowed: true, remaining: rule.limit, retryAfter: 0 };
+      }
+   }
+}
+
+module.exports = RateLimiter;
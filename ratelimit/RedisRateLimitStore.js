@@ -0,0 +1,88 @@
+// Baldes de tokens e contadores no Redis, compartilhados entre servidores.
+// - ratelimit:<regra>:<chave> -> hash { tokens, ts } do balde
+// - ratelimit:<chave>         -> contadores com prazo (ex.: tentativas de login)
+const KEY_PREFIX = 'ratelimit:';
+
+// O balde é lido e atualizado atomicamente, com o relógio do próprio Redis
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill)
+
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+   tokens = tokens - cost
+   allowed = 1
+else
+   retry = math.ceil((cost - tokens) / refill)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill) + 1000)
+return { allowed, math.floor(tokens), retry }
+`;
+
+class RedisRateLimitStore {
+   constructor(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+      this.url = url;
+      this.client = null;
+   }
+
+   async connect() {
+      const { createClient } = require('redis');
+
+      this.client = createClient({ url: this.url });
+      this.client.on('error', (error) => console.error('❌ Erro no Redis (rate limit):', error.message));
+      await this.client.connect();
+      return this;
+   }
+
+   async consume(key, { capacity, refillPerMs }, cost = 1) {
+      const [allowed, remaining, retryAfterMs] = await this.client.eval(CONSUME_SCRIPT, {
+         keys: [KEY_PREFIX + key],
+         arguments: [String(capacity), String(refillPerMs), String(cost)]
+      });
+      return { allowed: allowed === 1, remaining: Number(remaining), retryAfterMs: Number(retryAfterMs) };
+   }
+
+   async increment(key, ttlMs) {
+      const value = await this.client.incr(KEY_PREFIX + key);
+      // O prazo começa a contar no primeiro incremento
+      if (value === 1) {
+         await this.client.pExpire(KEY_PREFIX + key, ttlMs);
+      }
+      return value;
+   }
+
+   async set(key, value, ttlMs) {
+      await this.client.set(KEY_PREFIX + key, String(value), { PX: ttlMs });
+   }
+
+   async get(key) {
+      const value = await this.client.get(KEY_PREFIX + key);
+      return value === null ? null : Number(value);
+   }
+
+   async ttl(key) {
+      return Math.max(0, await this.client.pTTL(KEY_PREFIX + key));
+   }
+
+   async delete(...keys) {
+      if (keys.length === 0) return;
+      await this.client.del(keys.map(key => KEY_PREFIX + key));
+   }
+
+   async close() {
+      if (this.client) await this.client.quit();
+   }
+}
+
+module.exports = RedisRateLimitStore;
@@ -0,0 +1,45 @@
+// Limite de taxa compartilhado por rotas HTTP e eventos do Socket.IO.
+//
+// RATE_LIMIT_STORE=memory -> contadores no próprio processo
+// RATE_LIMIT_STORE=redis  -> contadores no Redis (REDIS_URL), valendo para todos os servidores
+// Sem RATE_LIMIT_STORE, segue o REALTIME_ADAPTER.
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+const RateLimiter = require('./RateLimiter');
+const LoginLockout = require('./LoginLockout');
+const { DEFAULT_RULES, SOCKET_EVENT_RULES, loadRules } = require('./rules');
+
+const defaultStore = () => process.env.RATE_LIMIT_STORE || (process.env.REALTIME_ADAPTER === 'redis' ? 'redis' : 'memory');
+
+async function createRateLimit({ driver = defaultStore(), rules = loadRules(), lockout = {} } = {}) {
+   let store;
+
+   switch (driver) {
+      case 'memory':
+         store = new MemoryRateLimitStore();
+         break;
+      case 'redis':
+         store = await new RedisRateLimitStore().connect();
+         break;
+      default:
+         throw new Error(`Store de rate limit ${driver} não suportado`);
+   }
+
+   console.log(`✅ Rate limit: store ${driver}`);
+
+   return {
+      limiter: new RateLimiter(store, rules),
+      loginLockout: new LoginLockout(store, lockout),
+      close: () => store.close()
+   };
+}
+
+module.exports = {
+   createRateLimit,
+   RateLimiter,
+   LoginLockout,
+   MemoryRateLimitStore,
+   RedisRateLimitStore,
+   DEFAULT_RULES,
+   SOCKET_EVENT_RULES
+};
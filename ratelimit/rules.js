@@ -0,0 +1,81 @@
+// Regras de limite de taxa (balde de tokens).
+// - limit: tamanho do balde, ou seja, a rajada máxima aceita
+// - interval: segundos para o balde vazio encher de novo
+// - keyBy: ['user', 'ip'] conta um balde para o usuário autenticado e outro para o IP, e o pedido
+//   só passa com token nos dois; ['ip'] nas rotas sem login. Sem usuário, vale só o IP.
+//
+// Cada regra pode ser trocada no .env: RATE_LIMIT_<REGRA>=limit/interval (ex.: RATE_LIMIT_SEND_GROUP=60/10)
+const DEFAULT_RULES = {
+   // Rotas HTTP
+   auth_register: { limit: 100, interval: 60, keyBy: ['ip'] },
+   auth_login: { limit: 100, interval: 60, keyBy: ['ip'] },
+   auth_login_2fa: { limit: 20, interval: 60, keyBy: ['ip'] },
+   auth_refresh: { limit: 100, interval: 60, keyBy: ['ip'] },
+   verify_email: { limit: 100, interval: 60, keyBy: ['ip'] },
+   forgot_password: { limit: 5, interval: 60, keyBy: ['ip'] },
+   reset_password: { limit: 10, interval: 60, keyBy: ['ip'] },
+   resend_verification: { limit: 5, interval: 60, keyBy: ['user', 'ip'] },
+   two_factor: { limit: 10, interval: 60, keyBy: ['user', 'ip'] },
+   password_change: { limit: 10, interval: 60, keyBy: ['user', 'ip'] },
+   // Pedidos, aceites e remoções de contato, bloqueios e desbloqueios
+   contact_request: { limit: 30, interval: 60, keyBy: ['user', 'ip'] },
+   upload: { limit: 30, interval: 60, keyBy: ['user', 'ip'] },
+   search: { limit: 10, interval: 10, keyBy: ['user', 'ip'] },
+
+   // Eventos do Socket.IO
+   send_private: { limit: 30, interval: 10, keyBy: ['user', 'ip'] },
+   send_group: { limit: 30, interval: 10, keyBy: ['user', 'ip'] },
+   typing: { limit: 20, interval: 10, keyBy: ['user', 'ip'] },
+   create_group: { limit: 5, interval: 60, keyBy: ['user', 'ip'] },
+   group_admin: { limit: 30, interval: 60, keyBy: ['user', 'ip'] },
+   message_edit: { limit: 30, interval: 60, keyBy: ['user', 'ip'] },
+   reaction: { limit: 30, interval: 10, keyBy: ['user', 'ip'] },
+   socket_default: { limit: 60, interval: 10, keyBy: ['user', 'ip'] }
+};
+
+// Regra de cada evento do socket; os demais usam socket_default
+const SOCKET_EVENT_RULES = {
+   send_private: 'send_private',
+   send_group: 'send_group',
+   typing: 'typing',
+   stop_typing: 'typing',
+   create_group: 'create_group',
+   add_member: 'group_admin',
+   remove_member: 'group_admin',
+   promote_member: 'group_admin',
+   demote_member: 'group_admin',
+   rename_group: 'group_admin',
+   leave_group: 'group_admin',
+   delete_group: 'group_admin',
+   edit_message: 'message_edit',
+   delete_message: 'message_edit',
+   add_reaction: 'reaction',
+   remove_reaction: 'reaction',
+   search_messages: 'search'
+};
+
+// Regras padrão com as trocas feitas no .env
+const loadRules = (env = process.env) => {
+   const rules = {};
+   for (const [name, rule] of Object.entries(DEFAULT_RULES)) {
+      rules[name] = { ...rule };
+
+      const override = env[`RATE_LIMIT_${name.toUpperCase()}`];
+      if (!override) continue;
+
+      const [limit, interval] = override.split('/').map(Number);
+      if (limit > 0 && interval > 0) {
+         rules[name].limit = limit;
+         rules[name].interval = interval;
+      } else {
+         console.warn(`⚠️ RATE_LIMIT_${name.toUpperCase()} inválido ("${override}"), use limite/segundos`);
+      }
+   }
+   return rules;
+};
+
+module.exports = {
+   DEFAULT_RULES,
+   SOCKET_EVENT_RULES,
+   loadRules
+};
@@ -0,0 +1,34 @@
+// Pub/sub em memória.
+// Por padrão cada processo tem o seu; compartilhar a mesma instância entre
+// vários servidores no mesmo processo simula um cluster (útil em testes locais).
+const { EventEmitter } = require('events');
+
+class MemoryBus {
+   constructor() {
+      this.emitter = new EventEmitter();
+      this.emitter.setMaxListeners(0);
+   }
+
+   async connect() {
+      return this;
+   }
+
+   // Entrega assíncrona, como aconteceria pela rede
+   async publish(channel, message) {
+      setImmediate(() => this.emitter.emit(channel, message));
+   }
+
+   async subscribe(channel, handler) {
+      this.emitter.on(channel, handler);
+   }
+
+   async unsubscribe(channel, handler) {
+      this.emitter.off(channel, handler);
+   }
+
+   async close() {
+      this.emitter.removeAllListeners();
+   }
+}
+
+module.exports = MemoryBus;
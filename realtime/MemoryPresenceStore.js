@@ -0,0 +1,58 @@
+// Presença em memória (userId -> Set de "nodeId:socketId").
+// O Map pode ser compartilhado entre vários servidores no mesmo processo.
+class MemoryPresenceStore {
+   constructor(nodeId, users = new Map()) {
+      this.nodeId = nodeId;
+      this.users = users;
+   }
+
+   key(socketId) {
+      return `${this.nodeId}:${socketId}`;
+   }
+
+   async add(userId, socketId) {
+      const sockets = this.users.get(userId) || new Set();
+      sockets.add(this.key(socketId));
+      this.users.set(userId, sockets);
+      return sockets.size;
+   }
+
+   async remove(userId, socketId) {
+      const sockets = this.users.get(userId);
+      if (!sockets) return 0;
+
+      sockets.delete(this.key(socketId));
+      if (sockets.size === 0) {
+         this.users.delete(userId);
+      }
+      return sockets.size;
+   }
+
+   async getSockets(userId) {
+      return Array.from(this.users.get(userId) || []);
+   }
+
+   async getUserIds() {
+      return Array.from(this.users.keys());
+   }
+
+   // Remove os sockets deste servidor (ex.: sobras de uma execução anterior).
+   // Retorna os usuários que ficaram sem nenhum socket.
+   async clearNode() {
+      const offline = [];
+      for (const [userId, sockets] of this.users) {
+         for (const socket of sockets) {
+            if (socket.startsWith(`${this.nodeId}:`)) sockets.delete(socket);
+         }
+         if (sockets.size === 0) {
+            this.users.delete(userId);
+            offline.push(userId);
+         }
+      }
+      return offline;
+   }
+
+   async close() { }
+}
+
+module.exports = MemoryPresenceStore;
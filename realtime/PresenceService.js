@@ -0,0 +1,41 @@
+// Presença dos usuários: um usuário pode ter vários sockets (abas, celular...)
+// espalhados por vários servidores. O armazenamento vem do store configurado.
+class PresenceService {
+   constructor(store) {
+      this.store = store;
+   }
+
+   // Nome da sala do Socket.IO que reúne todos os sockets do usuário
+   static userRoom(userId) {
+      return `user:${userId}`;
+   }
+
+   // Registra o socket; retorna true se for o primeiro do usuário
+   async addSocket(userId, socketId) {
+      return await this.store.add(userId, socketId) === 1;
+   }
+
+   // Remove o socket; retorna true se era o último do usuário
+   async removeSocket(userId, socketId) {
+      return await this.store.remove(userId, socketId) === 0;
+   }
+
+   async getSockets(userId) {
+      return this.store.getSockets(userId);
+   }
+
+   async isOnline(userId) {
+      return (await this.store.getSockets(userId)).length > 0;
+   }
+
+   async getOnlineUserIds() {
+      return this.store.getUserIds();
+   }
+
+   // Limpa os sockets que este servidor deixou registrados antes de reiniciar
+   async clearNode() {
+      return this.store.clearNode();
+   }
+}
+
+module.exports = PresenceService;
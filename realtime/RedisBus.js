@@ -0,0 +1,63 @@
+// Pub/sub sobre Redis (ou qualquer servidor compatível, como KeyDB/Valkey).
+// As mensagens vão em MessagePack, como no @socket.io/redis-adapter: os pacotes do
+// adapter podem levar Buffers (emits com dados binários), que o JSON não preserva.
+const msgpack = require('notepack.io');
+
+class RedisBus {
+   constructor(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+      this.url = url;
+      this.client = null;
+      this.subscriber = null;
+      this.handlers = new Map();
+   }
+
+   async connect() {
+      const { createClient } = require('redis');
+
+      this.client = createClient({ url: this.url });
+      this.subscriber = this.client.duplicate();
+
+      this.client.on('error', (error) => console.error('❌ Erro no Redis (pub):', error.message));
+      this.subscriber.on('error', (error) => console.error('❌ Erro no Redis (sub):', error.message));
+
+      await Promise.all([this.client.connect(), this.subscriber.connect()]);
+      console.log('✅ Conectado ao Redis:', this.url);
+      return this;
+   }
+
+   async publish(channel, message) {
+      await this.client.publish(channel, RedisBus.encode(message));
+   }
+
+   async subscribe(channel, handler) {
+      const listener = (raw) => {
+         try {
+            handler(RedisBus.decode(raw));
+         } catch (error) {
+            console.error('❌ Mensagem inválida no canal', channel, error.message);
+         }
+      };
+      this.handlers.set(handler, listener);
+      // bufferMode: a mensagem chega como Buffer, sem conversão para texto
+      await this.subscriber.subscribe(channel, listener, true);
+   }
+
+   async unsubscribe(channel, handler) {
+      const listener = this.handlers.get(handler);
+      if (!listener) return;
+      this.handlers.delete(handler);
+      await this.subscriber.unsubscribe(channel, listener, true);
+   }
+
+   async close() {
+      await Promise.all([
+         this.subscriber && this.subscriber.quit(),
+         this.client && this.client.quit()
+      ]);
+   }
+}
+
+RedisBus.encode = (message) => msgpack.encode(message);
+RedisBus.decode = (raw) => msgpack.decode(raw);
+
+module.exports = RedisBus;
@@ -0,0 +1,65 @@
+// Presença compartilhada no Redis:
+// - presence:users            -> ids dos usuários online
+// - presence:user:<id>        -> "nodeId:socketId" de cada dispositivo
+// - presence:node:<nodeId>    -> "userId|socketId" de cada socket deste servidor
+class RedisPresenceStore {
+   constructor(nodeId, client) {
+      this.nodeId = nodeId;
+      this.client = client;
+   }
+
+   key(socketId) {
+      return `${this.nodeId}:${socketId}`;
+   }
+
+   async add(userId, socketId) {
+      const userKey = `presence:user:${userId}`;
+      const [, , , count] = await this.client.multi()
+         .sAdd(userKey, this.key(socketId))
+         .sAdd('presence:users', String(userId))
+         .sAdd(`presence:node:${this.nodeId}`, `${userId}|${socketId}`)
+         .sCard(userKey)
+         .exec();
+      return Number(count);
+   }
+
+   async remove(userId, socketId) {
+      const userKey = `presence:user:${userId}`;
+      const [, , count] = await this.client.multi()
+         .sRem(userKey, this.key(socketId))
+         .sRem(`presence:node:${this.nodeId}`, `${userId}|${socketId}`)
+         .sCard(userKey)
+         .exec();
+
+      if (Number(count) === 0) {
+         await this.client.sRem('presence:users', String(userId));
+      }
+      return Number(count);
+   }
+
+   async getSockets(userId) {
+      return this.client.sMembers(`presence:user:${userId}`);
+   }
+
+   async getUserIds() {
+      const ids = await this.client.sMembers('presence:users');
+      return ids.map(Number);
+   }
+
+   async clearNode() {
+      const entries = await this.client.sMembers(`presence:node:${this.nodeId}`);
+      const offline = [];
+
+      for (const entry of entries) {
+         const [userId, socketId] = entry.split('|');
+         if (await this.remove(Number(userId), socketId) === 0) {
+            offline.push(Number(userId));
+         }
+      }
+      return offline;
+   }
+
+   async close() { }
+}
+
+module.exports = RedisPresenceStore;
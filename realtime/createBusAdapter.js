@@ -0,0 +1,44 @@
+// Adapter do Socket.IO que replica broadcasts, socketsJoin/socketsLeave etc.
+// entre servidores através de qualquer bus com publish/subscribe.
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const createBusAdapter = (bus, { channelPrefix = 'socket.io', ...options } = {}) => {
+   return function (nsp) {
+      return new BusAdapter(nsp, bus, channelPrefix, options);
+   };
+};
+
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+   constructor(nsp, bus, channelPrefix, options) {
+      super(nsp, options);
+      this.bus = bus;
+      this.channel = `${channelPrefix}#${nsp.name}#`;
+      this.responseChannel = `${this.channel}${this.uid}#`;
+
+      this.onBusMessage = (message) => this.onMessage(message);
+      this.onBusResponse = (response) => this.onResponse(response);
+
+      this.ready = Promise.all([
+         bus.subscribe(this.channel, this.onBusMessage),
+         bus.subscribe(this.responseChannel, this.onBusResponse)
+      ]);
+   }
+
+   async doPublish(message) {
+      await this.ready;
+      await this.bus.publish(this.channel, message);
+      return '';
+   }
+
+   async doPublishResponse(requesterUid, response) {
+      await this.bus.publish(`${this.channel}${requesterUid}#`, response);
+   }
+
+   close() {
+      super.close();
+      this.bus.unsubscribe(this.channel, this.onBusMessage);
+      this.bus.unsubscribe(this.responseChannel, this.onBusResponse);
+   }
+}
+
+module.exports = createBusAdapter;
@@ -0,0 +1,63 @@
+// Camada de tempo real plugável: pub/sub entre servidores + presença compartilhada.
+//
+// REALTIME_ADAPTER=memory (padrão) -> um único processo, sem dependências externas
+// REALTIME_ADAPTER=redis           -> vários servidores atrás de um load balancer (REDIS_URL)
+const os = require('os');
+const MemoryBus = require('./MemoryBus');
+const RedisBus = require('./RedisBus');
+const MemoryPresenceStore = require('./MemoryPresenceStore');
+const RedisPresenceStore = require('./RedisPresenceStore');
+const PresenceService = require('./PresenceService');
+const createBusAdapter = require('./createBusAdapter');
+
+const defaultNodeId = () => process.env.NODE_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
+
+// Opções:
+// - type: 'memory' | 'redis'
+// - nodeId: identificador estável deste servidor
+// - bus / presenceState: instâncias compartilhadas para rodar vários servidores
+//   no mesmo processo com o adapter em memória (ex.: testes)
+async function createRealtime({ type = process.env.REALTIME_ADAPTER || 'memory', nodeId = defaultNodeId(), bus, presenceState } = {}) {
+   let store;
+   let adapter = null;
+   const ownsBus = !bus;
+
+   switch (type) {
+      case 'memory':
+         store = new MemoryPresenceStore(nodeId, presenceState);
+         // Sem bus compartilhado, o adapter padrão do Socket.IO já basta
+         if (bus) {
+            adapter = createBusAdapter(bus);
+         }
+         break;
+      case 'redis':
+         bus = bus || await new RedisBus().connect();
+         store = new RedisPresenceStore(nodeId, bus.client);
+         adapter = createBusAdapter(bus);
+         break;
+      default:
+         throw new Error(`Adapter de tempo real ${type} não suportado`);
+   }
+
+   console.log(`✅ Tempo real: adapter ${type} (nó ${nodeId})`);
+
+   return {
+      type,
+      nodeId,
+      adapter,
+      presence: new PresenceService(store),
+      async close() {
+         await store.close();
+         // Um bus recebido de fora pode estar sendo usado por outros servidores
+         if (bus && ownsBus) await bus.close();
+      }
+   };
+}
+
+module.exports = {
+   createRealtime,
+   createBusAdapter,
+   MemoryBus,
+   RedisBus,
+   PresenceService
+};
@@ -0,0 +1,54 @@
+// Dados de conta: e-mail confirmado, troca de senha e tokens de uso único (account_tokens)
+class AccountRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async findUserById(id) {
+      return this.sql.get('SELECT id, username, email, email_verified_at FROM users WHERE id = ?', [id]);
+   }
+
+   async findUserByEmail(email) {
+      return this.sql.get('SELECT id, username, email, email_verified_at FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+   }
+
+   async markEmailVerified(userId) {
+      await this.sql.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL', [userId]);
+   }
+
+   async findPasswordHash(userId) {
+      const row = await this.sql.get('SELECT password_hash FROM users WHERE id = ?', [userId]);
+      return row ? row.password_hash : null;
+   }
+
+   async updatePasswordHash(userId, passwordHash) {
+      await this.sql.run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+   }
+
+   async createToken({ user_id, purpose, token_hash, expires_at }) {
+      await this.sql.insert(`
+         INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES (?, ?, ?, ?)
+      `, [user_id, purpose, token_hash, expires_at]);
+   }
+
+   async findToken(purpose, tokenHash) {
+      return this.sql.get('SELECT * FROM account_tokens WHERE purpose = ? AND token_hash = ?', [purpose, tokenHash]);
+   }
+
+   // Marca o token como usado; retorna false se outra requisição já o consumiu
+   async consumeToken(id) {
+      const { changes } = await this.sql.run('UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL', [id]);
+      return changes > 0;
+   }
+
+   // Invalida os tokens ainda não usados (ex.: ao pedir um novo link)
+   async invalidateTokens(userId, purpose) {
+      await this.sql.run(`
+         UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+      `, [userId, purpose]);
+   }
+}
+
+module.exports = AccountRepository;
@@ -0,0 +1,47 @@
+// Anexos enviados pelos usuários (tabela attachments)
+class AttachmentRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async create({ filename, original_name, mimetype, size, uploader_id, width = null, height = null, blurhash = null, variants = null }) {
+      const id = await this.sql.insert(`
+         INSERT INTO attachments (filename, original_name, mimetype, size, uploader_id, width, height, blurhash, variants)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [filename, original_name, mimetype, size, uploader_id, width, height, blurhash, variants ? JSON.stringify(variants) : null]);
+      return this.findById(id);
+   }
+
+   // variants é JSON: texto no SQLite, objeto no PostgreSQL/MySQL
+   static parse(row) {
+      if (row && typeof row.variants === 'string') {
+         row.variants = JSON.parse(row.variants);
+      }
+      return row;
+   }
+
+   async findById(id) {
+      return AttachmentRepository.parse(await this.sql.get('SELECT * FROM attachments WHERE id = ?', [id]));
+   }
+
+   async findByFilename(filename) {
+      return AttachmentRepository.parse(await this.sql.get('SELECT * FROM attachments WHERE filename = ?', [filename]));
+   }
+
+   // Percorre todos os anexos em lotes, pela ordem do id (ex.: migração de storage)
+   async findBatch(afterId, limit) {
+      const rows = await this.sql.all('SELECT * FROM attachments WHERE id > ? ORDER BY id LIMIT ?', [afterId, limit]);
+      return rows.map(AttachmentRepository.parse);
+   }
+
+   // Liga o anexo à sala e à mensagem em que foi publicado
+   async attachToMessage(id, roomId, messageId) {
+      await this.sql.run('UPDATE attachments SET room_id = ?, message_id = ? WHERE id = ?', [roomId, messageId, id]);
+   }
+
+   async delete(id) {
+      await this.sql.run('DELETE FROM attachments WHERE id = ?', [id]);
+   }
+}
+
+module.exports = AttachmentRepository;
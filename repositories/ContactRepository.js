@@ -0,0 +1,77 @@
+// Contatos e pedidos de contato (tabela contacts)
+class ContactRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async find(userId, contactId) {
+      return this.sql.get('SELECT * FROM contacts WHERE user_id = ? AND contact_id = ?', [userId, contactId]);
+   }
+
+   async createRequest(userId, contactId) {
+      await this.sql.run(this.sql.insertOrIgnore(`
+         INTO contacts (user_id, contact_id, status) VALUES (?, ?, 'pending')
+      `), [userId, contactId]);
+   }
+
+   // Aceita o pedido requester -> userId e cria o registro no sentido inverso
+   async accept(userId, requesterId) {
+      await this.sql.transaction(async (tx) => {
+         await tx.run(`
+            UPDATE contacts SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND contact_id = ?
+         `, [requesterId, userId]);
+         await tx.run(tx.upsert('contacts', ['user_id', 'contact_id', 'status'], ['user_id', 'contact_id'], ['status']), [userId, requesterId, 'accepted']);
+         await tx.run(`
+            UPDATE contacts SET accepted_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND contact_id = ?
+         `, [userId, requesterId]);
+      });
+   }
+
+   // Remove o contato ou pedido nos dois sentidos
+   async remove(userId, otherId) {
+      await this.sql.run(`
+         DELETE FROM contacts
+         WHERE (user_id = ? AND contact_id = ?) OR (user_id = ? AND contact_id = ?)
+      `, [userId, otherId, otherId, userId]);
+   }
+
+   async findContacts(userId) {
+      return this.sql.all(`
+         SELECT u.id, u.username, u.display_name, u.avatar, u.status, u.is_online, u.last_seen, c.accepted_at
+         FROM contacts c
+         JOIN users u ON u.id = c.contact_id
+         WHERE c.user_id = ? AND c.status = 'accepted'
+         ORDER BY u.username
+      `, [userId]);
+   }
+
+   async findContactIds(userId) {
+      const rows = await this.sql.all(`
+         SELECT contact_id FROM contacts WHERE user_id = ? AND status = 'accepted'
+      `, [userId]);
+      return rows.map(row => row.contact_id);
+   }
+
+   // Pedidos recebidos (incoming) e enviados (outgoing) ainda não aceitos
+   async findPendingRequests(userId) {
+      const incoming = await this.sql.all(`
+         SELECT u.id, u.username, u.display_name, u.avatar, c.created_at
+         FROM contacts c
+         JOIN users u ON u.id = c.user_id
+         WHERE c.contact_id = ? AND c.status = 'pending'
+         ORDER BY c.created_at DESC
+      `, [userId]);
+      const outgoing = await this.sql.all(`
+         SELECT u.id, u.username, u.display_name, u.avatar, c.created_at
+         FROM contacts c
+         JOIN users u ON u.id = c.contact_id
+         WHERE c.user_id = ? AND c.status = 'pending'
+         ORDER BY c.created_at DESC
+      `, [userId]);
+      return { incoming, outgoing };
+   }
+}
+
+module.exports = ContactRepository;
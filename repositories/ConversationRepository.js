@@ -0,0 +1,133 @@
+// Lista de conversas do usuário e ponteiros de leitura (room_members.last_read_message_id)
+const ServiceError = require('../utils/ServiceError');
+const { QUOTE_COLUMNS, QUOTE_JOIN } = require('./HistoryRepository');
+
+// Colunas da última mensagem e do outro participante, vindas na mesma linha da sala
+// com os prefixos message_ e participant_
+const MESSAGE_FIELDS = [
+   'id', 'room_id', 'user_id', 'content', 'message_type', 'file_data', 'created_at',
+   'edited_at', 'deleted_at', 'reply_to', 'thread_id', 'client_message_id'
+];
+const PARTICIPANT_FIELDS = ['id', 'username', 'avatar', 'status', 'is_online', 'last_seen'];
+
+const prefixed = (alias, prefix, fields) => fields.map(field => `${alias}.${field} AS ${prefix}${field}`).join(', ');
+
+// Linha com os campos "prefixo + campo" -> objeto só com esses campos (null se a coluna id veio vazia)
+const unprefix = (row, prefix, fields) => {
+   if (row[`${prefix}id`] === null || row[`${prefix}id`] === undefined) return null;
+   const result = {};
+   for (const field of fields) {
+      result[field] = row[`${prefix}${field}`];
+   }
+   return result;
+};
+
+class ConversationRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // Todas as salas do usuário com a última mensagem, o total de não lidas e, nas
+   // conversas privadas, o outro participante, numa única consulta.
+   // Mensagens do próprio usuário nunca contam como não lidas.
+   async findByUser(userId) {
+      const rows = await this.sql.all(`
+         SELECT r.id, r.name, r.type, s.last_read_message_id, s.last_message_id, s.unread_count,
+            ${prefixed('m', 'message_', MESSAGE_FIELDS)},
+            u.username AS message_username, u.avatar AS message_avatar,
+            ${QUOTE_COLUMNS},
+            ${prefixed('p', 'participant_', PARTICIPANT_FIELDS)}
+         FROM (
+            SELECT rm.room_id, rm.last_read_message_id,
+               MAX(m.id) AS last_message_id,
+               SUM(CASE
+                  WHEN m.user_id != rm.user_id
+                   AND m.deleted_at IS NULL
+                   AND m.id > COALESCE(rm.last_read_message_id, 0) THEN 1
+                  ELSE 0
+               END) AS unread_count
+            FROM room_members rm
+            LEFT JOIN messages m ON m.room_id = rm.room_id
+            WHERE rm.user_id = ?
+            GROUP BY rm.room_id, rm.last_read_message_id
+         ) s
+         JOIN rooms r ON r.id = s.room_id
+         LEFT JOIN messages m ON m.id = s.last_message_id
+         LEFT JOIN users u ON u.id = m.user_id
+         ${QUOTE_JOIN}
+         LEFT JOIN (
+            SELECT room_id, MIN(user_id) AS user_id
+            FROM room_members
+            WHERE user_id != ? AND room_id IN (SELECT room_id FROM room_members WHERE user_id = ?)
+            GROUP BY room_id
+         ) pm ON pm.room_id = r.id AND r.type = 'private'
+         LEFT JOIN users p ON p.id = pm.user_id
+         ORDER BY COALESCE(s.last_message_id, 0) DESC, r.id
+      `, [userId, userId, userId]);
+
+      // Conversas com atividade mais recente primeiro
+      return rows.map(row => {
+         const lastMessage = unprefix(row, 'message_', MESSAGE_FIELDS);
+         if (lastMessage) {
+            lastMessage.username = row.message_username;
+            lastMessage.avatar = row.message_avatar;
+            lastMessage.reply_content = row.reply_content;
+            lastMessage.reply_deleted_at = row.reply_deleted_at;
+            lastMessage.reply_username = row.reply_username;
+         }
+
+         return {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            last_read_message_id: row.last_read_message_id,
+            last_message_id: row.last_message_id,
+            // SUM volta como string no PostgreSQL/MySQL e null em salas vazias
+            unread_count: Number(row.unread_count) || 0,
+            lastMessage,
+            participant: unprefix(row, 'participant_', PARTICIPANT_FIELDS)
+         };
+      });
+   }
+
+   async getLastMessageId(roomId) {
+      const row = await this.sql.get('SELECT MAX(id) AS id FROM messages WHERE room_id = ?', [roomId]);
+      return row ? row.id : null;
+   }
+
+   // Avança o ponteiro de leitura; nunca retrocede.
+   // Retorna o ponteiro atual ou null se nada mudou.
+   async markRead(roomId, userId, messageId) {
+      const message = await this.sql.get('SELECT id FROM messages WHERE id = ? AND room_id = ?', [messageId, roomId]);
+      if (!message) {
+         throw new ServiceError('Mensagem não encontrada nesta sala', 404);
+      }
+
+      const result = await this.sql.run(`
+         UPDATE room_members
+         SET last_read_message_id = ?
+         WHERE room_id = ? AND user_id = ?
+           AND (last_read_message_id IS NULL OR last_read_message_id < ?)
+      `, [messageId, roomId, userId, messageId]);
+
+      return result.changes > 0 ? messageId : null;
+   }
+
+   // Até onde cada membro leu a sala (para o "visto por")
+   async getReadState(roomId) {
+      const rows = await this.sql.all(`
+         SELECT u.id, u.username, rm.last_read_message_id
+         FROM room_members rm
+         JOIN users u ON u.id = rm.user_id
+         WHERE rm.room_id = ?
+      `, [roomId]);
+
+      return rows.map(row => ({
+         userId: row.id,
+         username: row.username,
+         lastReadMessageId: row.last_read_message_id
+      }));
+   }
+}
+
+module.exports = ConversationRepository;
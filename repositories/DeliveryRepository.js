@@ -0,0 +1,78 @@
+// Estado de entrega por mensagem e destinatário (sent -> delivered)
+class DeliveryRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // Cria o registro "sent" para todos os membros da sala, menos o remetente
+   async createForRecipients(messageId) {
+      await this.sql.run(this.sql.insertOrIgnore(`
+         INTO message_deliveries (message_id, user_id, status)
+         SELECT m.id, rm.user_id, 'sent'
+         FROM messages m
+         JOIN room_members rm ON rm.room_id = m.room_id
+         WHERE m.id = ? AND rm.user_id != m.user_id
+      `), [messageId]);
+   }
+
+   // Marca como entregues as mensagens informadas que ainda estavam pendentes.
+   // Retorna as mensagens afetadas (com o remetente) para avisar quem enviou.
+   async markDelivered(userId, messageIds) {
+      const ids = [...new Set(messageIds.map(id => parseInt(id)).filter(Boolean))];
+      if (ids.length === 0) return [];
+
+      const placeholders = ids.map(() => '?').join(', ');
+      const pending = await this.sql.all(`
+         SELECT m.id, m.room_id, m.user_id AS sender_id
+         FROM message_deliveries d
+         JOIN messages m ON m.id = d.message_id
+         WHERE d.user_id = ? AND d.status = 'sent' AND d.message_id IN (${placeholders})
+      `, [userId, ...ids]);
+
+      return this.setDelivered(userId, pending);
+   }
+
+   // Tudo o que foi lido até messageId também foi entregue
+   async markDeliveredUpTo(userId, roomId, messageId) {
+      const pending = await this.sql.all(`
+         SELECT m.id, m.room_id, m.user_id AS sender_id
+         FROM message_deliveries d
+         JOIN messages m ON m.id = d.message_id
+         WHERE d.user_id = ? AND d.status = 'sent' AND m.room_id = ? AND m.id <= ?
+      `, [userId, roomId, messageId]);
+
+      return this.setDelivered(userId, pending);
+   }
+
+   async setDelivered(userId, messages) {
+      if (messages.length === 0) return [];
+
+      const placeholders = messages.map(() => '?').join(', ');
+      await this.sql.run(`
+         UPDATE message_deliveries
+         SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND status = 'sent' AND message_id IN (${placeholders})
+      `, [userId, ...messages.map(message => message.id)]);
+
+      return messages;
+   }
+
+   // Situação de entrega de uma mensagem para cada destinatário
+   async findByMessage(messageId) {
+      const rows = await this.sql.all(`
+         SELECT d.user_id, u.username, d.status, d.delivered_at
+         FROM message_deliveries d
+         JOIN users u ON u.id = d.user_id
+         WHERE d.message_id = ?
+      `, [messageId]);
+
+      return rows.map(row => ({
+         userId: row.user_id,
+         username: row.username,
+         status: row.status,
+         deliveredAt: row.delivered_at
+      }));
+   }
+}
+
+module.exports = DeliveryRepository;
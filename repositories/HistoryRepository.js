@@ -0,0 +1,165 @@
+// Consultas paginadas sobre o histórico da tabela messages
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Dados da mensagem citada (reply_to), trazidos junto com cada mensagem
+const QUOTE_COLUMNS = 'q.content AS reply_content, q.deleted_at AS reply_deleted_at, qu.username AS reply_username';
+const QUOTE_JOIN = `
+   LEFT JOIN messages q ON q.id = m.reply_to
+   LEFT JOIN users qu ON qu.id = q.user_id
+`;
+
+class HistoryRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   static normalizeLimit(limit) {
+      const parsed = parseInt(limit);
+      if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+      return Math.min(parsed, MAX_PAGE_SIZE);
+   }
+
+   // Busca uma página de mensagens da sala usando cursores por id.
+   // - before: mensagens mais antigas que o id informado
+   // - after: mensagens mais novas que o id informado
+   // Sem cursor, retorna as mensagens mais recentes.
+   // O resultado sempre vem em ordem cronológica (id crescente).
+   async findPage(roomId, query = {}) {
+      const page = await this.paginate('m.room_id = ?', [roomId], query);
+      await this.attachReplyCounts(page.messages);
+      return page;
+   }
+
+   // Respostas de uma thread, com os mesmos cursores de findPage
+   async findThreadPage(threadId, query = {}) {
+      return this.paginate('m.thread_id = ?', [threadId], query);
+   }
+
+   async paginate(condition, conditionParams, { before = null, after = null, limit } = {}) {
+      const pageSize = HistoryRepository.normalizeLimit(limit);
+      const conditions = [condition];
+      const params = [...conditionParams];
+
+      if (before) {
+         conditions.push('m.id < ?');
+         params.push(before);
+      }
+      if (after) {
+         conditions.push('m.id > ?');
+         params.push(after);
+      }
+
+      // Com "after" andamos para frente; nos demais casos, para trás
+      const order = after && !before ? 'ASC' : 'DESC';
+
+      const rows = await this.sql.all(`
+         SELECT m.*, u.username, u.avatar, ${QUOTE_COLUMNS}
+         FROM messages m
+         JOIN users u ON u.id = m.user_id
+         ${QUOTE_JOIN}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY m.id ${order}
+         LIMIT ?
+      `, [...params, pageSize + 1]);
+
+      const hasMore = rows.length > pageSize;
+      const messages = rows.slice(0, pageSize);
+      if (order === 'DESC') messages.reverse();
+
+      return {
+         messages,
+         hasMore,
+         limit: pageSize
+      };
+   }
+
+   // Quantidade de respostas (não excluídas) de cada thread
+   async countReplies(threadIds) {
+      const counts = new Map();
+      if (threadIds.length === 0) return counts;
+
+      const placeholders = threadIds.map(() => '?').join(', ');
+      const rows = await this.sql.all(`
+         SELECT thread_id, COUNT(*) AS reply_count
+         FROM messages
+         WHERE thread_id IN (${placeholders}) AND deleted_at IS NULL
+         GROUP BY thread_id
+      `, threadIds);
+      rows.forEach(row => counts.set(Number(row.thread_id), Number(row.reply_count)));
+      return counts;
+   }
+
+   // Preenche reply_count nas mensagens que não são respostas (possíveis raízes de thread)
+   async attachReplyCounts(rows) {
+      const rootIds = rows.filter(row => !row.thread_id).map(row => row.id);
+      const counts = await this.countReplies(rootIds);
+      rows.forEach(row => {
+         row.reply_count = counts.get(row.id) || 0;
+      });
+      return rows;
+   }
+
+   // Resumo enviado em "thread_updated"
+   async findThreadSummary(threadId) {
+      const row = await this.sql.get(`
+         SELECT COUNT(*) AS reply_count, MAX(id) AS last_reply_id
+         FROM messages
+         WHERE thread_id = ? AND deleted_at IS NULL
+      `, [threadId]);
+      return {
+         replyCount: Number(row.reply_count),
+         lastReplyId: row.last_reply_id ? Number(row.last_reply_id) : null
+      };
+   }
+
+   async setReply(id, replyTo, threadId) {
+      await this.sql.run('UPDATE messages SET reply_to = ?, thread_id = ? WHERE id = ?', [replyTo, threadId, id]);
+   }
+
+   // Mensagem do usuário enviada com este id gerado pelo cliente
+   async findByClientMessageId(userId, clientMessageId) {
+      const row = await this.sql.get(
+         'SELECT id FROM messages WHERE user_id = ? AND client_message_id = ?',
+         [userId, clientMessageId]
+      );
+      return row ? this.findById(row.id) : null;
+   }
+
+   // Mensagem com autor e tipo da sala
+   async findById(id) {
+      return this.sql.get(`
+         SELECT m.*, u.username, u.avatar, r.type AS room_type, ${QUOTE_COLUMNS}
+         FROM messages m
+         JOIN users u ON u.id = m.user_id
+         JOIN rooms r ON r.id = m.room_id
+         ${QUOTE_JOIN}
+         WHERE m.id = ?
+      `, [id]);
+   }
+
+   // Mensagens de sistema guardam o autor da ação em user_id, mas nunca são editáveis
+   async updateContent(id, content) {
+      await this.sql.run(`
+         UPDATE messages
+         SET content = ?, edited_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL AND message_type <> 'system'
+      `, [content, id]);
+      return this.findById(id);
+   }
+
+   // Exclusão lógica: a linha fica como marcador ("tombstone") sem conteúdo
+   async softDelete(id) {
+      await this.sql.run(`
+         UPDATE messages
+         SET content = NULL, file_data = NULL, deleted_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL AND message_type <> 'system'
+      `, [id]);
+      return this.findById(id);
+   }
+}
+
+HistoryRepository.QUOTE_COLUMNS = QUOTE_COLUMNS;
+HistoryRepository.QUOTE_JOIN = QUOTE_JOIN;
+
+module.exports = HistoryRepository;
@@ -0,0 +1,29 @@
+// Gravação de mensagens novas (a leitura do histórico fica no HistoryRepository)
+class MessageRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // messageData: { room_id, user_id, content, message_type, file_data, client_message_id }
+   // file_data (metadados do anexo) é gravado como JSON; retorna a linha criada.
+   // client_message_id vai no mesmo INSERT: se o remetente já gravou uma mensagem com ele
+   // (reenvio simultâneo), o índice único recusa a linha e o retorno é null.
+   async create({ room_id, user_id, content = null, message_type = 'text', file_data = null, client_message_id = null }) {
+      try {
+         const id = await this.sql.insert(`
+            INSERT INTO messages (room_id, user_id, content, message_type, file_data, client_message_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+         `, [room_id, user_id, content, message_type, file_data ? JSON.stringify(file_data) : null, client_message_id]);
+         return this.findById(id);
+      } catch (error) {
+         if (client_message_id && this.sql.isUniqueViolation(error)) return null;
+         throw error;
+      }
+   }
+
+   async findById(id) {
+      return this.sql.get('SELECT * FROM messages WHERE id = ?', [id]);
+   }
+}
+
+module.exports = MessageRepository;
@@ -0,0 +1,58 @@
+// Bloqueios (user_blocks) e configurações de privacidade (user_privacy)
+class PrivacyRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async block(blockerId, blockedId) {
+      await this.sql.run(this.sql.insertOrIgnore(`
+         INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)
+      `), [blockerId, blockedId]);
+   }
+
+   async unblock(blockerId, blockedId) {
+      const { changes } = await this.sql.run('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?', [blockerId, blockedId]);
+      return changes > 0;
+   }
+
+   async findBlocked(blockerId) {
+      return this.sql.all(`
+         SELECT u.id, u.username, u.display_name, u.avatar, b.created_at
+         FROM user_blocks b
+         JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = ?
+         ORDER BY b.created_at DESC
+      `, [blockerId]);
+   }
+
+   // Bloqueio em qualquer sentido entre os dois usuários
+   async isBlockedBetween(userId, otherId) {
+      const row = await this.sql.get(`
+         SELECT 1 AS blocked FROM user_blocks
+         WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+      `, [userId, otherId, otherId, userId]);
+      return !!row;
+   }
+
+   // Ids de quem o usuário bloqueou ou por quem foi bloqueado
+   async findBlockedIdsBetween(userId) {
+      const blocked = await this.sql.all('SELECT blocked_id AS id FROM user_blocks WHERE blocker_id = ?', [userId]);
+      const blockers = await this.sql.all('SELECT blocker_id AS id FROM user_blocks WHERE blocked_id = ?', [userId]);
+      return [...blocked, ...blockers].map(row => row.id);
+   }
+
+   async findSettings(userIds) {
+      if (userIds.length === 0) return [];
+      const placeholders = userIds.map(() => '?').join(', ');
+      return this.sql.all(`SELECT * FROM user_privacy WHERE user_id IN (${placeholders})`, userIds);
+   }
+
+   async saveSettings(userId, { online_visibility, last_seen_visibility }) {
+      await this.sql.run(
+         this.sql.upsert('user_privacy', ['user_id', 'online_visibility', 'last_seen_visibility'], ['user_id'], ['online_visibility', 'last_seen_visibility']),
+         [userId, online_visibility, last_seen_visibility]
+      );
+   }
+}
+
+module.exports = PrivacyRepository;
@@ -0,0 +1,36 @@
+// Campos de perfil da tabela users (sem senha nem dados de sessão)
+const PROFILE_COLUMNS = 'id, username, display_name, email, avatar, bio, status, is_online, created_at, last_seen';
+
+class ProfileRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async findById(id) {
+      return this.sql.get(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [id]);
+   }
+
+   // fields: { display_name, bio, status } já validados; só as chaves presentes são alteradas
+   async update(id, fields) {
+      const columns = Object.keys(fields);
+      if (columns.length === 0) return;
+
+      const assignments = columns.map(column => `${column} = ?`).join(', ');
+      await this.sql.run(`UPDATE users SET ${assignments} WHERE id = ?`, [...columns.map(column => fields[column]), id]);
+   }
+
+   async updateAvatar(id, avatar) {
+      await this.sql.run('UPDATE users SET avatar = ? WHERE id = ?', [avatar, id]);
+   }
+
+   // Avatares guardados no storage, em lotes pela ordem do id (ex.: migração de storage)
+   async findAvatarBatch(afterId, limit, prefix) {
+      return this.sql.all(`
+         SELECT id, avatar FROM users
+         WHERE id > ? AND avatar LIKE ?
+         ORDER BY id LIMIT ?
+      `, [afterId, `${prefix}%`, limit]);
+   }
+}
+
+module.exports = ProfileRepository;
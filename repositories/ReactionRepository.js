@@ -0,0 +1,43 @@
+// Reações das mensagens (tabela message_reactions)
+class ReactionRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // true se a reação foi criada agora
+   async add(messageId, userId, emoji) {
+      const { changes } = await this.sql.run(this.sql.insertOrIgnore(`
+         INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)
+      `), [messageId, userId, emoji]);
+      return changes > 0;
+   }
+
+   async remove(messageId, userId, emoji) {
+      const { changes } = await this.sql.run(`
+         DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?
+      `, [messageId, userId, emoji]);
+      return changes > 0;
+   }
+
+   async countUserEmojis(messageId, userId) {
+      const row = await this.sql.get(`
+         SELECT COUNT(*) AS total FROM message_reactions WHERE message_id = ? AND user_id = ?
+      `, [messageId, userId]);
+      return Number(row.total);
+   }
+
+   // Reações das mensagens, na ordem em que foram feitas
+   async findByMessages(messageIds) {
+      if (messageIds.length === 0) return [];
+      const placeholders = messageIds.map(() => '?').join(', ');
+      return this.sql.all(`
+         SELECT r.message_id, r.emoji, r.user_id, u.username
+         FROM message_reactions r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.message_id IN (${placeholders})
+         ORDER BY r.created_at, r.user_id
+      `, messageIds);
+   }
+}
+
+module.exports = ReactionRepository;
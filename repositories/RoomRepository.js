@@ -0,0 +1,197 @@
+// Salas (conversas privadas e grupos), seus membros e, nos grupos, os papéis
+// dos membros (owner/admin/member) e as permissões de cada papel
+const ServiceError = require('../utils/ServiceError');
+
+const ROLES = ['owner', 'admin', 'member'];
+
+// Papéis que podem executar cada ação
+const PERMISSIONS = {
+   add_member: ['owner', 'admin'],
+   remove_member: ['owner', 'admin'],
+   rename: ['owner', 'admin'],
+   change_role: ['owner'],
+   delete: ['owner']
+};
+
+// Papel de rm (room_members) em r (rooms), com o OWNER_JOIN da mesma sala.
+// Grupos antigos sem owner definido usam rooms.created_by.
+const ROLE_COLUMN = `
+   CASE
+      WHEN r.created_by = rm.user_id AND o.room_id IS NULL THEN 'owner'
+      ELSE COALESCE(rm.role, 'member')
+   END`;
+
+// Recebe o id da sala como parâmetro
+const OWNER_JOIN = `
+   LEFT JOIN (SELECT DISTINCT room_id FROM room_members WHERE room_id = ? AND role = 'owner') o
+      ON o.room_id = rm.room_id`;
+
+class RoomRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // roomData: { name, type, created_by }; retorna a sala criada
+   async create({ name = null, type = 'private', created_by = null }, sql = this.sql) {
+      const id = await sql.insert(
+         'INSERT INTO rooms (name, type, created_by) VALUES (?, ?, ?)',
+         [name, type, created_by]
+      );
+      return sql.get('SELECT * FROM rooms WHERE id = ?', [id]);
+   }
+
+   async findById(id) {
+      return this.sql.get('SELECT * FROM rooms WHERE id = ?', [id]);
+   }
+
+   async addMember(roomId, userId, sql = this.sql) {
+      await sql.run(sql.insertOrIgnore('INTO room_members (room_id, user_id) VALUES (?, ?)'), [roomId, userId]);
+   }
+
+   async isMember(roomId, userId) {
+      const row = await this.sql.get('SELECT 1 AS member FROM room_members WHERE room_id = ? AND user_id = ?', [roomId, userId]);
+      return !!row;
+   }
+
+   async getRoomMembers(roomId) {
+      return this.sql.all(`
+         SELECT u.id, u.username, u.avatar, u.status, u.is_online
+         FROM room_members rm
+         JOIN users u ON u.id = rm.user_id
+         WHERE rm.room_id = ?
+         ORDER BY rm.joined_at, u.id
+      `, [roomId]);
+   }
+
+   async findUserRooms(userId) {
+      return this.sql.all(`
+         SELECT r.*
+         FROM rooms r
+         JOIN room_members rm ON rm.room_id = r.id
+         WHERE rm.user_id = ?
+         ORDER BY r.id
+      `, [userId]);
+   }
+
+   // Sala privada entre os dois usuários; criada com os dois membros na primeira conversa
+   async createOrFindPrivateRoom(userId, otherUserId) {
+      const existing = await this.findPrivateRoom(userId, otherUserId);
+      if (existing) return existing;
+
+      return this.sql.transaction(async (tx) => {
+         const room = await this.create({ type: 'private', created_by: userId }, tx);
+         await this.addMember(room.id, userId, tx);
+         await this.addMember(room.id, otherUserId, tx);
+         return room;
+      });
+   }
+
+   async findPrivateRoom(userId, otherUserId) {
+      return this.sql.get(`
+         SELECT r.*
+         FROM rooms r
+         JOIN room_members a ON a.room_id = r.id AND a.user_id = ?
+         JOIN room_members b ON b.room_id = r.id AND b.user_id = ?
+         WHERE r.type = 'private'
+         ORDER BY r.id
+         LIMIT 1
+      `, [userId, otherUserId]);
+   }
+
+   // ===== Grupos =====
+
+   // Grupo novo com o criador como owner e os demais como member, tudo ou nada
+   async createGroup({ name, created_by, memberIds = [] }) {
+      return this.sql.transaction(async (tx) => {
+         const group = await this.create({ name, type: 'group', created_by }, tx);
+         await this.addMember(group.id, created_by, tx);
+         await this.setRole(group.id, created_by, 'owner', tx);
+         for (const userId of memberIds) {
+            await this.addMember(group.id, userId, tx);
+            await this.setRole(group.id, userId, 'member', tx);
+         }
+         return group;
+      });
+   }
+
+   async findGroup(roomId) {
+      return this.sql.get("SELECT * FROM rooms WHERE id = ? AND type = 'group'", [roomId]);
+   }
+
+   // Papel do usuário na sala ou null se não for membro
+   async getRole(roomId, userId) {
+      const row = await this.sql.get(`
+         SELECT ${ROLE_COLUMN} AS role
+         FROM room_members rm
+         JOIN rooms r ON r.id = rm.room_id
+         ${OWNER_JOIN}
+         WHERE rm.room_id = ? AND rm.user_id = ?
+      `, [roomId, roomId, userId]);
+      return row ? row.role : null;
+   }
+
+   // Membros com o papel de cada um, numa única consulta
+   async getGroupMembers(roomId) {
+      return this.sql.all(`
+         SELECT u.id, u.username, u.avatar, ${ROLE_COLUMN} AS role, rm.joined_at
+         FROM room_members rm
+         JOIN rooms r ON r.id = rm.room_id
+         JOIN users u ON u.id = rm.user_id
+         ${OWNER_JOIN}
+         WHERE rm.room_id = ?
+         ORDER BY rm.joined_at, u.id
+      `, [roomId, roomId]);
+   }
+
+   // Garante que o usuário pode executar a ação no grupo e devolve o papel dele
+   async assertPermission(roomId, userId, action) {
+      const group = await this.findGroup(roomId);
+      if (!group) {
+         throw new ServiceError('Grupo não encontrado', 404);
+      }
+
+      const role = await this.getRole(roomId, userId);
+      if (!role) {
+         throw new ServiceError('Você não é membro deste grupo', 403);
+      }
+      if (action && !PERMISSIONS[action].includes(role)) {
+         throw new ServiceError('Você não tem permissão para esta ação', 403);
+      }
+
+      return { group, role };
+   }
+
+   async setRole(roomId, userId, role, sql = this.sql) {
+      if (!ROLES.includes(role)) {
+         throw new ServiceError('Papel inválido', 400);
+      }
+      await sql.run('UPDATE room_members SET role = ? WHERE room_id = ? AND user_id = ?', [role, roomId, userId]);
+   }
+
+   async removeMember(roomId, userId) {
+      await this.sql.run('DELETE FROM room_members WHERE room_id = ? AND user_id = ?', [roomId, userId]);
+   }
+
+   async rename(roomId, name) {
+      await this.sql.run('UPDATE rooms SET name = ? WHERE id = ?', [name, roomId]);
+   }
+
+   async delete(roomId) {
+      await this.sql.run('DELETE FROM rooms WHERE id = ?', [roomId]);
+   }
+
+   // Próximo dono quando o owner sai: admin mais antigo, senão o membro mais antigo
+   async findSuccessor(roomId, excludeUserId) {
+      return this.sql.get(`
+         SELECT user_id AS id
+         FROM room_members
+         WHERE room_id = ? AND user_id != ?
+         ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, joined_at, user_id
+         LIMIT 1
+      `, [roomId, excludeUserId]);
+   }
+}
+
+RoomRepository.ROLES = ROLES;
+
+module.exports = RoomRepository;
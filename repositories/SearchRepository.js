@@ -0,0 +1,115 @@
+// Busca textual nas mensagens das salas do usuário (índices criados na migração 015).
+// score: quanto maior, mais relevante, em qualquer banco.
+const { QUOTE_COLUMNS, QUOTE_JOIN } = require('./HistoryRepository');
+
+class SearchRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // Condição de busca, expressão de relevância e JOIN extra de cada banco.
+   // Todos os termos precisam aparecer, como prefixo de palavra.
+   buildMatch(terms) {
+      switch (this.sql.type) {
+         case 'sqlite':
+            return {
+               join: 'JOIN messages_fts ON messages_fts.rowid = m.id',
+               condition: 'messages_fts MATCH ?',
+               score: '-bm25(messages_fts)',
+               scoreParams: [],
+               query: terms.map(term => `"${term}"*`).join(' ')
+            };
+         case 'postgres': {
+            const vector = "to_tsvector('simple', coalesce(m.content, ''))";
+            const query = terms.map(term => `${term}:*`).join(' & ');
+            return {
+               join: '',
+               condition: `${vector} @@ to_tsquery('simple', ?)`,
+               score: `ts_rank(${vector}, to_tsquery('simple', ?))`,
+               scoreParams: [query],
+               query
+            };
+         }
+         case 'mysql': {
+            const query = terms.map(term => `+${term}*`).join(' ');
+            return {
+               join: '',
+               condition: 'MATCH (m.content) AGAINST (? IN BOOLEAN MODE)',
+               score: 'MATCH (m.content) AGAINST (? IN BOOLEAN MODE)',
+               scoreParams: [query],
+               query
+            };
+         }
+         default:
+            throw new Error(`Banco ${this.sql.type} não suportado`);
+      }
+   }
+
+   // filters: { roomId, sender, since, until, hasAttachment }
+   // page: { sort: 'relevance' | 'recent', offset, beforeId, limit } — retorna até limit + 1 linhas
+   async search(userId, terms, filters = {}, { sort = 'relevance', offset = 0, beforeId = null, limit }) {
+      const match = this.buildMatch(terms);
+      const conditions = [match.condition, 'm.deleted_at IS NULL'];
+      const params = [match.query];
+
+      if (filters.roomId) {
+         conditions.push('m.room_id = ?');
+         params.push(filters.roomId);
+      }
+      if (filters.sender) {
+         conditions.push('u.username = ?');
+         params.push(filters.sender);
+      }
+      if (filters.since) {
+         conditions.push('m.created_at >= ?');
+         params.push(filters.since);
+      }
+      if (filters.until) {
+         conditions.push('m.created_at <= ?');
+         params.push(filters.until);
+      }
+      if (filters.hasAttachment !== undefined) {
+         conditions.push(filters.hasAttachment ? 'm.file_data IS NOT NULL' : 'm.file_data IS NULL');
+      }
+      if (beforeId) {
+         conditions.push('m.id < ?');
+         params.push(beforeId);
+      }
+
+      const order = sort === 'recent' ? 'm.id DESC' : 'score DESC, m.id DESC';
+
+      return this.sql.all(`
+         SELECT m.id, m.room_id, m.user_id, m.content, m.message_type, m.file_data,
+            m.created_at, m.edited_at, m.deleted_at, m.reply_to, m.thread_id,
+            u.username, u.avatar, r.type AS room_type, r.name AS room_name, ${QUOTE_COLUMNS},
+            ${match.score} AS score
+         FROM messages m
+         ${match.join}
+         JOIN room_members rm ON rm.room_id = m.room_id AND rm.user_id = ?
+         JOIN users u ON u.id = m.user_id
+         JOIN rooms r ON r.id = m.room_id
+         ${QUOTE_JOIN}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${order}
+         LIMIT ? OFFSET ?
+      `, [...match.scoreParams, userId, ...params, limit + 1, offset]);
+   }
+
+   // Outro participante de cada conversa privada (roomId -> username)
+   async findPrivatePartners(roomIds, userId) {
+      const partners = new Map();
+      if (roomIds.length === 0) return partners;
+
+      const placeholders = roomIds.map(() => '?').join(', ');
+      const rows = await this.sql.all(`
+         SELECT rm.room_id, u.username
+         FROM room_members rm
+         JOIN users u ON u.id = rm.user_id
+         WHERE rm.room_id IN (${placeholders}) AND rm.user_id != ?
+      `, [...roomIds, userId]);
+      rows.forEach(row => partners.set(Number(row.room_id), row.username));
+      return partners;
+   }
+}
+
+module.exports = SearchRepository;
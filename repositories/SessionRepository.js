@@ -0,0 +1,52 @@
+// Sessões de login por dispositivo (tabela user_sessions)
+class SessionRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   async create({ user_id, token_hash, device_name, ip_address, user_agent, expires_at }) {
+      const id = await this.sql.insert(`
+         INSERT INTO user_sessions (user_id, token_hash, device_name, ip_address, user_agent, expires_at, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [user_id, token_hash, device_name, ip_address, user_agent, expires_at]);
+      return this.findById(id);
+   }
+
+   async findById(id) {
+      return this.sql.get('SELECT * FROM user_sessions WHERE id = ?', [id]);
+   }
+
+   async findActiveByUser(userId) {
+      return this.sql.all(`
+         SELECT * FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL
+         ORDER BY last_used_at DESC, id DESC
+      `, [userId]);
+   }
+
+   // Troca o refresh token só se o atual ainda for o informado (duas trocas simultâneas não passam)
+   async rotate(id, currentHash, newHash, { expires_at, ip_address, user_agent }) {
+      const { changes } = await this.sql.run(`
+         UPDATE user_sessions
+         SET previous_token_hash = token_hash, token_hash = ?, expires_at = ?,
+             ip_address = ?, user_agent = ?, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND token_hash = ? AND revoked_at IS NULL
+      `, [newHash, expires_at, ip_address, user_agent, id, currentHash]);
+      return changes > 0;
+   }
+
+   // Revoga as sessões ativas do usuário (menos exceptId, se informado) e retorna os ids revogados
+   async revokeAllForUser(userId, exceptId = null) {
+      const sessions = (await this.findActiveByUser(userId)).filter(session => session.id !== exceptId);
+      for (const session of sessions) {
+         await this.revoke(session.id);
+      }
+      return sessions.map(session => session.id);
+   }
+
+   async revoke(id) {
+      await this.sql.run('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+   }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,80 @@
+// Configuração de 2FA por usuário (user_two_factor) e códigos de recuperação
+class TwoFactorRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // BIGINT chega como string no PostgreSQL
+   static parse(row) {
+      if (row && row.last_used_step !== null && row.last_used_step !== undefined) {
+         row.last_used_step = Number(row.last_used_step);
+      }
+      return row;
+   }
+
+   async find(userId) {
+      return TwoFactorRepository.parse(await this.sql.get('SELECT * FROM user_two_factor WHERE user_id = ?', [userId]));
+   }
+
+   // Guarda um segredo ainda não confirmado, substituindo uma configuração pendente anterior
+   async savePending(userId, secret) {
+      await this.sql.run(
+         this.sql.upsert('user_two_factor', ['user_id', 'secret', 'enabled_at', 'last_used_step'], ['user_id'], ['secret', 'enabled_at', 'last_used_step']),
+         [userId, secret, null, null]
+      );
+   }
+
+   async enable(userId, step) {
+      await this.sql.run('UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP, last_used_step = ? WHERE user_id = ?', [step, userId]);
+   }
+
+   // Registra o passo usado; retorna false se ele (ou um posterior) já foi usado (replay)
+   async useStep(userId, step) {
+      const { changes } = await this.sql.run(`
+         UPDATE user_two_factor SET last_used_step = ?
+         WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+      `, [step, userId, step]);
+      return changes > 0;
+   }
+
+   // Tentativas de código erradas desde o último login com senha
+   async resetFailedAttempts(userId) {
+      await this.sql.run('UPDATE user_two_factor SET failed_attempts = 0 WHERE user_id = ?', [userId]);
+   }
+
+   async incrementFailedAttempts(userId) {
+      await this.sql.run('UPDATE user_two_factor SET failed_attempts = failed_attempts + 1 WHERE user_id = ?', [userId]);
+   }
+
+   async replaceRecoveryCodes(userId, codeHashes) {
+      await this.sql.transaction(async (tx) => {
+         await tx.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+         for (const codeHash of codeHashes) {
+            await tx.run('INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+         }
+      });
+   }
+
+   // Consome um código de recuperação; retorna false se não existir ou já tiver sido usado
+   async useRecoveryCode(userId, codeHash) {
+      const { changes } = await this.sql.run(`
+         UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `, [userId, codeHash]);
+      return changes > 0;
+   }
+
+   async countRemainingRecoveryCodes(userId) {
+      const row = await this.sql.get('SELECT COUNT(*) AS total FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+      return Number(row.total);
+   }
+
+   async delete(userId) {
+      await this.sql.transaction(async (tx) => {
+         await tx.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+         await tx.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+      });
+   }
+}
+
+module.exports = TwoFactorRepository;
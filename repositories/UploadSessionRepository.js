@@ -0,0 +1,52 @@
+// Sessões de upload retomável (tabela upload_sessions)
+class UploadSessionRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // BIGINT chega como string no PostgreSQL
+   static parse(row) {
+      if (row) {
+         row.upload_length = Number(row.upload_length);
+         row.upload_offset = Number(row.upload_offset);
+         row.expires_at = Number(row.expires_at);
+      }
+      return row;
+   }
+
+   async create({ id, user_id, original_name, mimetype, upload_length, expires_at }) {
+      await this.sql.run(`
+         INSERT INTO upload_sessions (id, user_id, original_name, mimetype, upload_length, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+      `, [id, user_id, original_name, mimetype, upload_length, expires_at]);
+      return this.findById(id);
+   }
+
+   async findById(id) {
+      return UploadSessionRepository.parse(await this.sql.get('SELECT * FROM upload_sessions WHERE id = ?', [id]));
+   }
+
+   // Só avança se ninguém mais gravou desde a leitura do offset; retorna false se perdeu a corrida
+   async advance(id, fromOffset, toOffset, expiresAt) {
+      const { changes } = await this.sql.run(`
+         UPDATE upload_sessions SET upload_offset = ?, expires_at = ?
+         WHERE id = ? AND upload_offset = ?
+      `, [toOffset, expiresAt, id, fromOffset]);
+      return changes > 0;
+   }
+
+   async setAttachment(id, attachmentId) {
+      await this.sql.run('UPDATE upload_sessions SET attachment_id = ? WHERE id = ?', [attachmentId, id]);
+   }
+
+   async findExpired(now) {
+      const rows = await this.sql.all('SELECT * FROM upload_sessions WHERE expires_at < ?', [now]);
+      return rows.map(UploadSessionRepository.parse);
+   }
+
+   async delete(id) {
+      await this.sql.run('DELETE FROM upload_sessions WHERE id = ?', [id]);
+   }
+}
+
+module.exports = UploadSessionRepository;
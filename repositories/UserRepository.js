@@ -0,0 +1,52 @@
+// Usuários: cadastro, busca por username/e-mail e presença (is_online, last_seen)
+
+// Colunas exibidas para outros usuários (sem senha e sem e-mail)
+const LIST_COLUMNS = 'id, username, display_name, avatar, status, is_online, last_seen';
+
+class UserRepository {
+   constructor(sql) {
+      this.sql = sql;
+   }
+
+   // userData: { username, email, password_hash }; retorna a linha criada
+   async create({ username, email = null, password_hash }) {
+      const id = await this.sql.insert(
+         'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
+         [username, email, password_hash]
+      );
+      return this.findById(id);
+   }
+
+   // Linha completa (com password_hash): quem devolve ao cliente remove a senha
+   async findById(id) {
+      return this.sql.get('SELECT * FROM users WHERE id = ?', [id]);
+   }
+
+   async findByUsername(username) {
+      return this.sql.get('SELECT * FROM users WHERE username = ?', [username]);
+   }
+
+   async findByEmail(email) {
+      return this.sql.get('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+   }
+
+   // Todos os usuários, menos excludeUserId (a lista de contatos do cliente)
+   async findAll(excludeUserId = null) {
+      return this.sql.all(`
+         SELECT ${LIST_COLUMNS}
+         FROM users
+         WHERE id != ?
+         ORDER BY username
+      `, [excludeUserId || 0]);
+   }
+
+   // last_seen passa a ser agora tanto ao entrar quanto ao sair
+   async updateOnlineStatus(id, isOnline) {
+      await this.sql.run(
+         `UPDATE users SET is_online = ${isOnline ? 'TRUE' : 'FALSE'}, last_seen = CURRENT_TIMESTAMP WHERE id = ?`,
+         [id]
+      );
+   }
+}
+
+module.exports = UserRepository;
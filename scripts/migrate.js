@@ -0,0 +1,47 @@
+// CLI de migrações
+//   npm run migrate              -> aplica as migrações pendentes
+//   npm run migrate:status       -> lista as migrações e se já foram aplicadas
+//   npm run migrate:rollback [N] -> desfaz as últimas N migrações (padrão 1)
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DatabaseConnection = require('../database/connection');
+const Migrator = require('../database/Migrator');
+
+async function main() {
+   const [command = 'up', arg] = process.argv.slice(2);
+
+   await DatabaseConnection.connect();
+   const migrator = new Migrator(DatabaseConnection.getClient());
+
+   switch (command) {
+      case 'up': {
+         const applied = await migrator.migrate();
+         console.log(applied.length ? `✅ ${applied.length} migração(ões) aplicada(s)` : '✅ Nenhuma migração pendente');
+         break;
+      }
+      case 'status': {
+         const migrations = await migrator.status();
+         for (const migration of migrations) {
+            const state = migration.applied ? `aplicada em ${migration.appliedAt}` : 'pendente';
+            console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+         }
+         break;
+      }
+      case 'rollback': {
+         const steps = parseInt(arg) || 1;
+         const reverted = await migrator.rollback(steps);
+         console.log(reverted.length ? `↩️  ${reverted.length} migração(ões) revertida(s)` : 'Nenhuma migração para reverter');
+         break;
+      }
+      default:
+         throw new Error(`Comando desconhecido: ${command} (use up, status ou rollback)`);
+   }
+}
+
+main()
+   .catch(error => {
+      console.error('❌ Erro nas migrações:', error.message);
+      process.exitCode = 1;
+   })
+   .finally(() => DatabaseConnection.close());
@@ -0,0 +1,117 @@
+// CLI para mover os anexos e avatares entre drivers de storage
+//   npm run storage:migrate -- local s3                  -> copia do disco para o bucket
+//   npm run storage:migrate -- s3 local --delete-source  -> traz de volta e apaga do bucket
+//
+// Arquivos que já existem no destino são pulados, então dá para rodar de novo
+// após uma interrupção. Troque STORAGE_DRIVER só depois que a cópia terminar.
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DatabaseConnection = require('../database/connection');
+const AttachmentRepository = require('../repositories/AttachmentRepository');
+const ProfileRepository = require('../repositories/ProfileRepository');
+const ProfileService = require('../services/ProfileService');
+const { createStorage } = require('../storage');
+
+const BATCH_SIZE = 100;
+const uploadDir = path.join(__dirname, '..', process.env.UPLOAD_PATH || 'uploads');
+
+function storageKeys(attachment) {
+   return [
+      attachment.filename,
+      ...Object.values(attachment.variants || {}).map(variant => variant.filename)
+   ].map(key => path.basename(key));
+}
+
+// Copia passando por um arquivo temporário, sem carregar o arquivo inteiro na memória
+async function copyFile(source, target, key, contentType) {
+   const file = await source.getStream(key);
+   if (!file) return false;
+
+   const tempPath = path.join(os.tmpdir(), `storage-migrate-${process.pid}-${key}`);
+   try {
+      await pipeline(file.stream, fs.createWriteStream(tempPath));
+      await target.putFile(key, tempPath, { contentType });
+   } finally {
+      await fs.remove(tempPath);
+   }
+   return true;
+}
+
+async function main() {
+   const args = process.argv.slice(2);
+   const deleteSource = args.includes('--delete-source');
+   const [from, to] = args.filter(arg => !arg.startsWith('--'));
+
+   if (!from || !to || from === to) {
+      throw new Error('Uso: npm run storage:migrate -- <origem> <destino> [--delete-source] (local ou s3)');
+   }
+
+   const source = createStorage({ driver: from, root: uploadDir });
+   const target = createStorage({ driver: to, root: uploadDir });
+
+   await DatabaseConnection.connect();
+   const sql = DatabaseConnection.getClient();
+   const attachmentRepository = new AttachmentRepository(sql);
+   const profileRepository = new ProfileRepository(sql);
+
+   const totals = { copied: 0, skipped: 0, missing: 0 };
+
+   const moveKey = async (key, contentType, owner) => {
+      if (await target.exists(key)) {
+         totals.skipped++;
+      } else if (await copyFile(source, target, key, contentType)) {
+         totals.copied++;
+      } else {
+         totals.missing++;
+         console.warn(`⚠️  ${key} (${owner}) não encontrado em ${from}`);
+         return;
+      }
+
+      if (deleteSource) {
+         await source.delete(key);
+      }
+   };
+
+   try {
+      let lastId = 0;
+      for (;;) {
+         const attachments = await attachmentRepository.findBatch(lastId, BATCH_SIZE);
+         if (!attachments.length) break;
+
+         for (const attachment of attachments) {
+            for (const key of storageKeys(attachment)) {
+               const contentType = key === attachment.filename ? attachment.mimetype : 'image/webp';
+               await moveKey(key, contentType, `anexo ${attachment.id}`);
+            }
+            lastId = attachment.id;
+         }
+      }
+
+      lastId = 0;
+      for (;;) {
+         const users = await profileRepository.findAvatarBatch(lastId, BATCH_SIZE, ProfileService.AVATAR_PREFIX);
+         if (!users.length) break;
+
+         for (const user of users) {
+            await moveKey(user.avatar, 'image/webp', `avatar do usuário ${user.id}`);
+            lastId = user.id;
+         }
+      }
+   } finally {
+      await source.close();
+      await target.close();
+   }
+
+   console.log(`✅ ${totals.copied} arquivo(s) copiado(s), ${totals.skipped} já existiam no destino, ${totals.missing} não encontrado(s)`);
+}
+
+main()
+   .catch(error => {
+      console.error('❌ Erro na migração de storage:', error.message);
+      process.exitCode = 1;
+   })
+   .finally(() => DatabaseConnection.close());
@@ -0,0 +1,141 @@
+// Confirmação de e-mail e recuperação de senha por links com token de uso único.
+// Os tokens só ficam no banco como hash; o link aponta para o frontend (APP_URL),
+// que envia o token de volta para a API.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ServiceError = require('../utils/ServiceError');
+const { toDbDate, parseDbDate } = require('../utils/messageFormatter');
+
+const PURPOSES = {
+   EMAIL_VERIFICATION: 'email_verification',
+   PASSWORD_RESET: 'password_reset'
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+   '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+class AccountService {
+   constructor(accountRepository, sessionService, mailer, {
+      appUrl = process.env.APP_URL || 'http://localhost:5173',
+      verificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+      resetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+   } = {}) {
+      this.accountRepository = accountRepository;
+      this.sessionService = sessionService;
+      this.mailer = mailer;
+      this.appUrl = appUrl.replace(/\/$/, '');
+      this.verificationTtlHours = verificationTtlHours;
+      this.resetTtlMinutes = resetTtlMinutes;
+   }
+
+   // Gera um token novo e invalida os anteriores do mesmo tipo
+   async createToken(userId, purpose, ttlMs) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      await this.accountRepository.invalidateTokens(userId, purpose);
+      await this.accountRepository.createToken({
+         user_id: userId,
+         purpose,
+         token_hash: hashToken(token),
+         expires_at: toDbDate(new Date(Date.now() + ttlMs))
+      });
+      return token;
+   }
+
+   // Consome o token; lança erro se não existir, já tiver sido usado ou estiver vencido
+   async consumeToken(token, purpose) {
+      const record = token ? await this.accountRepository.findToken(purpose, hashToken(String(token))) : null;
+      if (!record || record.used_at || parseDbDate(record.expires_at) <= new Date()) {
+         throw new ServiceError('Link inválido ou expirado', 400);
+      }
+      if (!await this.accountRepository.consumeToken(record.id)) {
+         throw new ServiceError('Link inválido ou expirado', 400);
+      }
+      return record;
+   }
+
+   async sendVerification(userId) {
+      const user = await this.accountRepository.findUserById(userId);
+      if (!user || !user.email) {
+         throw new ServiceError('Usuário sem e-mail cadastrado', 400);
+      }
+      if (user.email_verified_at) {
+         throw new ServiceError('E-mail já confirmado', 409);
+      }
+
+      const token = await this.createToken(user.id, PURPOSES.EMAIL_VERIFICATION, this.verificationTtlHours * 60 * 60 * 1000);
+      const link = `${this.appUrl}/verify-email?token=${token}`;
+
+      await this.mailer.send({
+         to: user.email,
+         subject: 'Confirme seu e-mail',
+         text: `Olá, ${user.username}!\n\nConfirme seu e-mail acessando o link abaixo (válido por ${this.verificationTtlHours} horas):\n${link}\n`,
+         html: `<p>Olá, ${escapeHtml(user.username)}!</p><p>Confirme seu e-mail acessando o link abaixo (válido por ${this.verificationTtlHours} horas):</p><p><a href="${link}">${link}</a></p>`
+      });
+   }
+
+   async verifyEmail(token) {
+      const record = await this.consumeToken(token, PURPOSES.EMAIL_VERIFICATION);
+      await this.accountRepository.markEmailVerified(record.user_id);
+      return { userId: record.user_id };
+   }
+
+   // E-mail sem conta termina sem erro; a rota chama em segundo plano e responde sempre igual
+   async requestPasswordReset(email) {
+      if (!email || typeof email !== 'string') {
+         throw new ServiceError('E-mail é obrigatório', 400);
+      }
+
+      const user = await this.accountRepository.findUserByEmail(email.trim());
+      if (!user) return;
+
+      const token = await this.createToken(user.id, PURPOSES.PASSWORD_RESET, this.resetTtlMinutes * 60 * 1000);
+      const link = `${this.appUrl}/reset-password?token=${token}`;
+
+      await this.mailer.send({
+         to: user.email,
+         subject: 'Redefinição de senha',
+         text: `Olá, ${user.username}!\n\nPara criar uma nova senha, acesse o link abaixo (válido por ${this.resetTtlMinutes} minutos):\n${link}\n\nSe não foi você quem pediu, ignore este e-mail.\n`,
+         html: `<p>Olá, ${escapeHtml(user.username)}!</p><p>Para criar uma nova senha, acesse o link abaixo (válido por ${this.resetTtlMinutes} minutos):</p><p><a href="${link}">${link}</a></p><p>Se não foi você quem pediu, ignore este e-mail.</p>`
+      });
+   }
+
+   validateNewPassword(password) {
+      if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+         throw new ServiceError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`, 400);
+      }
+   }
+
+   // Troca a senha e encerra todas as sessões abertas com a senha antiga
+   async resetPassword(token, password) {
+      this.validateNewPassword(password);
+
+      const record = await this.consumeToken(token, PURPOSES.PASSWORD_RESET);
+      await this.accountRepository.updatePasswordHash(record.user_id, await bcrypt.hash(password, 10));
+      // Quem recebeu o link provou ter acesso ao e-mail
+      await this.accountRepository.markEmailVerified(record.user_id);
+      await this.sessionService.revokeAll(record.user_id);
+      return { userId: record.user_id };
+   }
+
+   // Troca de senha pelo próprio usuário: confere a senha atual e encerra as outras sessões
+   async changePassword(userId, currentSessionId, currentPassword, newPassword) {
+      const passwordHash = await this.accountRepository.findPasswordHash(userId);
+      if (!currentPassword || !passwordHash || !await bcrypt.compare(String(currentPassword), passwordHash)) {
+         throw new ServiceError('Senha atual incorreta', 403);
+      }
+      this.validateNewPassword(newPassword);
+
+      await this.accountRepository.updatePasswordHash(userId, await bcrypt.hash(newPassword, 10));
+      await this.sessionService.revokeAll(userId, currentSessionId);
+   }
+}
+
+AccountService.PURPOSES = PURPOSES;
+AccountService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = AccountService;
@@ -0,0 +1,209 @@
+// Controle de acesso aos anexos e URLs de download assinadas
+const crypto = require('crypto');
+const path = require('path');
+const ServiceError = require('../utils/ServiceError');
+const { toIsoDate } = require('../utils/messageFormatter');
+
+class AttachmentService {
+   // storage: driver criado por createStorage (local, s3 ou memory)
+   constructor(attachmentRepository, roomRepository, {
+      storage,
+      secret = process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET,
+      urlTtl = parseInt(process.env.ATTACHMENT_URL_TTL) || 5 * 60 // segundos
+   }) {
+      this.attachmentRepository = attachmentRepository;
+      this.roomRepository = roomRepository;
+      this.storage = storage;
+      this.secret = secret;
+      this.urlTtl = urlTtl;
+   }
+
+   // Mesmo formato que a rota /api/upload sempre devolveu, agora com o id do anexo
+   // e, para imagens, os metadados para o cliente montar a prévia sem baixar o original
+   toFileInfo(attachment) {
+      const url = `/api/attachments/${attachment.id}`;
+      const variants = attachment.variants || {};
+      const variantInfo = (name) => variants[name] ? {
+         url: `${url}?variant=${name}`,
+         width: variants[name].width,
+         height: variants[name].height
+      } : null;
+
+      return {
+         id: attachment.id,
+         filename: attachment.filename,
+         originalName: attachment.original_name,
+         size: attachment.size,
+         mimetype: attachment.mimetype,
+         url,
+         uploadDate: toIsoDate(attachment.created_at),
+         media: attachment.width ? {
+            width: attachment.width,
+            height: attachment.height,
+            blurhash: attachment.blurhash,
+            thumbnail: variantInfo('thumbnail'),
+            preview: variantInfo('preview')
+         } : null
+      };
+   }
+
+   // Nunca monta a chave a partir de dados do cliente
+   getStorageKey(attachment, variant = null) {
+      if (variant) {
+         const variants = attachment.variants || {};
+         if (!variants[variant]) {
+            throw new ServiceError('Variante não disponível para este arquivo', 404);
+         }
+         return path.basename(variants[variant].filename);
+      }
+      return path.basename(attachment.filename);
+   }
+
+   // Todas as chaves do anexo no storage: original e variantes
+   getStorageKeys(attachment) {
+      return [
+         this.getStorageKey(attachment),
+         ...Object.keys(attachment.variants || {}).map(variant => this.getStorageKey(attachment, variant))
+      ];
+   }
+
+   // { stream, size } do arquivo (ou da variante) guardado no storage
+   async openFile(attachment, variant = null) {
+      const file = await this.storage.getStream(this.getStorageKey(attachment, variant));
+      if (!file) {
+         throw new ServiceError('Arquivo não encontrado', 404);
+      }
+      return file;
+   }
+
+   // file: arquivo já gravado no disco (multer ou upload em partes), que passa para o storage.
+   // processed: resultado do MediaService (tipo detectado, tamanho final e metadados)
+   async register(file, userId, processed) {
+      const media = processed.media || {};
+      const uploadDir = path.dirname(file.path);
+
+      await this.storage.putFile(file.filename, file.path, { contentType: processed.mimetype });
+      for (const variant of Object.values(media.variants || {})) {
+         await this.storage.putFile(variant.filename, path.join(uploadDir, variant.filename), { contentType: 'image/webp' });
+      }
+
+      try {
+         const attachment = await this.attachmentRepository.create({
+            filename: file.filename,
+            original_name: file.originalname,
+            mimetype: processed.mimetype,
+            size: processed.size,
+            uploader_id: userId,
+            width: media.width,
+            height: media.height,
+            blurhash: media.blurhash,
+            variants: media.variants
+         });
+         return this.toFileInfo(attachment);
+      } catch (error) {
+         // Sem registro no banco o arquivo ficaria órfão no storage
+         for (const key of this.getStorageKeys({ filename: file.filename, variants: media.variants })) {
+            await this.storage.delete(key).catch(() => {});
+         }
+         throw error;
+      }
+   }
+
+   // Quem enviou sempre acessa; depois de publicado, os membros da sala também
+   async canAccess(attachment, userId) {
+      if (attachment.uploader_id === userId) return true;
+      if (!attachment.room_id) return false;
+      return this.roomRepository.isMember(attachment.room_id, userId);
+   }
+
+   async findById(id) {
+      const attachment = await this.attachmentRepository.findById(parseInt(id));
+      if (!attachment) {
+         throw new ServiceError('Arquivo não encontrado', 404);
+      }
+      return attachment;
+   }
+
+   async getForDownload(id, userId) {
+      const attachment = await this.findById(id);
+      if (!await this.canAccess(attachment, userId)) {
+         throw new ServiceError('Acesso negado a este arquivo', 403);
+      }
+      return attachment;
+   }
+
+   sign(id, variant, expires) {
+      return crypto.createHmac('sha256', this.secret).update(`${id}:${variant || ''}:${expires}`).digest('hex');
+   }
+
+   // URL de curta duração que dispensa o header Authorization (ex.: <img src>)
+   async createSignedUrl(id, userId, variant = null) {
+      const attachment = await this.getForDownload(id, userId);
+      this.getStorageKey(attachment, variant); // valida a variante
+      const expires = Math.floor(Date.now() / 1000) + this.urlTtl;
+      const signature = this.sign(attachment.id, variant, expires);
+      const variantParam = variant ? `&variant=${variant}` : '';
+
+      return {
+         url: `/api/attachments/${attachment.id}/signed?expires=${expires}${variantParam}&signature=${signature}`,
+         expiresAt: new Date(expires * 1000).toISOString()
+      };
+   }
+
+   async getForSignedDownload(id, variant, expires, signature) {
+      const expiresAt = parseInt(expires);
+      if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+         throw new ServiceError('Link expirado ou inválido', 403);
+      }
+
+      const expected = Buffer.from(this.sign(parseInt(id), variant, expiresAt));
+      const received = Buffer.from(signature);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+         throw new ServiceError('Link expirado ou inválido', 403);
+      }
+
+      return this.findById(id);
+   }
+
+   // Valida o fileData enviado junto com uma mensagem.
+   // Só vale um anexo do próprio usuário, ainda não publicado em outra sala.
+   // Retorna os dados do banco, ignorando o que mais o cliente mandou.
+   async resolveForMessage(fileData, userId, roomId) {
+      if (!fileData) return null;
+
+      const attachment = fileData.id
+         ? await this.attachmentRepository.findById(parseInt(fileData.id))
+         : await this.attachmentRepository.findByFilename(String(fileData.filename || ''));
+
+      if (!attachment || attachment.uploader_id !== userId) {
+         throw new ServiceError('Anexo inválido', 400);
+      }
+      if (attachment.room_id && attachment.room_id !== roomId) {
+         throw new ServiceError('Anexo já foi enviado em outra conversa', 400);
+      }
+
+      return this.toFileInfo(attachment);
+   }
+
+   async attachToMessage(fileInfo, roomId, messageId) {
+      if (!fileInfo) return;
+      await this.attachmentRepository.attachToMessage(fileInfo.id, roomId, messageId);
+   }
+
+   async deleteByFilename(filename, userId) {
+      const attachment = await this.attachmentRepository.findByFilename(path.basename(String(filename)));
+      if (!attachment) {
+         throw new ServiceError('Arquivo não encontrado', 404);
+      }
+      if (attachment.uploader_id !== userId) {
+         throw new ServiceError('Apenas quem enviou pode excluir este arquivo', 403);
+      }
+
+      for (const key of this.getStorageKeys(attachment)) {
+         await this.storage.delete(key);
+      }
+      await this.attachmentRepository.delete(attachment.id);
+   }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,234 @@
+// Operações de administração de grupos.
+// Cada operação grava uma mensagem de sistema no histórico da sala
+// e devolve o que mudou para que o servidor notifique os membros.
+const ServiceError = require('../utils/ServiceError');
+const { GROUP_NAME_MAX_LENGTH } = require('../validation/limits');
+
+class GroupService {
+   // privacyService (opcional): impede convites entre usuários que se bloquearam
+   constructor(userRepository, roomRepository, messageRepository, privacyService = null) {
+      this.userRepository = userRepository;
+      this.roomRepository = roomRepository;
+      this.messageRepository = messageRepository;
+      this.privacyService = privacyService;
+   }
+
+   async findTarget(username) {
+      const target = await this.userRepository.findByUsername(username);
+      if (!target) {
+         throw new ServiceError('Usuário não encontrado', 404);
+      }
+      return target;
+   }
+
+   async recordSystemMessage(roomId, actor, content) {
+      return this.messageRepository.create({
+         room_id: roomId,
+         user_id: actor.id,
+         content,
+         message_type: 'system',
+         file_data: null
+      });
+   }
+
+   async buildResult(roomId, action, actor, { target = null, content = null, removedUserId = null } = {}) {
+      const systemMessage = content ? await this.recordSystemMessage(roomId, actor, content) : null;
+      return {
+         roomId,
+         action,
+         actor: { id: actor.id, username: actor.username },
+         target: target ? { id: target.id, username: target.username } : null,
+         systemMessageId: systemMessage ? systemMessage.id : null,
+         removedUserId,
+         group: await this.getGroup(roomId)
+      };
+   }
+
+   // Dados do grupo com os membros e seus papéis
+   async getGroup(roomId) {
+      const group = await this.roomRepository.findGroup(roomId);
+      if (!group) return null;
+
+      const members = await this.roomRepository.getGroupMembers(roomId);
+
+      return {
+         id: group.id,
+         name: group.name,
+         createdBy: group.created_by,
+         members
+      };
+   }
+
+   validateName(name) {
+      const newName = typeof name === 'string' ? name.trim() : '';
+      if (!newName || newName.length > GROUP_NAME_MAX_LENGTH) {
+         throw new ServiceError(`Nome do grupo deve ter entre 1 e ${GROUP_NAME_MAX_LENGTH} caracteres`, 400);
+      }
+      return newName;
+   }
+
+   // Cria o grupo com o criador como owner e os convidados como membros.
+   // Usuários inexistentes ou com bloqueio em relação ao criador ficam de fora.
+   async createGroup(actor, name, usernames = []) {
+      const groupName = this.validateName(name);
+
+      const members = [];
+      for (const username of new Set(usernames)) {
+         const member = await this.userRepository.findByUsername(username);
+         if (!member || member.id === actor.id) continue;
+         if (this.privacyService && await this.privacyService.isBlockedBetween(actor.id, member.id)) continue;
+         members.push(member);
+      }
+
+      const room = await this.roomRepository.createGroup({
+         name: groupName,
+         created_by: actor.id,
+         memberIds: members.map(member => member.id)
+      });
+
+      return this.buildResult(room.id, 'group_created', actor, {
+         content: `${actor.username} criou o grupo "${groupName}"`
+      });
+   }
+
+   async getGroupForMember(roomId, user) {
+      await this.roomRepository.assertPermission(roomId, user.id);
+      return this.getGroup(roomId);
+   }
+
+   async addMember(roomId, actor, username) {
+      await this.roomRepository.assertPermission(roomId, actor.id, 'add_member');
+      const target = await this.findTarget(username);
+
+      if (await this.roomRepository.isMember(roomId, target.id)) {
+         throw new ServiceError('Usuário já é membro deste grupo', 409);
+      }
+      if (this.privacyService) {
+         await this.privacyService.assertCanInteract(actor.id, target.id, 'Não é possível adicionar este usuário ao grupo');
+      }
+
+      await this.roomRepository.addMember(roomId, target.id);
+      await this.roomRepository.setRole(roomId, target.id, 'member');
+
+      return this.buildResult(roomId, 'member_added', actor, {
+         target,
+         content: `${actor.username} adicionou ${target.username}`
+      });
+   }
+
+   async removeMember(roomId, actor, username) {
+      const { role } = await this.roomRepository.assertPermission(roomId, actor.id, 'remove_member');
+      const target = await this.findTarget(username);
+
+      if (target.id === actor.id) {
+         throw new ServiceError('Use "sair do grupo" para remover a si mesmo', 400);
+      }
+
+      const targetRole = await this.roomRepository.getRole(roomId, target.id);
+      if (!targetRole) {
+         throw new ServiceError('Usuário não é membro deste grupo', 404);
+      }
+      // Admins só removem membros comuns; o owner nunca é removido
+      if (targetRole === 'owner' || (role === 'admin' && targetRole === 'admin')) {
+         throw new ServiceError('Você não tem permissão para remover este membro', 403);
+      }
+
+      await this.roomRepository.removeMember(roomId, target.id);
+
+      return this.buildResult(roomId, 'member_removed', actor, {
+         target,
+         content: `${actor.username} removeu ${target.username}`,
+         removedUserId: target.id
+      });
+   }
+
+   async changeRole(roomId, actor, username, newRole) {
+      await this.roomRepository.assertPermission(roomId, actor.id, 'change_role');
+      const target = await this.findTarget(username);
+
+      const targetRole = await this.roomRepository.getRole(roomId, target.id);
+      if (!targetRole) {
+         throw new ServiceError('Usuário não é membro deste grupo', 404);
+      }
+      if (targetRole === 'owner') {
+         throw new ServiceError('O papel do dono do grupo não pode ser alterado', 400);
+      }
+      if (targetRole === newRole) {
+         throw new ServiceError(`Usuário já é ${newRole}`, 409);
+      }
+
+      await this.roomRepository.setRole(roomId, target.id, newRole);
+
+      const content = newRole === 'admin'
+         ? `${actor.username} promoveu ${target.username} a administrador`
+         : `${actor.username} removeu ${target.username} da administração`;
+
+      return this.buildResult(roomId, newRole === 'admin' ? 'member_promoted' : 'member_demoted', actor, {
+         target,
+         content
+      });
+   }
+
+   async promote(roomId, actor, username) {
+      return this.changeRole(roomId, actor, username, 'admin');
+   }
+
+   async demote(roomId, actor, username) {
+      return this.changeRole(roomId, actor, username, 'member');
+   }
+
+   async rename(roomId, actor, name) {
+      await this.roomRepository.assertPermission(roomId, actor.id, 'rename');
+
+      const newName = this.validateName(name);
+      await this.roomRepository.rename(roomId, newName);
+
+      return this.buildResult(roomId, 'group_renamed', actor, {
+         content: `${actor.username} renomeou o grupo para "${newName}"`
+      });
+   }
+
+   // Ao sair, o owner passa o grupo adiante; o último membro apaga o grupo
+   async leave(roomId, actor) {
+      const { role } = await this.roomRepository.assertPermission(roomId, actor.id);
+      const successor = await this.roomRepository.findSuccessor(roomId, actor.id);
+
+      if (!successor) {
+         return this.deleteGroup(roomId, actor, { skipPermission: true });
+      }
+
+      await this.roomRepository.removeMember(roomId, actor.id);
+
+      if (role === 'owner') {
+         await this.roomRepository.setRole(roomId, successor.id, 'owner');
+      }
+
+      return this.buildResult(roomId, 'member_left', actor, {
+         content: `${actor.username} saiu do grupo`,
+         removedUserId: actor.id
+      });
+   }
+
+   async deleteGroup(roomId, actor, { skipPermission = false } = {}) {
+      if (!skipPermission) {
+         await this.roomRepository.assertPermission(roomId, actor.id, 'delete');
+      }
+
+      // Guardar os membros antes de apagar para poder notificá-los
+      const group = await this.getGroup(roomId);
+      await this.roomRepository.delete(roomId);
+
+      return {
+         roomId,
+         action: 'group_deleted',
+         actor: { id: actor.id, username: actor.username },
+         target: null,
+         systemMessageId: null,
+         removedUserId: null,
+         group,
+         deleted: true
+      };
+   }
+}
+
+module.exports = GroupService;
@@ -0,0 +1,126 @@
+// Pipeline de processamento dos uploads:
+// - confere o tipo real do arquivo pelos magic bytes
+// - remove metadados (EXIF/GPS) das fotos, aplicando a orientação antes
+// - gera miniatura e prévia reduzida (webp), dimensões e placeholder blurhash
+const path = require('path');
+const fs = require('fs-extra');
+const { encode } = require('blurhash');
+const ServiceError = require('../utils/ServiceError');
+const { detectMimetype } = require('../utils/fileSignature');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Lado máximo (px) de cada variante gerada
+const VARIANTS = {
+   thumbnail: 320,
+   preview: 1280
+};
+
+// Avatares são quadrados, recortados a partir do centro de interesse da imagem
+const AVATAR_SIZE = 256;
+
+class MediaService {
+   constructor({ uploadDir }) {
+      this.uploadDir = uploadDir;
+   }
+
+   // Retorna { mimetype, size, media } com o tipo detectado e, para imagens,
+   // os metadados gerados. Lança erro se o conteúdo não for um tipo aceito.
+   async process(file) {
+      const mimetype = await detectMimetype(file.path, file.mimetype);
+      if (!mimetype) {
+         throw new ServiceError('Conteúdo do arquivo não corresponde a um tipo permitido', 400);
+      }
+
+      if (!IMAGE_TYPES.includes(mimetype)) {
+         return { mimetype, size: file.size, media: null };
+      }
+
+      try {
+         return { mimetype, ...await this.processImage(file, mimetype) };
+      } catch (error) {
+         console.error('Erro ao processar imagem:', error);
+         throw new ServiceError('Imagem inválida ou corrompida', 400);
+      }
+   }
+
+   async processImage(file, mimetype) {
+      const sharp = require('sharp');
+      const animated = mimetype === 'image/gif' || mimetype === 'image/webp';
+
+      // Reescreve o original sem metadados; no JPEG aplica antes a orientação do EXIF
+      let original = sharp(file.path, { animated });
+      if (mimetype === 'image/jpeg') {
+         original = original.rotate();
+      }
+      await fs.writeFile(file.path, await original.toBuffer());
+
+      const { width, height } = await sharp(file.path).metadata();
+      const baseName = path.parse(file.filename).name;
+
+      const variants = {};
+      for (const [name, size] of Object.entries(VARIANTS)) {
+         const filename = `${baseName}-${name}.webp`;
+         const info = await sharp(file.path)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toFile(path.join(this.uploadDir, filename));
+
+         variants[name] = { filename, width: info.width, height: info.height, size: info.size };
+      }
+
+      // Placeholder exibido enquanto a imagem carrega
+      const { data, info } = await sharp(file.path)
+         .resize(32, 32, { fit: 'inside' })
+         .ensureAlpha()
+         .raw()
+         .toBuffer({ resolveWithObject: true });
+      const blurhash = encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+
+      const { size } = await fs.stat(file.path);
+
+      return {
+         size,
+         media: { width, height, blurhash, variants }
+      };
+   }
+
+   // Confere se o arquivo é mesmo uma imagem e devolve o avatar recortado (webp, sem metadados).
+   // O arquivo enviado é sempre removido.
+   async createAvatar(file) {
+      try {
+         const mimetype = await detectMimetype(file.path, file.mimetype);
+         if (!IMAGE_TYPES.includes(mimetype)) {
+            throw new ServiceError('O avatar deve ser uma imagem (JPEG, PNG, GIF ou WebP)', 400);
+         }
+
+         const sharp = require('sharp');
+         return await sharp(file.path)
+            .rotate()
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'attention' })
+            .webp({ quality: 85 })
+            .toBuffer()
+            .catch(() => {
+               throw new ServiceError('Imagem inválida ou corrompida', 400);
+            });
+      } finally {
+         await fs.remove(file.path).catch(() => {});
+      }
+   }
+
+   // Remove o arquivo enviado e as variantes geradas (ex.: upload rejeitado)
+   async discard(file, media = null) {
+      await fs.remove(file.path).catch(() => {});
+      if (media && media.variants) {
+         for (const variant of Object.values(media.variants)) {
+            await fs.remove(path.join(this.uploadDir, variant.filename)).catch(() => {});
+         }
+      }
+   }
+}
+
+MediaService.IMAGE_TYPES = IMAGE_TYPES;
+MediaService.VARIANTS = VARIANTS;
+MediaService.AVATAR_SIZE = AVATAR_SIZE;
+
+module.exports = MediaService;
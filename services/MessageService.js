@@ -0,0 +1,80 @@
+// Regras de edição e exclusão de mensagens já enviadas
+// e de reenvio (clientMessageId) de mensagens novas, e o formato delas para o cliente
+const ServiceError = require('../utils/ServiceError');
+const { MESSAGE_MAX_LENGTH } = require('../validation/limits');
+const { toMessageDto } = require('../utils/messageFormatter');
+
+class MessageService {
+   constructor(historyRepository, roomRepository) {
+      this.historyRepository = historyRepository;
+      this.roomRepository = roomRepository;
+   }
+
+   // Busca a mensagem e garante que o usuário é o autor e ainda é membro da sala.
+   // Mensagens de sistema (ex.: "Ana adicionou Bruno") não são de ninguém e não mudam.
+   async findOwnMessage(messageId, userId) {
+      const message = await this.historyRepository.findById(parseInt(messageId));
+
+      if (!message) {
+         throw new ServiceError('Mensagem não encontrada', 404);
+      }
+      if (message.message_type === 'system') {
+         throw new ServiceError('Mensagens do sistema não podem ser alteradas', 403);
+      }
+      if (message.user_id !== userId) {
+         throw new ServiceError('Apenas o autor pode alterar esta mensagem', 403);
+      }
+      if (!await this.roomRepository.isMember(message.room_id, userId)) {
+         throw new ServiceError('Você não participa mais desta conversa', 403);
+      }
+      if (message.deleted_at) {
+         throw new ServiceError('Mensagem já foi excluída', 410);
+      }
+
+      return message;
+   }
+
+   async editMessage(messageId, userId, content) {
+      if (typeof content !== 'string' || !content.trim()) {
+         throw new ServiceError('Conteúdo da mensagem é obrigatório', 400);
+      }
+      if (content.length > MESSAGE_MAX_LENGTH) {
+         throw new ServiceError('Mensagem muito longa', 400);
+      }
+
+      const message = await this.findOwnMessage(messageId, userId);
+      return this.historyRepository.updateContent(message.id, content);
+   }
+
+   async deleteMessage(messageId, userId) {
+      const message = await this.findOwnMessage(messageId, userId);
+      return this.historyRepository.softDelete(message.id);
+   }
+
+   // Reenvio de uma mensagem já gravada (mesmo clientMessageId do mesmo remetente): a mensagem, ou null
+   async findDuplicate(userId, clientMessageId, roomId) {
+      if (!clientMessageId) return null;
+
+      const message = await this.historyRepository.findByClientMessageId(userId, clientMessageId);
+      if (message && message.room_id !== roomId) {
+         throw new ServiceError('clientMessageId já usado em outra conversa', 409);
+      }
+      return message;
+   }
+
+   // Mensagens de uma sala ({ id, type }) no formato do cliente.
+   // Nas conversas privadas, "to" é sempre o outro participante (room.partner, se já conhecido).
+   async serializeMessages(rows, room, viewer) {
+      if (room.type !== 'private') {
+         return rows.map(row => toMessageDto(row, { type: room.type }));
+      }
+
+      const partner = room.partner || (await this.roomRepository.getRoomMembers(room.id)).find(member => member.id !== viewer.id);
+      return rows.map(row => toMessageDto(row, {
+         type: 'private',
+         to: row.user_id === viewer.id ? (partner && partner.username) : viewer.username
+      }));
+   }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,220 @@
+// Contatos, bloqueios e privacidade da presença.
+//
+// - bloqueio vale nos dois sentidos: nenhum dos dois envia mensagem privada,
+//   indicador de digitação ou convite de grupo para o outro, nem vê a presença dele
+// - online_visibility / last_seen_visibility: everyone, contacts ou nobody
+const ServiceError = require('../utils/ServiceError');
+const { toIsoDate } = require('../utils/messageFormatter');
+
+const VISIBILITIES = ['everyone', 'contacts', 'nobody'];
+
+const DEFAULT_SETTINGS = {
+   online_visibility: 'everyone',
+   last_seen_visibility: 'everyone'
+};
+
+class PrivacyService {
+   constructor(contactRepository, privacyRepository, userRepository) {
+      this.contactRepository = contactRepository;
+      this.privacyRepository = privacyRepository;
+      this.userRepository = userRepository;
+   }
+
+   async findTarget(userId, username) {
+      const target = await this.userRepository.findByUsername(username);
+      if (!target) {
+         throw new ServiceError('Usuário não encontrado', 404);
+      }
+      if (target.id === userId) {
+         throw new ServiceError('Operação inválida com o próprio usuário', 400);
+      }
+      return target;
+   }
+
+   toContact(row) {
+      return {
+         id: row.id,
+         username: row.username,
+         displayName: row.display_name || null,
+         avatar: row.avatar || null,
+         since: toIsoDate(row.accepted_at || row.created_at)
+      };
+   }
+
+   // ===== CONTATOS =====
+
+   // Se o outro usuário já tinha pedido, o pedido dele é aceito
+   async requestContact(userId, username) {
+      const target = await this.findTarget(userId, username);
+      if (await this.privacyRepository.isBlockedBetween(userId, target.id)) {
+         throw new ServiceError('Não é possível adicionar este usuário', 403);
+      }
+
+      const existing = await this.contactRepository.find(userId, target.id);
+      if (existing) {
+         throw new ServiceError(existing.status === 'accepted' ? 'Usuário já está nos seus contatos' : 'Pedido já enviado', 409);
+      }
+
+      const reverse = await this.contactRepository.find(target.id, userId);
+      if (reverse) {
+         await this.contactRepository.accept(userId, target.id);
+         return { target, status: 'accepted' };
+      }
+
+      await this.contactRepository.createRequest(userId, target.id);
+      return { target, status: 'pending' };
+   }
+
+   async acceptContact(userId, username) {
+      const requester = await this.findTarget(userId, username);
+      const request = await this.contactRepository.find(requester.id, userId);
+      if (!request || request.status !== 'pending') {
+         throw new ServiceError('Pedido de contato não encontrado', 404);
+      }
+
+      await this.contactRepository.accept(userId, requester.id);
+      return { target: requester, status: 'accepted' };
+   }
+
+   // Remove o contato, recusa um pedido recebido ou cancela um pedido enviado
+   async removeContact(userId, username) {
+      const target = await this.findTarget(userId, username);
+      await this.contactRepository.remove(userId, target.id);
+      return { target };
+   }
+
+   async listContacts(userId) {
+      const rows = await this.contactRepository.findContacts(userId);
+      return rows.map(row => this.toContact(row));
+   }
+
+   async listRequests(userId) {
+      const { incoming, outgoing } = await this.contactRepository.findPendingRequests(userId);
+      return {
+         incoming: incoming.map(row => this.toContact(row)),
+         outgoing: outgoing.map(row => this.toContact(row))
+      };
+   }
+
+   // ===== BLOQUEIOS =====
+
+   // Bloquear também desfaz o contato e os pedidos pendentes
+   async block(userId, username) {
+      const target = await this.findTarget(userId, username);
+      await this.privacyRepository.block(userId, target.id);
+      await this.contactRepository.remove(userId, target.id);
+      return { target };
+   }
+
+   async unblock(userId, username) {
+      const target = await this.findTarget(userId, username);
+      if (!await this.privacyRepository.unblock(userId, target.id)) {
+         throw new ServiceError('Usuário não está bloqueado', 404);
+      }
+      return { target };
+   }
+
+   async listBlocked(userId) {
+      const rows = await this.privacyRepository.findBlocked(userId);
+      return rows.map(row => this.toContact(row));
+   }
+
+   async isBlockedBetween(userId, otherId) {
+      return this.privacyRepository.isBlockedBetween(userId, otherId);
+   }
+
+   async assertCanInteract(userId, otherId, message = 'Você não pode interagir com este usuário') {
+      if (await this.privacyRepository.isBlockedBetween(userId, otherId)) {
+         throw new ServiceError(message, 403);
+      }
+   }
+
+   async getBlockedIds(userId) {
+      return new Set(await this.privacyRepository.findBlockedIdsBetween(userId));
+   }
+
+   // ===== PRIVACIDADE =====
+
+   async getSettings(userId) {
+      const [settings] = await this.privacyRepository.findSettings([userId]);
+      const { online_visibility, last_seen_visibility } = settings || DEFAULT_SETTINGS;
+      return { onlineVisibility: online_visibility, lastSeenVisibility: last_seen_visibility };
+   }
+
+   // changes: { onlineVisibility, lastSeenVisibility }
+   async updateSettings(userId, changes = {}) {
+      const current = await this.getSettings(userId);
+      const next = { ...current };
+
+      for (const field of ['onlineVisibility', 'lastSeenVisibility']) {
+         if (field in changes) {
+            if (!VISIBILITIES.includes(changes[field])) {
+               throw new ServiceError(`${field} inválido (use ${VISIBILITIES.join(', ')})`, 400);
+            }
+            next[field] = changes[field];
+         }
+      }
+
+      await this.privacyRepository.saveSettings(userId, {
+         online_visibility: next.onlineVisibility,
+         last_seen_visibility: next.lastSeenVisibility
+      });
+      return next;
+   }
+
+   // Monta a regra de visibilidade da presença de ownerIds para quem está vendo.
+   // Retorna (ownerId) -> { online, lastSeen, blocked }, com poucas consultas para a lista toda.
+   async presenceVisibility(viewerId, ownerIds) {
+      const [contactIds, blockedIds, settingsRows] = await Promise.all([
+         this.contactRepository.findContactIds(viewerId),
+         this.privacyRepository.findBlockedIdsBetween(viewerId),
+         this.privacyRepository.findSettings([...new Set(ownerIds)])
+      ]);
+
+      const contacts = new Set(contactIds);
+      const blocked = new Set(blockedIds);
+      const settings = new Map(settingsRows.map(row => [row.user_id, row]));
+
+      const allows = (visibility, ownerId) => visibility === 'everyone' ||
+         (visibility === 'contacts' && contacts.has(ownerId));
+
+      return (ownerId) => {
+         if (ownerId === viewerId) return { online: true, lastSeen: true, blocked: false };
+         if (blocked.has(ownerId)) return { online: false, lastSeen: false, blocked: true };
+
+         const ownerSettings = settings.get(ownerId) || DEFAULT_SETTINGS;
+         return {
+            online: allows(ownerSettings.online_visibility, ownerId),
+            lastSeen: allows(ownerSettings.last_seen_visibility, ownerId),
+            blocked: false
+         };
+      };
+   }
+
+   // Aplica a privacidade numa lista de usuários (linhas do banco ou perfis), mantendo o formato:
+   // esconde is_online/isOnline e last_seen/lastSeen e, com dropBlocked, remove quem tem bloqueio com o viewer
+   async applyPresencePrivacy(viewerId, users, { dropBlocked = true } = {}) {
+      const visibility = await this.presenceVisibility(viewerId, users.map(user => user.id));
+
+      return users.reduce((result, user) => {
+         const { online, lastSeen, blocked } = visibility(user.id);
+         if (blocked && dropBlocked) return result;
+
+         const masked = { ...user };
+         if (!online) {
+            if ('is_online' in masked) masked.is_online = false;
+            if ('isOnline' in masked) masked.isOnline = false;
+         }
+         if (!lastSeen) {
+            if ('last_seen' in masked) masked.last_seen = null;
+            if ('lastSeen' in masked) masked.lastSeen = null;
+         }
+         result.push(masked);
+         return result;
+      }, []);
+   }
+}
+
+PrivacyService.VISIBILITIES = VISIBILITIES;
+
+module.exports = PrivacyService;
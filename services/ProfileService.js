@@ -0,0 +1,139 @@
+// Perfil dos usuários: nome de exibição, bio, status e avatar
+const ServiceError = require('../utils/ServiceError');
+const { toIsoDate, toAvatarUrl, isStoredAvatar, AVATAR_PREFIX } = require('../utils/messageFormatter');
+
+// Mesmos status exibidos no frontend: Disponível, Ocupado, Ausente, Não Perturbe
+const STATUSES = ['available', 'busy', 'away', 'dnd'];
+
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 500;
+
+class ProfileService {
+   constructor(profileRepository, mediaService, storage) {
+      this.profileRepository = profileRepository;
+      this.mediaService = mediaService;
+      this.storage = storage;
+   }
+
+   static isStoredAvatar(avatar) {
+      return isStoredAvatar(avatar);
+   }
+
+   // O e-mail só aparece no perfil do próprio usuário
+   toProfile(row, { includeEmail = false } = {}) {
+      const profile = {
+         id: row.id,
+         username: row.username,
+         displayName: row.display_name || null,
+         bio: row.bio || null,
+         avatarUrl: toAvatarUrl(row.id, row.avatar),
+         status: STATUSES.includes(row.status) ? row.status : 'available',
+         isOnline: !!row.is_online,
+         lastSeen: toIsoDate(row.last_seen),
+         createdAt: toIsoDate(row.created_at)
+      };
+      if (includeEmail) {
+         profile.email = row.email || null;
+      }
+      return profile;
+   }
+
+   async findProfileRow(userId) {
+      const row = await this.profileRepository.findById(parseInt(userId));
+      if (!row) {
+         throw new ServiceError('Usuário não encontrado', 404);
+      }
+      return row;
+   }
+
+   async getProfile(userId, viewerId) {
+      const row = await this.findProfileRow(userId);
+      return this.toProfile(row, { includeEmail: row.id === viewerId });
+   }
+
+   validateStatus(status) {
+      if (!STATUSES.includes(status)) {
+         throw new ServiceError(`Status inválido (use ${STATUSES.join(', ')})`, 400);
+      }
+      return status;
+   }
+
+   // Texto opcional: vazio vira null, espaços nas pontas são descartados
+   validateText(value, field, maxLength) {
+      if (value === null || value === undefined) return null;
+      if (typeof value !== 'string') {
+         throw new ServiceError(`${field} inválido`, 400);
+      }
+      const trimmed = value.trim();
+      if (trimmed.length > maxLength) {
+         throw new ServiceError(`${field} deve ter no máximo ${maxLength} caracteres`, 400);
+      }
+      return trimmed || null;
+   }
+
+   // changes: { displayName, bio, status } — só os campos enviados são alterados
+   async updateProfile(userId, changes = {}) {
+      const fields = {};
+      if ('displayName' in changes) {
+         fields.display_name = this.validateText(changes.displayName, 'Nome de exibição', MAX_DISPLAY_NAME_LENGTH);
+      }
+      if ('bio' in changes) {
+         fields.bio = this.validateText(changes.bio, 'Bio', MAX_BIO_LENGTH);
+      }
+      if ('status' in changes) {
+         fields.status = this.validateStatus(changes.status);
+      }
+      if (Object.keys(fields).length === 0) {
+         throw new ServiceError('Nenhum campo para atualizar', 400);
+      }
+
+      await this.findProfileRow(userId);
+      await this.profileRepository.update(userId, fields);
+      return this.getProfile(userId, userId);
+   }
+
+   async updateStatus(userId, status) {
+      return this.updateProfile(userId, { status });
+   }
+
+   // Recorta a imagem enviada, grava no storage e apaga o avatar anterior
+   async updateAvatar(userId, file) {
+      const row = await this.findProfileRow(userId);
+      const buffer = await this.mediaService.createAvatar(file);
+
+      const key = `${AVATAR_PREFIX}${userId}-${Date.now()}.webp`;
+      await this.storage.putBuffer(key, buffer, { contentType: 'image/webp' });
+      await this.profileRepository.updateAvatar(userId, key);
+
+      if (ProfileService.isStoredAvatar(row.avatar)) {
+         await this.storage.delete(row.avatar).catch(error => console.error('Erro ao apagar avatar antigo:', error));
+      }
+      return this.getProfile(userId, userId);
+   }
+
+   async removeAvatar(userId) {
+      const row = await this.findProfileRow(userId);
+      await this.profileRepository.updateAvatar(userId, null);
+      if (ProfileService.isStoredAvatar(row.avatar)) {
+         await this.storage.delete(row.avatar);
+      }
+      return this.getProfile(userId, userId);
+   }
+
+   // { stream, size } do avatar guardado no storage
+   async openAvatar(userId) {
+      const row = await this.findProfileRow(userId);
+      const file = ProfileService.isStoredAvatar(row.avatar) ? await this.storage.getStream(row.avatar) : null;
+      if (!file) {
+         throw new ServiceError('Avatar não encontrado', 404);
+      }
+      return file;
+   }
+}
+
+ProfileService.STATUSES = STATUSES;
+ProfileService.MAX_DISPLAY_NAME_LENGTH = MAX_DISPLAY_NAME_LENGTH;
+ProfileService.MAX_BIO_LENGTH = MAX_BIO_LENGTH;
+ProfileService.AVATAR_PREFIX = AVATAR_PREFIX;
+
+module.exports = ProfileService;
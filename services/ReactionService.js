@@ -0,0 +1,108 @@
+// Reações com emoji nas mensagens.
+// As reações de cada mensagem são agregadas por emoji: { emoji, count, users }.
+const ServiceError = require('../utils/ServiceError');
+
+const MAX_EMOJI_LENGTH = 32;
+// Emojis diferentes que um usuário pode deixar na mesma mensagem
+const MAX_REACTIONS_PER_USER = 20;
+
+// Precisa ter ao menos um pictograma (ou bandeira) e nenhum espaço
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+class ReactionService {
+   constructor(reactionRepository, historyRepository, roomRepository) {
+      this.reactionRepository = reactionRepository;
+      this.historyRepository = historyRepository;
+      this.roomRepository = roomRepository;
+   }
+
+   validateEmoji(emoji) {
+      if (typeof emoji !== 'string' || !emoji || emoji.length > MAX_EMOJI_LENGTH ||
+         /\s/.test(emoji) || !EMOJI_PATTERN.test(emoji)) {
+         throw new ServiceError('Emoji inválido', 400);
+      }
+      return emoji;
+   }
+
+   // Mensagem existente, não excluída, de uma sala da qual o usuário é membro
+   async findMessageForMember(messageId, userId) {
+      const message = await this.historyRepository.findById(parseInt(messageId));
+      if (!message) {
+         throw new ServiceError('Mensagem não encontrada', 404);
+      }
+      if (!await this.roomRepository.isMember(message.room_id, userId)) {
+         throw new ServiceError('Você não é membro desta conversa', 403);
+      }
+      if (message.deleted_at) {
+         throw new ServiceError('Mensagem já foi excluída', 410);
+      }
+      return message;
+   }
+
+   async addReaction(messageId, user, emoji) {
+      this.validateEmoji(emoji);
+      const message = await this.findMessageForMember(messageId, user.id);
+
+      if (await this.reactionRepository.countUserEmojis(message.id, user.id) >= MAX_REACTIONS_PER_USER) {
+         throw new ServiceError(`Limite de ${MAX_REACTIONS_PER_USER} reações por mensagem atingido`, 400);
+      }
+
+      await this.reactionRepository.add(message.id, user.id, emoji);
+      return this.buildUpdate(message, user, emoji, 'added');
+   }
+
+   async removeReaction(messageId, user, emoji) {
+      this.validateEmoji(emoji);
+      const message = await this.findMessageForMember(messageId, user.id);
+
+      await this.reactionRepository.remove(message.id, user.id, emoji);
+      return this.buildUpdate(message, user, emoji, 'removed');
+   }
+
+   // Payload de "reaction_updated": o que mudou e o total atualizado da mensagem
+   async buildUpdate(message, user, emoji, action) {
+      const summaries = await this.getSummaries([message.id]);
+      return {
+         messageId: message.id,
+         roomId: message.room_id,
+         action,
+         emoji,
+         username: user.username,
+         reactions: summaries.get(message.id) || []
+      };
+   }
+
+   // Map messageId -> [{ emoji, count, users }]
+   async getSummaries(messageIds) {
+      const rows = await this.reactionRepository.findByMessages(messageIds);
+      const summaries = new Map();
+
+      for (const row of rows) {
+         const messageId = Number(row.message_id);
+         if (!summaries.has(messageId)) summaries.set(messageId, []);
+
+         const reactions = summaries.get(messageId);
+         let reaction = reactions.find(item => item.emoji === row.emoji);
+         if (!reaction) {
+            reaction = { emoji: row.emoji, count: 0, users: [] };
+            reactions.push(reaction);
+         }
+         reaction.count += 1;
+         reaction.users.push(row.username);
+      }
+      return summaries;
+   }
+
+   // Preenche "reactions" em cada mensagem (linhas do banco) antes de enviar ao cliente
+   async attachReactions(messages) {
+      const summaries = await this.getSummaries(messages.map(message => message.id));
+      messages.forEach(message => {
+         message.reactions = summaries.get(message.id) || [];
+      });
+      return messages;
+   }
+}
+
+ReactionService.MAX_REACTIONS_PER_USER = MAX_REACTIONS_PER_USER;
+
+module.exports = ReactionService;
@@ -0,0 +1,133 @@
+// Busca de mensagens com filtros, relevância, trechos destacados e paginação por cursor.
+// Só encontra mensagens das salas das quais o usuário é membro.
+//
+// O cursor é opaco para o cliente: na ordem por relevância guarda a posição do próximo
+// resultado; na ordem cronológica (sort=recent), o id da última mensagem devolvida.
+const ServiceError = require('../utils/ServiceError');
+const { toDbDate, toMessageDto } = require('../utils/messageFormatter');
+const { parseSearchTerms, buildSnippet } = require('../utils/searchText');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SORTS = ['relevance', 'recent'];
+
+const parseDate = (value, field) => {
+   const date = new Date(value);
+   if (typeof value !== 'string' || isNaN(date.getTime())) {
+      throw new ServiceError(`Data "${field}" inválida (use o formato ISO 8601)`, 400);
+   }
+   return date;
+};
+
+class SearchService {
+   constructor(searchRepository) {
+      this.searchRepository = searchRepository;
+   }
+
+   encodeCursor(cursor) {
+      return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+   }
+
+   decodeCursor(cursor, sort) {
+      try {
+         const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+         if (sort === 'recent' && Number.isInteger(decoded.beforeId) && decoded.beforeId > 0) {
+            return { beforeId: decoded.beforeId };
+         }
+         if (sort === 'relevance' && Number.isInteger(decoded.offset) && decoded.offset > 0) {
+            return { offset: decoded.offset };
+         }
+      } catch (error) {
+         // cai no erro abaixo
+      }
+      throw new ServiceError('Cursor inválido', 400);
+   }
+
+   // Valida os parâmetros vindos da query string ou do evento do socket
+   parseOptions({ query, q, roomId, sender, since, until, hasAttachment, sort = 'relevance', cursor, limit } = {}) {
+      const terms = parseSearchTerms(query !== undefined ? query : q);
+      if (terms.length === 0) {
+         throw new ServiceError('Informe o texto da busca', 400);
+      }
+      if (!SORTS.includes(sort)) {
+         throw new ServiceError(`Ordenação inválida (use ${SORTS.join(' ou ')})`, 400);
+      }
+
+      const filters = {};
+      if (roomId !== undefined && roomId !== null && roomId !== '') {
+         filters.roomId = parseInt(roomId);
+         if (!Number.isInteger(filters.roomId) || filters.roomId < 1) {
+            throw new ServiceError('Sala inválida', 400);
+         }
+      }
+      if (sender) {
+         filters.sender = String(sender);
+      }
+      if (since) {
+         filters.since = toDbDate(parseDate(since, 'since'));
+      }
+      if (until) {
+         filters.until = toDbDate(parseDate(until, 'until'));
+      }
+      if (hasAttachment !== undefined && hasAttachment !== null && hasAttachment !== '') {
+         filters.hasAttachment = hasAttachment === true || hasAttachment === 'true' || hasAttachment === '1';
+      }
+
+      const pageSize = Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT);
+      const page = {
+         sort,
+         limit: pageSize > 0 ? pageSize : DEFAULT_LIMIT,
+         ...(cursor ? this.decodeCursor(cursor, sort) : {})
+      };
+
+      return { terms, filters, page };
+   }
+
+   // A mensagem no mesmo formato do histórico, mais o trecho destacado e a relevância
+   toResult(row, terms, partners, user) {
+      // Conversa privada: o nome é o do outro participante
+      const partner = row.room_type === 'private' ? (partners.get(Number(row.room_id)) || null) : null;
+      const message = toMessageDto(row, { to: row.user_id === user.id ? partner : user.username });
+      return {
+         ...message,
+         roomName: row.room_type === 'private' ? partner : row.room_name,
+         snippet: buildSnippet(row.content, terms),
+         hasAttachment: !!message.fileData,
+         score: Number(row.score)
+      };
+   }
+
+   // user: { id, username } de quem está buscando
+   async search(user, options) {
+      const { terms, filters, page } = this.parseOptions(options);
+      const rows = await this.searchRepository.search(user.id, terms, filters, page);
+
+      const hasMore = rows.length > page.limit;
+      const pageRows = rows.slice(0, page.limit);
+
+      const privateRoomIds = [...new Set(pageRows.filter(row => row.room_type === 'private').map(row => Number(row.room_id)))];
+      const partners = await this.searchRepository.findPrivatePartners(privateRoomIds, user.id);
+
+      let nextCursor = null;
+      if (hasMore) {
+         nextCursor = page.sort === 'recent'
+            ? this.encodeCursor({ beforeId: pageRows[pageRows.length - 1].id })
+            : this.encodeCursor({ offset: (page.offset || 0) + pageRows.length });
+      }
+
+      return {
+         terms,
+         results: pageRows.map(row => this.toResult(row, terms, partners, user)),
+         pagination: {
+            limit: page.limit,
+            hasMore,
+            nextCursor
+         }
+      };
+   }
+}
+
+SearchService.SORTS = SORTS;
+SearchService.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = SearchService;
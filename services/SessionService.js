@@ -0,0 +1,166 @@
+// Sessões de login com par access/refresh token.
+//
+// - access token: JWT curto, com o id da sessão (sid); cada requisição confere se a sessão segue ativa
+// - refresh token: "<sessionId>.<segredo>", guardado só como hash em user_sessions e trocado a cada uso
+// - reutilizar um refresh token já trocado indica vazamento: a sessão inteira é revogada
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ServiceError = require('../utils/ServiceError');
+const { toDbDate, parseDbDate, toIsoDate } = require('../utils/messageFormatter');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+class SessionService {
+   // onRevoke(sessionId): chamado a cada sessão revogada (ex.: para desconectar os sockets)
+   constructor(sessionRepository, userRepository, {
+      secret = process.env.JWT_SECRET,
+      accessTokenTtl = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+      refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+      onRevoke = () => {}
+   } = {}) {
+      this.sessionRepository = sessionRepository;
+      this.userRepository = userRepository;
+      this.secret = secret;
+      this.accessTokenTtl = accessTokenTtl;
+      this.refreshTokenDays = refreshTokenDays;
+      this.onRevoke = onRevoke;
+   }
+
+   static sessionRoom(sessionId) {
+      return `session:${sessionId}`;
+   }
+
+   refreshExpiresAt() {
+      return toDbDate(new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000));
+   }
+
+   issueTokens(user, session, secret) {
+      const accessToken = jwt.sign(
+         { userId: user.id, username: user.username, sid: session.id, type: 'access' },
+         this.secret,
+         { expiresIn: this.accessTokenTtl }
+      );
+      const { exp } = jwt.decode(accessToken);
+
+      return {
+         accessToken,
+         refreshToken: `${session.id}.${secret}`,
+         expiresIn: exp - Math.floor(Date.now() / 1000),
+         sessionId: session.id
+      };
+   }
+
+   // meta: { deviceName, ip, userAgent } da requisição de login
+   async createSession(user, meta = {}) {
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const session = await this.sessionRepository.create({
+         user_id: user.id,
+         token_hash: hashToken(secret),
+         device_name: meta.deviceName ? String(meta.deviceName).slice(0, 100) : null,
+         ip_address: meta.ip || null,
+         user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+         expires_at: this.refreshExpiresAt()
+      });
+      return this.issueTokens(user, session, secret);
+   }
+
+   isActive(session) {
+      return !!session && !session.revoked_at && parseDbDate(session.expires_at) > new Date();
+   }
+
+   async refresh(refreshToken, meta = {}) {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      const session = sessionId && secret ? await this.sessionRepository.findById(parseInt(sessionId)) : null;
+      if (!this.isActive(session)) {
+         throw new ServiceError('Refresh token inválido ou expirado', 401);
+      }
+
+      const presentedHash = hashToken(secret);
+      if (presentedHash !== session.token_hash) {
+         if (presentedHash === session.previous_token_hash) {
+            // Token já trocado sendo usado de novo: alguém mais tem uma cópia
+            await this.revoke(session.id);
+            console.log(`⚠️ Reuso de refresh token detectado, sessão ${session.id} revogada`);
+         }
+         throw new ServiceError('Refresh token inválido ou expirado', 401);
+      }
+
+      const user = await this.userRepository.findById(session.user_id);
+      if (!user) {
+         throw new ServiceError('Refresh token inválido ou expirado', 401);
+      }
+
+      const newSecret = crypto.randomBytes(32).toString('base64url');
+      const rotated = await this.sessionRepository.rotate(session.id, presentedHash, hashToken(newSecret), {
+         expires_at: this.refreshExpiresAt(),
+         ip_address: meta.ip || session.ip_address,
+         user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : session.user_agent
+      });
+      if (!rotated) {
+         throw new ServiceError('Refresh token inválido ou expirado', 401);
+      }
+
+      return this.issueTokens(user, session, newSecret);
+   }
+
+   // Usado por authenticateToken e authenticateSocket: JWT válido e sessão ainda ativa
+   async validateToken(token) {
+      const decoded = jwt.verify(token, this.secret);
+      if (decoded.type !== 'access' || !decoded.sid) {
+         throw new ServiceError('Token inválido', 401);
+      }
+
+      const session = await this.sessionRepository.findById(decoded.sid);
+      if (!this.isActive(session) || session.user_id !== decoded.userId) {
+         throw new ServiceError('Sessão encerrada', 401);
+      }
+
+      const user = await this.userRepository.findById(decoded.userId);
+      if (!user) {
+         throw new ServiceError('Usuário não encontrado', 401);
+      }
+
+      const { password_hash, password, ...publicUser } = user;
+      return { ...publicUser, sessionId: session.id };
+   }
+
+   async listSessions(userId, currentSessionId) {
+      const sessions = await this.sessionRepository.findActiveByUser(userId);
+      return sessions
+         .filter(session => this.isActive(session))
+         .map(session => ({
+            id: session.id,
+            deviceName: session.device_name,
+            ipAddress: session.ip_address,
+            userAgent: session.user_agent,
+            createdAt: toIsoDate(session.created_at),
+            lastUsedAt: toIsoDate(session.last_used_at),
+            expiresAt: toIsoDate(session.expires_at),
+            current: session.id === currentSessionId
+         }));
+   }
+
+   async revoke(sessionId) {
+      await this.sessionRepository.revoke(sessionId);
+      await this.onRevoke(sessionId);
+   }
+
+   // Encerra todas as sessões (ex.: depois de redefinir a senha), menos exceptSessionId
+   async revokeAll(userId, exceptSessionId = null) {
+      const sessionIds = await this.sessionRepository.revokeAllForUser(userId, exceptSessionId);
+      for (const sessionId of sessionIds) {
+         await this.onRevoke(sessionId);
+      }
+   }
+
+   // Só o dono encerra a sessão
+   async revokeForUser(userId, sessionId) {
+      const session = await this.sessionRepository.findById(parseInt(sessionId));
+      if (!session || session.user_id !== userId || session.revoked_at) {
+         throw new ServiceError('Sessão não encontrada', 404);
+      }
+      await this.revoke(session.id);
+   }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,63 @@
+// Respostas a mensagens e threads.
+// Toda resposta guarda a mensagem citada (reply_to) e a raiz da thread (thread_id):
+// responder a uma resposta continua na mesma thread da mensagem original.
+const ServiceError = require('../utils/ServiceError');
+
+class ThreadService {
+   constructor(historyRepository, roomRepository) {
+      this.historyRepository = historyRepository;
+      this.roomRepository = roomRepository;
+   }
+
+   // Valida a mensagem respondida; null quando a mensagem não é uma resposta
+   async resolveReply(replyTo, roomId) {
+      if (replyTo === undefined || replyTo === null || replyTo === '') return null;
+
+      const parent = await this.historyRepository.findById(parseInt(replyTo));
+      if (!parent || parent.room_id !== parseInt(roomId)) {
+         throw new ServiceError('Mensagem respondida não encontrada', 404);
+      }
+      if (parent.deleted_at) {
+         throw new ServiceError('Não é possível responder a uma mensagem excluída', 410);
+      }
+
+      return {
+         id: parent.id,
+         threadId: parent.thread_id || parent.id,
+         parent
+      };
+   }
+
+   async attachReply(messageId, reply) {
+      if (!reply) return;
+      await this.historyRepository.setReply(messageId, reply.id, reply.threadId);
+   }
+
+   // Raiz e uma página de respostas; aceita o id da raiz ou de qualquer resposta da thread
+   async getThread(messageId, userId, query = {}) {
+      const message = await this.historyRepository.findById(parseInt(messageId));
+      if (!message) {
+         throw new ServiceError('Mensagem não encontrada', 404);
+      }
+      if (!await this.roomRepository.isMember(message.room_id, userId)) {
+         throw new ServiceError('Acesso negado a esta conversa', 403);
+      }
+
+      const root = message.thread_id ? await this.historyRepository.findById(message.thread_id) : message;
+      if (!root) {
+         throw new ServiceError('Mensagem não encontrada', 404);
+      }
+      await this.historyRepository.attachReplyCounts([root]);
+
+      const page = await this.historyRepository.findThreadPage(root.id, query);
+      return { root, page };
+   }
+
+   // Payload de "thread_updated"
+   async getSummary(threadId, roomId) {
+      const summary = await this.historyRepository.findThreadSummary(threadId);
+      return { threadId, roomId: parseInt(roomId), ...summary };
+   }
+}
+
+module.exports = ThreadService;
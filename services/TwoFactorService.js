@@ -0,0 +1,179 @@
+// Autenticação em dois fatores opcional (TOTP).
+//
+// Ativação: setup (gera o segredo e a URI otpauth) -> enable com o primeiro código,
+// que devolve os códigos de recuperação uma única vez.
+// Login: com 2FA ativo, a senha correta rende só um challengeToken curto; a sessão
+// é criada depois que o código (ou um código de recuperação) é conferido.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const ServiceError = require('../utils/ServiceError');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Códigos no formato "a1b2-c3d4"; a comparação ignora hífen, espaços e maiúsculas
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+class TwoFactorService {
+   constructor(twoFactorRepository, accountRepository, {
+      secret = process.env.JWT_SECRET,
+      issuer = process.env.TOTP_ISSUER || 'Chat Realtime',
+      challengeTtl = '5m'
+   } = {}) {
+      this.twoFactorRepository = twoFactorRepository;
+      this.accountRepository = accountRepository;
+      this.secret = secret;
+      this.issuer = issuer;
+      this.challengeTtl = challengeTtl;
+   }
+
+   async isEnabled(userId) {
+      const config = await this.twoFactorRepository.find(userId);
+      return !!(config && config.enabled_at);
+   }
+
+   async getStatus(userId) {
+      const enabled = await this.isEnabled(userId);
+      return {
+         enabled,
+         recoveryCodesRemaining: enabled ? await this.twoFactorRepository.countRemainingRecoveryCodes(userId) : 0
+      };
+   }
+
+   async setup(user) {
+      if (await this.isEnabled(user.id)) {
+         throw new ServiceError('A verificação em duas etapas já está ativa', 409);
+      }
+
+      const secret = generateSecret();
+      await this.twoFactorRepository.savePending(user.id, secret);
+      return {
+         secret,
+         otpauthUri: buildOtpauthUri({ secret, accountName: user.username, issuer: this.issuer })
+      };
+   }
+
+   async generateRecoveryCodes(userId) {
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+         const hex = crypto.randomBytes(4).toString('hex');
+         return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+      });
+      await this.twoFactorRepository.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+      return codes;
+   }
+
+   // Confirma o segredo com o primeiro código gerado pelo app
+   async enable(userId, code) {
+      const config = await this.twoFactorRepository.find(userId);
+      if (!config) {
+         throw new ServiceError('Inicie a configuração da verificação em duas etapas primeiro', 400);
+      }
+      if (config.enabled_at) {
+         throw new ServiceError('A verificação em duas etapas já está ativa', 409);
+      }
+
+      const step = verifyCode(config.secret, code);
+      if (step === null) {
+         throw new ServiceError('Código de verificação inválido', 400);
+      }
+
+      await this.twoFactorRepository.enable(userId, step);
+      return { recoveryCodes: await this.generateRecoveryCodes(userId) };
+   }
+
+   async checkPassword(userId, password) {
+      const passwordHash = await this.accountRepository.findPasswordHash(userId);
+      if (!password || !passwordHash || !await bcrypt.compare(String(password), passwordHash)) {
+         throw new ServiceError('Senha incorreta', 403);
+      }
+   }
+
+   async disable(userId, password) {
+      await this.checkPassword(userId, password);
+      if (!await this.isEnabled(userId)) {
+         throw new ServiceError('A verificação em duas etapas não está ativa', 400);
+      }
+      await this.twoFactorRepository.delete(userId);
+   }
+
+   async regenerateRecoveryCodes(userId, password) {
+      await this.checkPassword(userId, password);
+      if (!await this.isEnabled(userId)) {
+         throw new ServiceError('A verificação em duas etapas não está ativa', 400);
+      }
+      return { recoveryCodes: await this.generateRecoveryCodes(userId) };
+   }
+
+   // Emitido depois da senha correta. As tentativas de código não são renovadas aqui: só um
+   // código certo (ou o bloqueio da conta, no login) zera a contagem.
+   async createChallenge(user) {
+      const challengeToken = jwt.sign(
+         { userId: user.id, username: user.username, type: '2fa_challenge' },
+         this.secret,
+         { expiresIn: this.challengeTtl }
+      );
+      const { exp } = jwt.decode(challengeToken);
+      return { challengeToken, expiresIn: exp - Math.floor(Date.now() / 1000) };
+   }
+
+   // Id do usuário de um challenge válido, sem conferir o código
+   readChallenge(challengeToken) {
+      let decoded;
+      try {
+         decoded = jwt.verify(String(challengeToken || ''), this.secret);
+      } catch (error) {
+         throw new ServiceError('Verificação expirada, entre novamente', 401);
+      }
+      if (decoded.type !== '2fa_challenge') {
+         throw new ServiceError('Verificação expirada, entre novamente', 401);
+      }
+      return decoded.userId;
+   }
+
+   // Confere o código TOTP (ou de recuperação) do challenge e retorna o id do usuário.
+   // Código errado e excesso de tentativas saem com code INVALID_CODE e TOO_MANY_ATTEMPTS.
+   async verifyChallenge(challengeToken, { code, recoveryCode } = {}) {
+      const userId = this.readChallenge(challengeToken);
+
+      const config = await this.twoFactorRepository.find(userId);
+      if (!config || !config.enabled_at) {
+         throw new ServiceError('Verificação expirada, entre novamente', 401);
+      }
+      if (config.failed_attempts >= MAX_FAILED_ATTEMPTS) {
+         const error = new ServiceError('Muitas tentativas inválidas, entre novamente com a senha', 429);
+         error.code = 'TOO_MANY_ATTEMPTS';
+         throw error;
+      }
+
+      let valid = false;
+      if (recoveryCode) {
+         valid = await this.twoFactorRepository.useRecoveryCode(userId, hashRecoveryCode(recoveryCode));
+      } else {
+         const step = verifyCode(config.secret, code);
+         // O mesmo código não pode ser usado duas vezes
+         valid = step !== null && await this.twoFactorRepository.useStep(userId, step);
+      }
+
+      if (!valid) {
+         await this.twoFactorRepository.incrementFailedAttempts(userId);
+         const error = new ServiceError('Código de verificação inválido', 401);
+         error.code = 'INVALID_CODE';
+         throw error;
+      }
+
+      await this.resetFailedAttempts(userId);
+      return userId;
+   }
+
+   async resetFailedAttempts(userId) {
+      await this.twoFactorRepository.resetFailedAttempts(userId);
+   }
+}
+
+TwoFactorService.RECOVERY_CODE_COUNT = RECOVERY_CODE_COUNT;
+TwoFactorService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+
+module.exports = TwoFactorService;
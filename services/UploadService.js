@@ -0,0 +1,251 @@
+// Upload retomável em partes, compatível com o protocolo tus 1.0.0
+// (extensões creation, checksum, expiration e termination).
+//
+//    OPTIONS /api/uploads           versão, extensões e tamanho máximo aceitos
+//    POST    /api/uploads           cria a sessão (Upload-Length, Upload-Metadata)
+//    HEAD    /api/uploads/:id       consulta o offset já recebido para retomar
+//    PATCH   /api/uploads/:id       envia a parte seguinte (Upload-Offset, Upload-Checksum);
+//                                   a última parte valida o arquivo e registra o anexo
+//    GET     /api/uploads/:id       estado da sessão e, depois da última parte, o mesmo fileInfo de /api/upload
+//
+// As partes são gravadas em "<uploads>/<id>.part" e o arquivo final recebe
+// o mesmo padrão de nome dos uploads diretos.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const ServiceError = require('../utils/ServiceError');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'checksum', 'expiration', 'termination'];
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Status usado pelo tus quando o checksum da parte não confere
+const CHECKSUM_MISMATCH = 460;
+
+// Upload-Metadata: "filename d29ybGQ=,filetype aW1hZ2UvcG5n"
+const parseMetadata = (header = '') => {
+   const metadata = {};
+   for (const pair of String(header).split(',')) {
+      const [key, value] = pair.trim().split(' ');
+      if (key) {
+         metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+      }
+   }
+   return metadata;
+};
+
+class UploadService {
+   constructor(uploadSessionRepository, attachmentService, mediaService, {
+      uploadDir,
+      allowedTypes,
+      maxSize = parseInt(process.env.UPLOAD_RESUMABLE_MAX_SIZE) || 500 * 1024 * 1024,
+      maxChunkSize = parseInt(process.env.UPLOAD_CHUNK_MAX_SIZE) || 8 * 1024 * 1024,
+      ttl = parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 // segundos
+   }) {
+      this.uploadSessionRepository = uploadSessionRepository;
+      this.attachmentService = attachmentService;
+      this.mediaService = mediaService;
+      this.uploadDir = uploadDir;
+      this.allowedTypes = allowedTypes;
+      this.maxSize = maxSize;
+      this.maxChunkSize = maxChunkSize;
+      this.ttl = ttl;
+
+      // Sessões com uma parte sendo gravada neste processo
+      this.locks = new Set();
+   }
+
+   now() {
+      return Math.floor(Date.now() / 1000);
+   }
+
+   getPartPath(id) {
+      return path.join(this.uploadDir, `${path.basename(id)}.part`);
+   }
+
+   toStatus(session) {
+      return {
+         id: session.id,
+         offset: session.upload_offset,
+         length: session.upload_length,
+         completed: session.attachment_id !== null && session.attachment_id !== undefined,
+         expiresAt: new Date(session.expires_at * 1000).toISOString()
+      };
+   }
+
+   async create(userId, { length, metadata }) {
+      const uploadLength = Number(length);
+      if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+         throw new ServiceError('Upload-Length inválido', 400);
+      }
+      if (uploadLength > this.maxSize) {
+         throw new ServiceError('Arquivo excede o tamanho máximo permitido', 413);
+      }
+
+      const { filename, filetype } = parseMetadata(metadata);
+      if (!filename) {
+         throw new ServiceError('Nome do arquivo é obrigatório (Upload-Metadata filename)', 400);
+      }
+      if (!this.allowedTypes.includes(filetype)) {
+         throw new ServiceError('Tipo de arquivo não permitido', 400);
+      }
+
+      const id = crypto.randomBytes(16).toString('hex');
+      await fs.ensureDir(this.uploadDir);
+      await fs.writeFile(this.getPartPath(id), Buffer.alloc(0));
+
+      return this.uploadSessionRepository.create({
+         id,
+         user_id: userId,
+         original_name: path.basename(filename),
+         mimetype: filetype,
+         upload_length: uploadLength,
+         expires_at: this.now() + this.ttl
+      });
+   }
+
+   // Só o dono enxerga a sessão; sessões vencidas deixam de existir para o cliente
+   async getSession(id, userId) {
+      const session = await this.uploadSessionRepository.findById(String(id));
+      if (!session || session.user_id !== userId) {
+         throw new ServiceError('Upload não encontrado', 404);
+      }
+      if (session.expires_at < this.now()) {
+         throw new ServiceError('Upload expirado', 410);
+      }
+      return session;
+   }
+
+   verifyChecksum(chunk, header) {
+      if (!header) return;
+
+      const [algorithm, expected] = String(header).trim().split(' ');
+      if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !expected) {
+         throw new ServiceError('Algoritmo de checksum não suportado', 400);
+      }
+      const actual = crypto.createHash(algorithm).update(chunk).digest('base64');
+      if (actual !== expected) {
+         throw new ServiceError('Checksum da parte não confere', CHECKSUM_MISMATCH);
+      }
+   }
+
+   async withLock(id, fn) {
+      if (this.locks.has(id)) {
+         throw new ServiceError('Outra parte deste upload está sendo gravada', 423);
+      }
+      this.locks.add(id);
+      try {
+         return await fn();
+      } finally {
+         this.locks.delete(id);
+      }
+   }
+
+   // Grava a parte na posição informada; o cliente retoma a partir do offset retornado.
+   // A sessão é lida e o offset conferido já com a trava, para duas partes simultâneas
+   // não partirem do mesmo offset. Quando o offset chega ao Upload-Length, o arquivo é
+   // finalizado na mesma requisição (um PATCH vazio conclui uma finalização interrompida).
+   async appendChunk(id, userId, { offset, chunk, checksum }) {
+      return this.withLock(String(id), async () => {
+         const session = await this.getSession(id, userId);
+
+         if (session.attachment_id) {
+            throw new ServiceError('Upload já concluído', 409);
+         }
+         if (Number(offset) !== session.upload_offset) {
+            throw new ServiceError('Upload-Offset não confere com o recebido pelo servidor', 409);
+         }
+         if (!Buffer.isBuffer(chunk)) {
+            throw new ServiceError('Parte vazia', 400);
+         }
+         if (chunk.length === 0) {
+            if (session.upload_offset < session.upload_length) {
+               throw new ServiceError('Parte vazia', 400);
+            }
+            return this.finalize(session, userId);
+         }
+         if (session.upload_offset + chunk.length > session.upload_length) {
+            throw new ServiceError('Parte ultrapassa o Upload-Length declarado', 400);
+         }
+         this.verifyChecksum(chunk, checksum);
+
+         const handle = await fs.open(this.getPartPath(session.id), 'r+');
+         try {
+            await fs.write(handle, chunk, 0, chunk.length, session.upload_offset);
+         } finally {
+            await fs.close(handle);
+         }
+
+         // Cada parte recebida renova o prazo da sessão
+         const newOffset = session.upload_offset + chunk.length;
+         const expiresAt = this.now() + this.ttl;
+         if (!await this.uploadSessionRepository.advance(session.id, session.upload_offset, newOffset, expiresAt)) {
+            throw new ServiceError('Upload-Offset não confere com o recebido pelo servidor', 409);
+         }
+
+         const updated = { ...session, upload_offset: newOffset, expires_at: expiresAt };
+         return newOffset === session.upload_length ? this.finalize(updated, userId) : updated;
+      });
+   }
+
+   // Passa o arquivo montado pelo mesmo pipeline do upload direto e registra o anexo.
+   // Chamado com a trava da sessão; retorna a sessão com attachment_id.
+   async finalize(session, userId) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const filename = `file-${uniqueSuffix}${path.extname(session.original_name || '')}`;
+      const file = {
+         path: path.join(this.uploadDir, filename),
+         filename,
+         originalname: session.original_name,
+         mimetype: session.mimetype,
+         size: session.upload_length
+      };
+      await fs.move(this.getPartPath(session.id), file.path);
+
+      let processed = null;
+      try {
+         processed = await this.mediaService.process(file);
+         const fileInfo = await this.attachmentService.register(file, userId, processed);
+         await this.uploadSessionRepository.setAttachment(session.id, fileInfo.id);
+         return { ...session, attachment_id: fileInfo.id };
+      } catch (error) {
+         // Conteúdo rejeitado: a sessão não tem mais o que retomar
+         await this.mediaService.discard(file, processed && processed.media);
+         await this.uploadSessionRepository.delete(session.id);
+         throw error;
+      }
+   }
+
+   // Anexo registrado pela última parte (o mesmo fileInfo de /api/upload), ou null
+   async findFile(session) {
+      if (!session.attachment_id) return null;
+      return this.attachmentService.toFileInfo(await this.attachmentService.findById(session.attachment_id));
+   }
+
+   // Cancela a sessão (extensão termination); anexos já concluídos são mantidos
+   async cancel(id, userId) {
+      await this.withLock(String(id), async () => {
+         const session = await this.getSession(id, userId);
+         await fs.remove(this.getPartPath(session.id));
+         await this.uploadSessionRepository.delete(session.id);
+      });
+   }
+
+   // Remove sessões abandonadas e as partes gravadas; retorna quantas foram removidas
+   async cleanupExpired() {
+      const expired = await this.uploadSessionRepository.findExpired(this.now());
+      for (const session of expired) {
+         if (this.locks.has(session.id)) continue;
+         await fs.remove(this.getPartPath(session.id));
+         await this.uploadSessionRepository.delete(session.id);
+      }
+      return expired.length;
+   }
+}
+
+UploadService.TUS_VERSION = TUS_VERSION;
+UploadService.TUS_EXTENSIONS = TUS_EXTENSIONS;
+UploadService.CHECKSUM_ALGORITHMS = CHECKSUM_ALGORITHMS;
+UploadService.parseMetadata = parseMetadata;
+
+module.exports = UploadService;
@@ -0,0 +1,157 @@
+// Eventos enviados pelo servidor aos clientes conectados, usados pelos handlers do socket
+// e pelas rotas HTTP. Tudo passa pela sala de cada usuário (PresenceService.userRoom), que
+// o adapter de tempo real entrega em todos os dispositivos, em qualquer servidor.
+const { PresenceService } = require('../realtime');
+const { toMessageDto } = require('../utils/messageFormatter');
+
+const userRoom = PresenceService.userRoom;
+
+class ChatNotifier {
+   constructor(io, { presence, userRepository, roomRepository, historyRepository, threadService, privacyService }) {
+      this.io = io;
+      this.presence = presence;
+      this.userRepository = userRepository;
+      this.roomRepository = roomRepository;
+      this.historyRepository = historyRepository;
+      this.threadService = threadService;
+      this.privacyService = privacyService;
+   }
+
+   // Envia um evento para todos os dispositivos conectados do usuário (em qualquer servidor)
+   emitToUser(userId, event, payload) {
+      this.io.to(userRoom(userId)).emit(event, payload);
+   }
+
+   // Envia um evento para todos os membros conectados de uma sala
+   // excludeUserIds: um id ou uma lista de ids que não recebem o evento
+   async emitToRoomMembers(roomId, event, payload, excludeUserIds = null) {
+      const excluded = new Set([].concat(excludeUserIds));
+      const members = await this.roomRepository.getRoomMembers(roomId);
+      members.forEach(member => {
+         if (excluded.has(member.id)) return;
+         this.emitToUser(member.id, event, payload);
+      });
+   }
+
+   // Novo total de respostas de uma thread para os membros da sala
+   async notifyThreadUpdated(threadId, roomId) {
+      await this.emitToRoomMembers(roomId, 'thread_updated', await this.threadService.getSummary(threadId, roomId));
+   }
+
+   // Avisa todos os membros do grupo novo (em todos os dispositivos) e entrega a mensagem de sistema
+   async broadcastGroupCreated(result) {
+      const { roomId, actor, group } = result;
+      const groupCreated = {
+         roomId,
+         groupName: group.name,
+         members: group.members.map(member => member.username),
+         createdBy: actor.username,
+         group
+      };
+
+      group.members.forEach(member => this.emitToUser(member.id, 'group_created', groupCreated));
+
+      const systemMessage = await this.historyRepository.findById(result.systemMessageId);
+      await this.emitToRoomMembers(roomId, 'receive_group', toMessageDto(systemMessage));
+
+      return groupCreated;
+   }
+
+   // Notifica os membros sobre uma mudança de administração do grupo
+   async broadcastGroupChange(result) {
+      const { roomId, action, actor, target, group } = result;
+
+      if (result.deleted) {
+         const members = group ? group.members : [];
+         members.forEach(member => {
+            this.emitToUser(member.id, 'group_deleted', { roomId, deletedBy: actor.username });
+         });
+         return;
+      }
+
+      // Mensagem de sistema aparece no chat como qualquer outra mensagem do grupo
+      if (result.systemMessageId) {
+         const systemMessage = await this.historyRepository.findById(result.systemMessageId);
+         await this.emitToRoomMembers(roomId, 'receive_group', toMessageDto(systemMessage));
+      }
+
+      await this.emitToRoomMembers(roomId, 'group_updated', { roomId, action, actor, target, group });
+
+      if (result.removedUserId) {
+         this.emitToUser(result.removedUserId, 'group_removed', { roomId, action, actor });
+         this.io.in(userRoom(result.removedUserId)).socketsLeave(roomId);
+      }
+   }
+
+   // Avisa cada remetente que suas mensagens chegaram ao destinatário
+   notifyDelivered(recipient, messages) {
+      const deliveredAt = new Date().toISOString();
+      messages.forEach(message => {
+         this.emitToUser(message.sender_id, 'message_delivered', {
+            messageId: message.id,
+            roomId: message.room_id,
+            userId: recipient.id,
+            username: recipient.username,
+            deliveredAt
+         });
+      });
+   }
+
+   // Lista de usuários online, personalizada para cada usuário (sem ele mesmo): só aparece
+   // quem deixa este usuário ver que está online e não tem bloqueio com ele
+   async broadcastUsersList() {
+      try {
+         const userIds = await this.presence.getOnlineUserIds();
+         const allOnlineUsers = [];
+
+         for (const userId of userIds) {
+            try {
+               const user = await this.userRepository.findById(userId);
+               if (user) {
+                  allOnlineUsers.push({
+                     id: user.id,
+                     username: user.username,
+                     status: user.status || 'available'
+                  });
+               }
+            } catch (error) {
+               console.error(`Erro ao buscar usuário ${userId}:`, error);
+            }
+         }
+
+         console.log('Broadcasting users list to all connected users');
+
+         for (const userId of userIds) {
+            const otherUsers = allOnlineUsers.filter(user => user.id !== userId);
+            const visibility = await this.privacyService.presenceVisibility(userId, otherUsers.map(user => user.id));
+            const visibleUsers = otherUsers.filter(user => visibility(user.id).online);
+            console.log(`Sending ${visibleUsers.length} other users to user ${userId}`);
+            this.emitToUser(userId, 'user_list', visibleUsers);
+         }
+      } catch (error) {
+         console.error('Erro ao enviar lista de usuários:', error);
+      }
+   }
+
+   // Perfil alterado: todos os conectados atualizam nome, avatar e status
+   // (a presença segue pela user_list, que respeita a privacidade de cada usuário)
+   // Cada usuário online recebe o perfil com a privacidade aplicada para ele: quem tem bloqueio
+   // com o dono não recebe nada, e o status só vai para quem pode ver se o dono está online
+   async broadcastProfile(profile) {
+      try {
+         const { email, isOnline, lastSeen, status, ...publicProfile } = profile;
+         const viewerIds = await this.presence.getOnlineUserIds();
+
+         for (const viewerId of viewerIds) {
+            const visibility = await this.privacyService.presenceVisibility(viewerId, [profile.id]);
+            const { online, blocked } = visibility(profile.id);
+            if (blocked) continue;
+            this.emitToUser(viewerId, 'profile_updated', online ? { ...publicProfile, status } : publicProfile);
+         }
+      } catch (error) {
+         console.error('Erro ao enviar perfil atualizado:', error);
+      }
+   }
+}
+
+module.exports = ChatNotifier;
@@ -0,0 +1,8 @@
+// Camada do Socket.IO: handlers dos eventos dos clientes e os eventos enviados pelo servidor
+const ChatNotifier = require('./ChatNotifier');
+const registerSocketHandlers = require('./registerSocketHandlers');
+
+module.exports = {
+   ChatNotifier,
+   registerSocketHandlers
+};
@@ -0,0 +1,482 @@
+// Handlers dos eventos do Socket.IO de cada conexão autenticada (socket.user já preenchido
+// por authenticateSocket). Ficam fora do index.js para que os testes rodem exatamente os
+// mesmos handlers em vários servidores ligados pelo mesmo bus.
+const { PresenceService } = require('../realtime');
+const SessionService = require('../services/SessionService');
+const { socketRateLimit } = require('../middleware/rateLimit');
+const { socketValidation } = require('../middleware/validate');
+const { toMessageDto, toEditedPayload, toDeletedPayload } = require('../utils/messageFormatter');
+const ServiceError = require('../utils/ServiceError');
+
+const userRoom = PresenceService.userRoom;
+
+// deps: repositories e services usados pelos eventos, presence (realtime.presence),
+// limiter (rateLimits.limiter) e notifier (ChatNotifier do mesmo io)
+function registerSocketHandlers(io, deps) {
+   const {
+      userRepository, roomRepository, messageRepository, historyRepository, conversationRepository, deliveryRepository,
+      privacyService, profileService, messageService, threadService, reactionService, searchService, groupService,
+      attachmentService, presence, limiter, notifier
+   } = deps;
+
+   io.on('connection', async (socket) => {
+      const user = socket.user;
+      console.log(`✅ Usuário conectado via Socket.IO: ${user.username} (ID: ${user.id})`);
+
+      // Cada socket entra na sala do usuário para receber eventos em todos os dispositivos
+      // e na sala da sessão, para ser desconectado quando ela for revogada
+      socket.join(userRoom(user.id));
+      socket.join(SessionService.sessionRoom(user.sessionId));
+
+      // Limite de taxa por usuário em todos os eventos; o excesso vira 'rate_limited'
+      socket.use(socketRateLimit(limiter, socket));
+      // Payloads conferidos com os schemas de validation/schemas.js antes de chegar aos handlers
+      socket.use(socketValidation(socket));
+
+      // Histórico recente de cada sala do usuário, no mesmo formato das mensagens em tempo real
+      async function emitRoomHistory(room) {
+         const page = await historyRepository.findPage(room.id, { limit: 50 });
+         await reactionService.attachReactions(page.messages);
+         socket.emit('room_history', { roomId: room.id, messages: await messageService.serializeMessages(page.messages, room, user) });
+      }
+
+      // ===== EVENTOS DE MENSAGENS =====
+
+      // Eventos que alteram dados respondem no ack, quando o cliente manda um callback:
+      // { success: true, data } ou { success: false, error, code }. Sem callback, o erro
+      // continua chegando no evento 'error'.
+      const ackSuccess = (ack, data = null) => {
+         if (typeof ack === 'function') ack({ success: true, data });
+      };
+
+      const ackError = (ack, error, fallbackMessage) => {
+         const message = error.status ? error.message : fallbackMessage;
+         if (typeof ack === 'function') {
+            ack({ success: false, error: message, ...(error.code && { code: error.code }) });
+         } else {
+            socket.emit('error', { message });
+         }
+      };
+
+      // Ack de envio: id e data gravados, para o cliente trocar a mensagem provisória pela definitiva
+      const sentAck = (payload, duplicate) => ({
+         id: payload.id,
+         clientMessageId: payload.clientMessageId,
+         createdAt: payload.createdAt,
+         duplicate,
+         message: payload
+      });
+
+      // Grava uma mensagem nova na sala. Com clientMessageId, reenvios não duplicam:
+      // duplicate indica que a mensagem já tinha sido gravada por um envio anterior.
+      async function saveMessage(roomId, { message, fileData, replyTo, clientMessageId }) {
+         const existing = await messageService.findDuplicate(user.id, clientMessageId, roomId);
+         if (existing) {
+            return { row: existing, reply: null, duplicate: true };
+         }
+
+         // Resposta a uma mensagem da mesma conversa
+         const reply = await threadService.resolveReply(replyTo, roomId);
+
+         // O anexo precisa ter sido enviado por este usuário via /api/upload
+         const attachment = await attachmentService.resolveForMessage(fileData, user.id, roomId);
+
+         const savedMessage = await messageRepository.create({
+            room_id: roomId,
+            user_id: user.id,
+            content: message,
+            message_type: attachment ? 'file' : 'text',
+            file_data: attachment,
+            client_message_id: clientMessageId || null
+         });
+
+         // Envio simultâneo com o mesmo clientMessageId: o índice único recusou esta cópia e fica a gravada primeiro
+         if (!savedMessage) {
+            return { row: await messageService.findDuplicate(user.id, clientMessageId, roomId), reply: null, duplicate: true };
+         }
+
+         await attachmentService.attachToMessage(attachment, roomId, savedMessage.id);
+         await threadService.attachReply(savedMessage.id, reply);
+         await deliveryRepository.createForRecipients(savedMessage.id);
+
+         // Relido do banco: mesmo formato e mesmo createdAt do histórico
+         return { row: await historyRepository.findById(savedMessage.id), reply, duplicate: false };
+      }
+
+      // Enviar mensagem privada
+      socket.on('send_private', async (data = {}, ack) => {
+         try {
+            // Buscar usuário destinatário
+            const targetUser = await userRepository.findByUsername(data.to);
+            if (!targetUser) {
+               throw new ServiceError('Usuário não encontrado', 404);
+            }
+
+            // Bloqueio em qualquer sentido impede a conversa
+            await privacyService.assertCanInteract(user.id, targetUser.id, 'Não é possível enviar mensagens para este usuário');
+
+            // Criar ou encontrar sala privada
+            const room = await roomRepository.createOrFindPrivateRoom(user.id, targetUser.id);
+
+            const { row, reply, duplicate } = await saveMessage(room.id, data);
+            const payload = toMessageDto(row, { to: targetUser.username });
+
+            // Num reenvio, os dispositivos já receberam a mensagem no primeiro envio
+            if (!duplicate) {
+               // Enviar para todos os dispositivos do destinatário
+               notifier.emitToUser(targetUser.id, 'receive_private', payload);
+
+               // Confirmar envio em todos os dispositivos do remetente
+               notifier.emitToUser(user.id, 'message_sent', payload);
+
+               if (reply) {
+                  await notifier.notifyThreadUpdated(reply.threadId, room.id);
+               }
+            }
+
+            ackSuccess(ack, sentAck(payload, duplicate));
+         } catch (error) {
+            console.error('Erro ao enviar mensagem privada:', error);
+            ackError(ack, error, 'Erro ao enviar mensagem');
+         }
+      });
+
+      // Enviar mensagem em grupo
+      socket.on('send_group', async (data = {}, ack) => {
+         try {
+            // Verificar se usuário é membro da sala
+            if (!await roomRepository.isMember(data.roomId, user.id)) {
+               throw new ServiceError('Você não é membro deste grupo', 403);
+            }
+
+            const { row, reply, duplicate } = await saveMessage(data.roomId, data);
+            const payload = toMessageDto(row);
+
+            if (!duplicate) {
+               // Enviar para todos os dispositivos de cada membro do grupo
+               await notifier.emitToRoomMembers(data.roomId, 'receive_group', payload);
+
+               if (reply) {
+                  await notifier.notifyThreadUpdated(reply.threadId, data.roomId);
+               }
+            }
+
+            ackSuccess(ack, sentAck(payload, duplicate));
+         } catch (error) {
+            console.error('Erro ao enviar mensagem em grupo:', error);
+            ackError(ack, error, 'Erro ao enviar mensagem');
+         }
+      });
+
+      // Confirmação de recebimento enviada pelo cliente
+      socket.on('confirm_delivery', async ({ messageIds } = {}, ack) => {
+         try {
+            const delivered = await deliveryRepository.markDelivered(user.id, messageIds);
+            notifier.notifyDelivered(user, delivered);
+            ackSuccess(ack, { messageIds: delivered.map(message => message.id) });
+         } catch (error) {
+            // Sem callback, a falha fica só no log (a confirmação é feita em segundo plano)
+            console.error('Erro ao confirmar entrega:', error);
+            if (ack) ackError(ack, error, 'Erro ao confirmar entrega');
+         }
+      });
+
+      // Sincronização ao reconectar: o cliente informa a última mensagem vista
+      // em cada sala ({ rooms: { [roomId]: lastMessageId } }) e recebe só o que perdeu.
+      // Salas sem cursor recebem a página mais recente.
+      socket.on('sync', async ({ rooms = {} } = {}) => {
+         try {
+            const userRooms = await roomRepository.findUserRooms(user.id);
+            const result = [];
+            const syncedIds = [];
+
+            for (const room of userRooms) {
+               const lastSeen = parseInt(rooms[room.id]) || null;
+               const page = await historyRepository.findPage(room.id, { after: lastSeen, limit: 100 });
+               if (lastSeen && page.messages.length === 0) continue;
+               await reactionService.attachReactions(page.messages);
+
+               const messages = await messageService.serializeMessages(page.messages, room, user);
+
+               page.messages.forEach(row => syncedIds.push(row.id));
+               result.push({
+                  roomId: room.id,
+                  type: room.type,
+                  messages,
+                  hasMore: lastSeen ? page.hasMore : false
+               });
+            }
+
+            socket.emit('sync_result', { rooms: result, syncedAt: new Date().toISOString() });
+
+            // O que foi sincronizado foi entregue a este usuário
+            notifier.notifyDelivered(user, await deliveryRepository.markDelivered(user.id, syncedIds));
+         } catch (error) {
+            console.error('Erro na sincronização:', error);
+            socket.emit('error', { message: 'Erro na sincronização' });
+         }
+      });
+
+      // Editar mensagem enviada
+      socket.on('edit_message', async ({ messageId, message } = {}, ack) => {
+         try {
+            const edited = await messageService.editMessage(messageId, user.id, message);
+            const payload = toEditedPayload(edited);
+            await notifier.emitToRoomMembers(edited.room_id, 'message_edited', payload);
+            ackSuccess(ack, payload);
+         } catch (error) {
+            console.error('Erro ao editar mensagem:', error);
+            ackError(ack, error, 'Erro ao editar mensagem');
+         }
+      });
+
+      // Excluir mensagem enviada
+      socket.on('delete_message', async ({ messageId } = {}, ack) => {
+         try {
+            const deleted = await messageService.deleteMessage(messageId, user.id);
+            const payload = toDeletedPayload(deleted);
+            await notifier.emitToRoomMembers(deleted.room_id, 'message_deleted', payload);
+            if (deleted.thread_id) {
+               await notifier.notifyThreadUpdated(deleted.thread_id, deleted.room_id);
+            }
+            ackSuccess(ack, payload);
+         } catch (error) {
+            console.error('Erro ao excluir mensagem:', error);
+            ackError(ack, error, 'Erro ao excluir mensagem');
+         }
+      });
+
+      // Reagir a uma mensagem com emoji (membros da conversa)
+      socket.on('add_reaction', async ({ messageId, emoji } = {}, ack) => {
+         try {
+            const update = await reactionService.addReaction(messageId, user, emoji);
+            await notifier.emitToRoomMembers(update.roomId, 'reaction_updated', update);
+            ackSuccess(ack, update);
+         } catch (error) {
+            console.error('Erro ao reagir à mensagem:', error);
+            ackError(ack, error, 'Erro ao reagir à mensagem');
+         }
+      });
+
+      socket.on('remove_reaction', async ({ messageId, emoji } = {}, ack) => {
+         try {
+            const update = await reactionService.removeReaction(messageId, user, emoji);
+            await notifier.emitToRoomMembers(update.roomId, 'reaction_updated', update);
+            ackSuccess(ack, update);
+         } catch (error) {
+            console.error('Erro ao remover reação:', error);
+            ackError(ack, error, 'Erro ao remover reação');
+         }
+      });
+
+      // Criar grupo: o criador vira owner e o grupo começa com uma mensagem de sistema
+      socket.on('create_group', async ({ groupName, members } = {}, ack) => {
+         try {
+            const result = await groupService.createGroup(user, groupName, members);
+            const groupCreated = await notifier.broadcastGroupCreated(result);
+            ackSuccess(ack, groupCreated);
+         } catch (error) {
+            console.error('Erro ao criar grupo:', error);
+            ackError(ack, error, 'Erro ao criar grupo');
+         }
+      });
+
+      // Administração de grupos: mesmas operações das rotas /api/groups
+      const groupEvents = {
+         add_member: ({ roomId, username }) => groupService.addMember(roomId, user, username),
+         remove_member: ({ roomId, username }) => groupService.removeMember(roomId, user, username),
+         promote_member: ({ roomId, username }) => groupService.promote(roomId, user, username),
+         demote_member: ({ roomId, username }) => groupService.demote(roomId, user, username),
+         rename_group: ({ roomId, name }) => groupService.rename(roomId, user, name),
+         leave_group: ({ roomId }) => groupService.leave(roomId, user),
+         delete_group: ({ roomId }) => groupService.deleteGroup(roomId, user)
+      };
+
+      for (const [event, operation] of Object.entries(groupEvents)) {
+         socket.on(event, async (data = {}, ack) => {
+            try {
+               const result = await operation(data);
+               await notifier.broadcastGroupChange(result);
+               ackSuccess(ack, result);
+            } catch (error) {
+               console.error(`Erro em ${event}:`, error);
+               ackError(ack, error, 'Erro ao atualizar grupo');
+            }
+         });
+      }
+
+      // Entrar em uma sala
+      socket.on('join_room', async (roomId) => {
+         try {
+            // Verificar se usuário é membro
+            const room = (await roomRepository.findUserRooms(user.id)).find(userRoom => userRoom.id === roomId);
+            if (room) {
+               socket.join(roomId);
+
+               // Enviar histórico da sala
+               await emitRoomHistory(room);
+            } else {
+               socket.emit('error', { message: 'Acesso negado a esta sala' });
+            }
+         } catch (error) {
+            console.error('Erro ao entrar na sala:', error);
+            socket.emit('error', { message: 'Erro ao entrar na sala' });
+         }
+      });
+
+      // Marcar mensagens como lidas e avisar os outros membros ('visto por')
+      socket.on('mark_read', async ({ roomId, messageId } = {}, ack) => {
+         try {
+            if (!await roomRepository.isMember(roomId, user.id)) {
+               throw new ServiceError('Acesso negado a esta sala', 403);
+            }
+
+            // Sem messageId, marca tudo até a última mensagem da sala
+            const targetId = messageId || await conversationRepository.getLastMessageId(roomId);
+            if (!targetId) return ackSuccess(ack, null);
+
+            // null quando a leitura já estava nesta mensagem ou depois dela
+            const lastReadMessageId = await conversationRepository.markRead(roomId, user.id, targetId);
+            if (!lastReadMessageId) return ackSuccess(ack, null);
+
+            // Mensagens lidas também contam como entregues
+            notifier.notifyDelivered(user, await deliveryRepository.markDeliveredUpTo(user.id, roomId, lastReadMessageId));
+
+            const receipt = {
+               roomId,
+               userId: user.id,
+               username: user.username,
+               messageId: lastReadMessageId,
+               readAt: new Date().toISOString()
+            };
+
+            await notifier.emitToRoomMembers(roomId, 'read_receipt', receipt, user.id);
+            ackSuccess(ack, receipt);
+         } catch (error) {
+            console.error('Erro ao marcar mensagens como lidas:', error);
+            ackError(ack, error, 'Erro ao marcar mensagens como lidas');
+         }
+      });
+
+      // Sair de uma sala
+      socket.on('leave_room', (roomId) => {
+         socket.leave(roomId);
+      });
+
+      // Indicador de 'digitando'
+      socket.on('typing', async ({ to, roomId } = {}) => {
+         try {
+            if (to) {
+               // Mensagem privada
+               const targetUser = await userRepository.findByUsername(to);
+               if (targetUser && !await privacyService.isBlockedBetween(user.id, targetUser.id)) {
+                  notifier.emitToUser(targetUser.id, 'typing', { from: user.username, type: 'private' });
+               }
+            } else if (roomId) {
+               // Mensagem em grupo: quem tem bloqueio com o usuário não vê o indicador
+               if (await roomRepository.isMember(roomId, user.id)) {
+                  const blockedIds = await privacyService.getBlockedIds(user.id);
+                  await notifier.emitToRoomMembers(roomId, 'typing', { from: user.username, type: 'group', roomId }, [user.id, ...blockedIds]);
+               }
+            }
+         } catch (error) {
+            console.error('Erro no indicador de digitação:', error);
+         }
+      });
+
+      socket.on('stop_typing', async ({ to, roomId } = {}) => {
+         try {
+            if (to) {
+               const targetUser = await userRepository.findByUsername(to);
+               if (targetUser && !await privacyService.isBlockedBetween(user.id, targetUser.id)) {
+                  notifier.emitToUser(targetUser.id, 'stop_typing', { from: user.username, type: 'private' });
+               }
+            } else if (roomId) {
+               if (await roomRepository.isMember(roomId, user.id)) {
+                  const blockedIds = await privacyService.getBlockedIds(user.id);
+                  await notifier.emitToRoomMembers(roomId, 'stop_typing', { from: user.username, type: 'group', roomId }, [user.id, ...blockedIds]);
+               }
+            }
+         } catch (error) {
+            console.error('Erro ao parar indicador de digitação:', error);
+         }
+      });
+
+      // Atualizar status do usuário
+      // Só aceita os status conhecidos (available, busy, away, dnd)
+      socket.on('update_status', async ({ status } = {}, ack) => {
+         try {
+            const profile = await profileService.updateStatus(user.id, status);
+            notifier.broadcastProfile(profile);
+            await notifier.broadcastUsersList();
+            ackSuccess(ack, profile);
+         } catch (error) {
+            console.error('Erro ao atualizar status:', error);
+            ackError(ack, error, 'Erro ao atualizar status');
+         }
+      });
+
+      // Buscar mensagens: mesmos filtros e paginação de GET /api/messages/search
+      socket.on('search_messages', async (options = {}) => {
+         try {
+            const { results, pagination } = await searchService.search(user, options);
+            await reactionService.attachReactions(results);
+            socket.emit('search_results', { query: options.query, results, pagination });
+         } catch (error) {
+            console.error('Erro na busca:', error);
+            socket.emit('error', { message: error.status ? error.message : 'Erro na busca' });
+         }
+      });
+
+      // Desconexão
+      socket.on('disconnect', async () => {
+         try {
+            console.log(`❌ Usuário desconectado: ${user.username} (ID: ${user.id})`);
+
+            // Só fica offline quando o último dispositivo desconecta
+            if (await presence.removeSocket(user.id, socket.id)) {
+               await userRepository.updateOnlineStatus(user.id, false);
+            }
+
+            // Enviar lista atualizada
+            await notifier.broadcastUsersList();
+         } catch (error) {
+            console.error('Erro na desconexão:', error);
+         }
+      });
+
+      // ===== INICIALIZAÇÃO DA CONEXÃO =====
+      // Só depois de todos os handlers registrados: eventos enviados pelo cliente logo
+      // após conectar não se perdem enquanto a presença e o histórico são carregados
+      try {
+         // Atualizar status online apenas no primeiro dispositivo
+         if (await presence.addSocket(user.id, socket.id)) {
+            await userRepository.updateOnlineStatus(user.id, true);
+         }
+
+         // Desconectou durante o await: o handler de 'disconnect' rodou antes do socket entrar na presença
+         if (socket.disconnected) {
+            if (await presence.removeSocket(user.id, socket.id)) {
+               await userRepository.updateOnlineStatus(user.id, false);
+            }
+            return;
+         }
+
+         const onlineUserIds = await presence.getOnlineUserIds();
+         const userSockets = await presence.getSockets(user.id);
+         console.log(`👥 Total de usuários conectados: ${onlineUserIds.length} (${user.username}: ${userSockets.length} dispositivo(s))`);
+
+         // Enviar lista de usuários online para todos
+         await notifier.broadcastUsersList();
+
+         const userRooms = await roomRepository.findUserRooms(user.id);
+         for (const room of userRooms) {
+            await emitRoomHistory(room);
+         }
+      } catch (error) {
+         console.error('Erro ao iniciar a conexão:', error);
+      }
+   });
+}
+
+module.exports = registerSocketHandlers;
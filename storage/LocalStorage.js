@@ -0,0 +1,47 @@
+// Arquivos no disco local (UPLOAD_PATH). Some ao recriar o container se a pasta não for um volume.
+const path = require('path');
+const fs = require('fs-extra');
+
+class LocalStorage {
+   constructor({ root }) {
+      this.root = root;
+   }
+
+   // A chave vira só o nome do arquivo: nada de caminhos vindos do cliente
+   resolve(key) {
+      return path.join(this.root, path.basename(String(key)));
+   }
+
+   // Move para o storage um arquivo já gravado no disco (ex.: pelo multer)
+   async putFile(key, filePath) {
+      const target = this.resolve(key);
+      if (path.resolve(filePath) !== path.resolve(target)) {
+         await fs.move(filePath, target, { overwrite: true });
+      }
+   }
+
+   async putBuffer(key, buffer) {
+      await fs.ensureDir(this.root);
+      await fs.writeFile(this.resolve(key), buffer);
+   }
+
+   // { stream, size } ou null se o arquivo não existir
+   async getStream(key) {
+      const filePath = this.resolve(key);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (!stat || !stat.isFile()) return null;
+      return { stream: fs.createReadStream(filePath), size: stat.size };
+   }
+
+   async exists(key) {
+      return fs.pathExists(this.resolve(key));
+   }
+
+   async delete(key) {
+      await fs.remove(this.resolve(key));
+   }
+
+   async close() {}
+}
+
+module.exports = LocalStorage;
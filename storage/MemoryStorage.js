@@ -0,0 +1,36 @@
+// Storage em memória: para desenvolvimento e testes, sem disco nem serviço externo
+const { Readable } = require('stream');
+const fs = require('fs-extra');
+
+class MemoryStorage {
+   constructor({ files = new Map() } = {}) {
+      this.files = files;
+   }
+
+   async putFile(key, filePath) {
+      await this.putBuffer(key, await fs.readFile(filePath));
+      await fs.remove(filePath);
+   }
+
+   async putBuffer(key, buffer) {
+      this.files.set(String(key), Buffer.from(buffer));
+   }
+
+   async getStream(key) {
+      const buffer = this.files.get(String(key));
+      if (!buffer) return null;
+      return { stream: Readable.from([buffer]), size: buffer.length };
+   }
+
+   async exists(key) {
+      return this.files.has(String(key));
+   }
+
+   async delete(key) {
+      this.files.delete(String(key));
+   }
+
+   async close() {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,98 @@
+// Bucket S3 ou compatível (MinIO, Cloudflare R2, Backblaze B2...)
+const fs = require('fs-extra');
+
+class S3Storage {
+   constructor({
+      bucket = process.env.S3_BUCKET,
+      region = process.env.S3_REGION || 'us-east-1',
+      endpoint = process.env.S3_ENDPOINT,
+      accessKeyId = process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix = process.env.S3_PREFIX || '',
+      client
+   } = {}) {
+      if (!bucket) {
+         throw new Error('S3_BUCKET é obrigatório para o storage s3');
+      }
+
+      const { S3Client } = require('@aws-sdk/client-s3');
+
+      this.bucket = bucket;
+      this.prefix = prefix;
+      // Sem credenciais explícitas o SDK usa a cadeia padrão (variáveis AWS_*, IAM role...)
+      this.client = client || new S3Client({
+         region,
+         endpoint: endpoint || undefined,
+         forcePathStyle,
+         credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+      });
+   }
+
+   objectKey(key) {
+      return `${this.prefix}${key}`;
+   }
+
+   async putFile(key, filePath, { contentType } = {}) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      const { size } = await fs.stat(filePath);
+
+      await this.client.send(new PutObjectCommand({
+         Bucket: this.bucket,
+         Key: this.objectKey(key),
+         Body: fs.createReadStream(filePath),
+         ContentLength: size,
+         ContentType: contentType
+      }));
+      await fs.remove(filePath);
+   }
+
+   async putBuffer(key, buffer, { contentType } = {}) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+
+      await this.client.send(new PutObjectCommand({
+         Bucket: this.bucket,
+         Key: this.objectKey(key),
+         Body: buffer,
+         ContentType: contentType
+      }));
+   }
+
+   async getStream(key) {
+      const { GetObjectCommand } = require('@aws-sdk/client-s3');
+      try {
+         const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+         return { stream: result.Body, size: result.ContentLength };
+      } catch (error) {
+         if (S3Storage.isNotFound(error)) return null;
+         throw error;
+      }
+   }
+
+   async exists(key) {
+      const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+      try {
+         await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+         return true;
+      } catch (error) {
+         if (S3Storage.isNotFound(error)) return false;
+         throw error;
+      }
+   }
+
+   async delete(key) {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+   }
+
+   async close() {
+      this.client.destroy();
+   }
+
+   static isNotFound(error) {
+      return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+         (error.$metadata && error.$metadata.httpStatusCode === 404);
+   }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,39 @@
+// Storage plugável dos anexos.
+//
+// STORAGE_DRIVER=local (padrão) -> pasta UPLOAD_PATH no disco do servidor
+// STORAGE_DRIVER=s3             -> bucket S3 ou compatível (S3_BUCKET, S3_ENDPOINT...)
+// STORAGE_DRIVER=memory         -> em memória, para desenvolvimento e testes
+//
+// Todos os drivers expõem: putFile(key, filePath, { contentType }) (move um arquivo
+// local para o storage), putBuffer, getStream(key) -> { stream, size } | null,
+// exists, delete e close.
+const LocalStorage = require('./LocalStorage');
+const MemoryStorage = require('./MemoryStorage');
+const S3Storage = require('./S3Storage');
+
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'local', root, ...options } = {}) {
+   let storage;
+   switch (driver) {
+      case 'local':
+         storage = new LocalStorage({ root });
+         break;
+      case 's3':
+         storage = new S3Storage(options);
+         break;
+      case 'memory':
+         storage = new MemoryStorage(options);
+         break;
+      default:
+         throw new Error(`Storage ${driver} não suportado`);
+   }
+
+   console.log(`✅ Storage de arquivos: ${driver}`);
+   return storage;
+}
+
+module.exports = {
+   createStorage,
+   LocalStorage,
+   MemoryStorage,
+   S3Storage
+};
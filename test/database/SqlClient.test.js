@@ -0,0 +1,78 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser } = require('../support/databases');
+
+describeEachBackend('SqlClient', (context) => {
+   it('confirma a transação quando fn termina', async () => {
+      const { sql } = context;
+      const userId = await sql.transaction(async (tx) => (await createUser(tx, 'tx_commit')).id);
+      assert.equal((await sql.get('SELECT username FROM users WHERE id = ?', [userId])).username, 'tx_commit');
+   });
+
+   it('desfaz a transação quando fn lança erro', async () => {
+      const { sql } = context;
+      await assert.rejects(sql.transaction(async (tx) => {
+         await createUser(tx, 'tx_rollback');
+         throw new Error('falhou');
+      }), /falhou/);
+      assert.equal(await sql.get('SELECT id FROM users WHERE username = ?', ['tx_rollback']), undefined);
+   });
+
+   it('não mistura transações simultâneas nem comandos de fora', async () => {
+      const { sql } = context;
+      const pause = () => new Promise(resolve => setTimeout(resolve, 10));
+
+      const failing = sql.transaction(async (tx) => {
+         await createUser(tx, 'tx_a');
+         await pause();
+         throw new Error('desfaz a');
+      });
+      const succeeding = sql.transaction(async (tx) => {
+         await createUser(tx, 'tx_b');
+         await pause();
+      });
+      const outside = createUser(sql, 'tx_fora');
+
+      await assert.rejects(failing, /desfaz a/);
+      await succeeding;
+      await outside;
+
+      const rows = await sql.all("SELECT username FROM users WHERE username IN ('tx_a', 'tx_b', 'tx_fora') ORDER BY username");
+      assert.deepEqual(rows.map(row => row.username), ['tx_b', 'tx_fora']);
+   });
+
+   it('exec roda o script inteiro, com ";" dentro dos textos', async () => {
+      const { sql } = context;
+      await sql.exec(`
+         CREATE TABLE exec_script (nome VARCHAR(20));
+         INSERT INTO exec_script (nome) VALUES ('a;b');
+         INSERT INTO exec_script (nome) VALUES ('c')
+      `);
+
+      const rows = await sql.all('SELECT nome FROM exec_script ORDER BY nome');
+      assert.deepEqual(rows.map(row => row.nome), ['a;b', 'c']);
+      await sql.exec('DROP TABLE exec_script');
+   });
+
+   it('insertOrIgnore ignora a chave repetida', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const insert = sql.insertOrIgnore('INTO user_privacy (user_id, online_visibility) VALUES (?, ?)');
+      await sql.run(insert, [user.id, 'contacts']);
+      await sql.run(insert, [user.id, 'nobody']);
+
+      const row = await sql.get('SELECT online_visibility FROM user_privacy WHERE user_id = ?', [user.id]);
+      assert.equal(row.online_visibility, 'contacts');
+   });
+
+   it('upsert atualiza as colunas informadas', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const upsert = sql.upsert('user_privacy', ['user_id', 'online_visibility'], ['user_id'], ['online_visibility']);
+      await sql.run(upsert, [user.id, 'contacts']);
+      await sql.run(upsert, [user.id, 'nobody']);
+
+      const row = await sql.get('SELECT online_visibility FROM user_privacy WHERE user_id = ?', [user.id]);
+      assert.equal(row.online_visibility, 'nobody');
+   });
+});
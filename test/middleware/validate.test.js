@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, socketValidation } = require('../../middleware/validate');
+const { routes, object, integer } = require('../../validation');
+
+// req/res mínimos do Express: guardam o status e o JSON da resposta
+function run(middleware, req) {
+   const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+         this.statusCode = code;
+         return this;
+      },
+      json(body) {
+         this.body = body;
+         return this;
+      }
+   };
+   let nextCalled = false;
+   middleware(req, res, () => {
+      nextCalled = true;
+   });
+   return { req, res, nextCalled };
+}
+
+describe('middleware/validate', () => {
+   it('troca params, query e body pelas versões normalizadas', () => {
+      const { req, nextCalled } = run(validate(routes.groupHistory), {
+         params: { roomId: '4' },
+         query: { before: '20' },
+         body: undefined
+      });
+
+      assert.ok(nextCalled);
+      assert.deepEqual(req.params, { roomId: 4 });
+      assert.deepEqual(req.query, { before: 20 });
+   });
+
+   it('responde 400 com os erros de todas as partes', () => {
+      const { res, nextCalled } = run(validate(routes.editMessage), {
+         params: { id: 'abc' },
+         query: {},
+         body: { message: 1, pinned: true }
+      });
+
+      assert.ok(!nextCalled);
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body, {
+         success: false,
+         error: '"id" deve ser um número inteiro',
+         code: 'VALIDATION_ERROR',
+         details: [
+            { field: 'id', code: 'INVALID_TYPE', message: '"id" deve ser um número inteiro' },
+            { field: 'pinned', code: 'UNKNOWN_FIELD', message: '"pinned" não é um campo aceito' },
+            { field: 'message', code: 'INVALID_TYPE', message: '"message" deve ser um texto' }
+         ]
+      });
+   });
+
+   it('corpo ausente é validado como objeto vazio', () => {
+      const { res } = run(validate(routes.passwordConfirmation), { params: {}, query: {}, body: undefined });
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.details.map(detail => [detail.field, detail.code]), [['password', 'REQUIRED']]);
+   });
+});
+
+describe('socketValidation', () => {
+   const schemas = { mark_read: object({ roomId: integer() }), join_room: integer() };
+
+   function emit(packet) {
+      const emitted = [];
+      const socket = { emit: (...args) => emitted.push(args) };
+      let nextCalled = false;
+      socketValidation(socket, schemas)(packet, () => {
+         nextCalled = true;
+      });
+      return { emitted, nextCalled };
+   }
+
+   it('normaliza o payload e mantém o ack no lugar', () => {
+      const ack = () => {};
+      const packet = ['mark_read', { roomId: '3' }, ack];
+      assert.ok(emit(packet).nextCalled);
+      assert.deepEqual(packet, ['mark_read', { roomId: 3 }, ack]);
+   });
+
+   it('payload inválido vai para o ack, ou para "error" sem ack', () => {
+      let response;
+      const withAck = emit(['mark_read', { roomId: 'x' }, (result) => { response = result; }]);
+      assert.ok(!withAck.nextCalled);
+      assert.equal(response.success, false);
+      assert.equal(response.code, 'VALIDATION_ERROR');
+      assert.equal(response.details[0].field, 'roomId');
+
+      const withoutAck = emit(['join_room']);
+      assert.ok(!withoutAck.nextCalled);
+      assert.equal(withoutAck.emitted[0][0], 'error');
+      assert.equal(withoutAck.emitted[0][1].event, 'join_room');
+      assert.equal(withoutAck.emitted[0][1].code, 'VALIDATION_ERROR');
+   });
+
+   it('eventos sem schema passam direto', () => {
+      const packet = ['qualquer', { a: 1 }];
+      assert.ok(emit(packet).nextCalled);
+      assert.deepEqual(packet, ['qualquer', { a: 1 }]);
+   });
+});
@@ -0,0 +1,34 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, MemoryRateLimitStore } = require('../../ratelimit');
+
+describe('RateLimiter', () => {
+   const store = new MemoryRateLimitStore();
+   const limiter = new RateLimiter(store, {
+      send: { limit: 2, interval: 60, keyBy: ['user', 'ip'] },
+      login: { limit: 2, interval: 60, keyBy: ['ip'] }
+   });
+
+   after(() => store.close());
+
+   it('conta o usuário em qualquer IP e o IP para qualquer usuário', async () => {
+      assert.ok((await limiter.consume('send', { userId: 1, ip: '10.0.0.1' })).allowed);
+      assert.ok((await limiter.consume('send', { userId: 1, ip: '10.0.0.2' })).allowed);
+
+      // Balde do usuário 1 vazio, mesmo vindo de um IP novo
+      const sameUser = await limiter.consume('send', { userId: 1, ip: '10.0.0.3' });
+      assert.equal(sameUser.allowed, false);
+      assert.ok(sameUser.retryAfter >= 1);
+
+      // Balde do IP 10.0.0.1 ainda tem um token; depois dele, outro usuário também é recusado
+      assert.ok((await limiter.consume('send', { userId: 2, ip: '10.0.0.1' })).allowed);
+      assert.equal((await limiter.consume('send', { userId: 3, ip: '10.0.0.1' })).allowed, false);
+   });
+
+   it('usa só o IP nas regras sem usuário', async () => {
+      assert.ok((await limiter.consume('login', { userId: 1, ip: '10.0.1.1' })).allowed);
+      assert.ok((await limiter.consume('login', { userId: 2, ip: '10.0.1.1' })).allowed);
+      assert.equal((await limiter.consume('login', { ip: '10.0.1.1' })).allowed, false);
+      assert.ok((await limiter.consume('send', { ip: '10.0.1.2' })).allowed);
+   });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedisBus } = require('../../realtime');
+
+describe('RedisBus', () => {
+   it('codifica os pacotes do adapter preservando dados binários', () => {
+      // Broadcast como o ClusterAdapter publica: um emit com um Buffer no payload
+      const message = {
+         uid: 'no-a',
+         nsp: '/',
+         type: 3,
+         data: {
+            packet: { type: 5, nsp: '/', data: ['avatar', { userId: 7, image: Buffer.from([0, 255, 16, 32]) }] },
+            opts: { rooms: ['user:7'], except: [], flags: {} }
+         }
+      };
+
+      const raw = RedisBus.encode(message);
+      assert.ok(Buffer.isBuffer(raw));
+
+      const decoded = RedisBus.decode(raw);
+      assert.deepEqual(decoded, message);
+      assert.ok(Buffer.isBuffer(decoded.data.packet.data[1].image));
+   });
+});
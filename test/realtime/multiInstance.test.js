@@ -0,0 +1,125 @@
+// Dois servidores Socket.IO no mesmo processo com os handlers de produção (sockets/),
+// ligados pelo mesmo MemoryBus, pela mesma presença em memória e pelo mesmo banco,
+// como dois nós atrás de um load balancer.
+const { it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryBus } = require('../../realtime');
+const { describeEachBackend, createUser, createRoom } = require('../support/databases');
+const { startChatServer, connectAs, nextEvent, settle, request } = require('../support/chatServer');
+
+describeEachBackend('tempo real com dois nós no mesmo MemoryBus', (context) => {
+   const bus = new MemoryBus();
+   const presenceState = new Map();
+   const clients = [];
+   let nodeA;
+   let nodeB;
+
+   before(async () => {
+      // Cada conexão e envio é registrado no console; nesse volume, a saída atrapalha o runner do node --test
+      mock.method(console, 'log', () => {});
+      nodeA = await startChatServer({ sql: context.sql, nodeId: 'no-a', bus, presenceState });
+      nodeB = await startChatServer({ sql: context.sql, nodeId: 'no-b', bus, presenceState });
+   });
+
+   after(async () => {
+      clients.forEach(client => client.disconnect());
+      await settle(50);
+      for (const node of [nodeA, nodeB]) {
+         if (node) await node.close();
+      }
+      await bus.close();
+      mock.restoreAll();
+   });
+
+   it('entrega mensagem privada para o destinatário conectado no outro nó', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const onA = await connectAs(nodeA, ana, clients);
+      const onB = await connectAs(nodeB, bia, clients);
+
+      const received = nextEvent(onB, 'receive_private');
+      const sent = nextEvent(onA, 'message_sent');
+      const ack = await request(onA, 'send_private', { to: bia.username, message: 'oi' });
+
+      assert.equal(ack.success, true);
+      const payload = await received;
+      assert.equal(payload.message, 'oi');
+      assert.equal(payload.from, ana.username);
+      assert.equal(payload.to, bia.username);
+      assert.equal((await sent).id, payload.id);
+   });
+
+   it('entrega para todos os dispositivos do usuário, em qualquer nó', async () => {
+      const caio = await createUser(context.sql);
+      const dani = await createUser(context.sql);
+      const sender = await connectAs(nodeA, caio, clients);
+      const phone = await connectAs(nodeA, dani, clients);
+      const laptop = await connectAs(nodeB, dani, clients);
+
+      const deliveries = Promise.all([nextEvent(phone, 'receive_private'), nextEvent(laptop, 'receive_private')]);
+      await request(sender, 'send_private', { to: dani.username, message: 'nos dois' });
+
+      const [onPhone, onLaptop] = await deliveries;
+      assert.equal(onPhone.message, 'nos dois');
+      assert.equal(onLaptop.id, onPhone.id);
+   });
+
+   it('entrega mensagens de grupo aos membros dos dois nós', async () => {
+      const users = [await createUser(context.sql), await createUser(context.sql), await createUser(context.sql)];
+      const group = await createRoom(context.sql, { name: 'Equipe', members: users.map(user => user.id) });
+      const members = [
+         await connectAs(nodeA, users[0], clients),
+         await connectAs(nodeB, users[1], clients),
+         await connectAs(nodeB, users[2], clients)
+      ];
+
+      const deliveries = Promise.all(members.map(client => nextEvent(client, 'receive_group')));
+      const ack = await request(members[1], 'send_group', { roomId: group.id, message: 'reunião' });
+      assert.equal(ack.success, true);
+
+      const received = await deliveries;
+      assert.ok(received.every(payload => payload.roomId === group.id && payload.from === users[1].username));
+   });
+
+   it('repassa o indicador de digitação entre os nós', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const onB = await connectAs(nodeB, ana, clients);
+      const onA = await connectAs(nodeA, bia, clients);
+
+      const typing = nextEvent(onA, 'typing');
+      onB.emit('typing', { to: bia.username });
+      assert.deepEqual(await typing, { from: ana.username, type: 'private' });
+   });
+
+   it('compartilha a presença: o usuário fica offline só quando o último socket sai', async () => {
+      const eva = await createUser(context.sql);
+      const first = await connectAs(nodeA, eva, clients);
+      const second = await connectAs(nodeB, eva, clients);
+
+      assert.ok(await nodeB.realtime.presence.isOnline(eva.id));
+      assert.equal((await nodeA.realtime.presence.getSockets(eva.id)).length, 2);
+
+      first.disconnect();
+      await settle(50);
+      assert.ok(await nodeA.realtime.presence.isOnline(eva.id));
+
+      second.disconnect();
+      await settle(50);
+      assert.ok(!await nodeA.realtime.presence.isOnline(eva.id));
+      assert.ok(!(await nodeB.realtime.presence.getOnlineUserIds()).includes(eva.id));
+   });
+
+   it('sessão revogada em um nó desconecta o socket dela no outro', async () => {
+      const gil = await createUser(context.sql);
+      const revoked = await connectAs(nodeB, gil, clients);
+      const other = await connectAs(nodeB, gil, clients);
+
+      const disconnected = nextEvent(revoked, 'disconnect');
+      await nodeA.sessionService.revoke(revoked.sessionId);
+      await disconnected;
+
+      await settle(50);
+      assert.ok(other.connected);
+   });
+});
@@ -0,0 +1,59 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom, createMessage } = require('../support/databases');
+const ConversationRepository = require('../../repositories/ConversationRepository');
+const DeliveryRepository = require('../../repositories/DeliveryRepository');
+
+describeEachBackend('ConversationRepository e DeliveryRepository', (context) => {
+   it('lista as conversas com a última mensagem e as não lidas', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const privateRoom = await createRoom(sql, { type: 'private', members: [ana.id, bia.id] });
+      const group = await createRoom(sql, { name: 'Equipe', members: [ana.id, bia.id] });
+      const empty = await createRoom(sql, { name: 'Vazio', members: [ana.id] });
+
+      await createMessage(sql, privateRoom.id, bia.id, 'oi');
+      await createMessage(sql, privateRoom.id, ana.id, 'tudo bem?');
+      const lastGroupMessage = await createMessage(sql, group.id, bia.id, 'reunião');
+
+      const repository = new ConversationRepository(sql);
+      const conversations = await repository.findByUser(ana.id);
+
+      assert.deepEqual(conversations.map(conversation => conversation.id), [group.id, privateRoom.id, empty.id]);
+      assert.equal(conversations[0].lastMessage.id, lastGroupMessage);
+      assert.equal(conversations[0].lastMessage.username, bia.username);
+      assert.equal(conversations[0].unread_count, 1);
+      assert.equal(conversations[1].unread_count, 1);
+      assert.equal(conversations[1].participant.id, bia.id);
+      assert.equal(conversations[1].participant.username, bia.username);
+      assert.equal(conversations[1].lastMessage.content, 'tudo bem?');
+      assert.equal(conversations[1].lastMessage.user_id, ana.id);
+      assert.equal(conversations[0].participant, null);
+      assert.equal(conversations[2].lastMessage, null);
+      assert.equal(conversations[2].unread_count, 0);
+
+      assert.equal(await repository.markRead(group.id, ana.id, lastGroupMessage), lastGroupMessage);
+      assert.equal(await repository.markRead(group.id, ana.id, lastGroupMessage), null);
+      await assert.rejects(repository.markRead(group.id, ana.id, lastGroupMessage + 1000), { status: 404 });
+      assert.equal((await repository.findByUser(ana.id))[0].unread_count, 0);
+   });
+
+   it('registra a entrega para cada destinatário', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id, bia.id] });
+      const messageId = await createMessage(sql, room.id, ana.id);
+      const repository = new DeliveryRepository(sql);
+
+      await repository.createForRecipients(messageId);
+      await repository.createForRecipients(messageId);
+      assert.deepEqual((await repository.findByMessage(messageId)).map(row => [row.userId, row.status]), [[bia.id, 'sent']]);
+
+      const delivered = await repository.markDelivered(bia.id, [messageId]);
+      assert.deepEqual(delivered.map(message => [message.id, message.sender_id]), [[messageId, ana.id]]);
+      assert.deepEqual(await repository.markDelivered(bia.id, [messageId]), []);
+      assert.equal((await repository.findByMessage(messageId))[0].status, 'delivered');
+   });
+});
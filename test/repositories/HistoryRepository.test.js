@@ -0,0 +1,60 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom, createMessage } = require('../support/databases');
+const HistoryRepository = require('../../repositories/HistoryRepository');
+
+describeEachBackend('HistoryRepository', (context) => {
+   it('pagina o histórico com before e after em ordem cronológica', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const room = await createRoom(sql, { members: [user.id] });
+      const ids = [];
+      for (let index = 0; index < 5; index++) {
+         ids.push(await createMessage(sql, room.id, user.id, `m${index}`));
+      }
+      const repository = new HistoryRepository(sql);
+
+      const latest = await repository.findPage(room.id, { limit: 2 });
+      assert.deepEqual(latest.messages.map(message => message.id), ids.slice(3));
+      assert.equal(latest.hasMore, true);
+
+      const older = await repository.findPage(room.id, { before: ids[3], limit: 2 });
+      assert.deepEqual(older.messages.map(message => message.id), ids.slice(1, 3));
+
+      const newer = await repository.findPage(room.id, { after: ids[0], limit: 10 });
+      assert.deepEqual(newer.messages.map(message => message.id), ids.slice(1));
+      assert.equal(newer.hasMore, false);
+   });
+
+   it('edita e exclui mantendo o marcador', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const room = await createRoom(sql, { members: [user.id] });
+      const id = await createMessage(sql, room.id, user.id, 'original');
+      const repository = new HistoryRepository(sql);
+
+      const edited = await repository.updateContent(id, 'editada');
+      assert.equal(edited.content, 'editada');
+      assert.ok(edited.edited_at);
+
+      const deleted = await repository.softDelete(id);
+      assert.equal(deleted.content, null);
+      assert.ok(deleted.deleted_at);
+      assert.equal(deleted.room_type, 'group');
+   });
+
+   it('conta as respostas das threads', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const room = await createRoom(sql, { members: [user.id] });
+      const rootId = await createMessage(sql, room.id, user.id, 'raiz');
+      const repository = new HistoryRepository(sql);
+      for (const content of ['r1', 'r2']) {
+         await repository.setReply(await createMessage(sql, room.id, user.id, content), rootId, rootId);
+      }
+
+      const page = await repository.findPage(room.id);
+      assert.equal(page.messages.find(message => message.id === rootId).reply_count, 2);
+      assert.deepEqual(await repository.findThreadSummary(rootId), { replyCount: 2, lastReplyId: rootId + 2 });
+   });
+});
@@ -0,0 +1,55 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom } = require('../support/databases');
+const MessageRepository = require('../../repositories/MessageRepository');
+const HistoryRepository = require('../../repositories/HistoryRepository');
+const { parseFileData } = require('../../utils/messageFormatter');
+
+describeEachBackend('MessageRepository', (context) => {
+   it('grava texto e anexo', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const room = await createRoom(sql, { members: [user.id] });
+      const repository = new MessageRepository(sql);
+
+      const text = await repository.create({ room_id: room.id, user_id: user.id, content: 'Oi' });
+      assert.equal(text.content, 'Oi');
+      assert.equal(text.message_type, 'text');
+
+      const file = await repository.create({
+         room_id: room.id,
+         user_id: user.id,
+         content: '',
+         message_type: 'file',
+         file_data: { id: 7, filename: 'a.pdf' }
+      });
+      assert.deepEqual(parseFileData(file.file_data), { id: 7, filename: 'a.pdf' });
+
+      const page = await new HistoryRepository(sql).findPage(room.id);
+      assert.deepEqual(page.messages.map(message => message.id), [text.id, file.id]);
+   });
+
+   it('recusa no próprio INSERT o clientMessageId já usado pelo remetente', async () => {
+      const { sql } = context;
+      const user = await createUser(sql);
+      const other = await createUser(sql);
+      const room = await createRoom(sql, { members: [user.id, other.id] });
+      const repository = new MessageRepository(sql);
+      const history = new HistoryRepository(sql);
+
+      const [first, second] = await Promise.all([
+         repository.create({ room_id: room.id, user_id: user.id, content: 'Oi', client_message_id: 'c-1' }),
+         repository.create({ room_id: room.id, user_id: user.id, content: 'Oi', client_message_id: 'c-1' })
+      ]);
+      assert.ok(first);
+      assert.equal(second, null);
+      assert.equal((await history.findByClientMessageId(user.id, 'c-1')).id, first.id);
+
+      // O mesmo id de outro remetente é outra mensagem
+      const fromOther = await repository.create({ room_id: room.id, user_id: other.id, content: 'Oi', client_message_id: 'c-1' });
+      assert.notEqual(fromOther.id, first.id);
+
+      const page = await history.findPage(room.id);
+      assert.equal(page.messages.length, 2);
+   });
+});
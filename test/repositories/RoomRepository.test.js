@@ -0,0 +1,87 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser } = require('../support/databases');
+const RoomRepository = require('../../repositories/RoomRepository');
+
+describeEachBackend('RoomRepository', (context) => {
+   const repository = () => new RoomRepository(context.sql);
+
+   it('cria a sala privada uma vez e a reaproveita nos dois sentidos', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+
+      const room = await repository().createOrFindPrivateRoom(ana.id, bia.id);
+      assert.equal(room.type, 'private');
+      assert.equal((await repository().createOrFindPrivateRoom(bia.id, ana.id)).id, room.id);
+
+      const members = await repository().getRoomMembers(room.id);
+      assert.deepEqual(members.map(member => member.id).sort(), [ana.id, bia.id].sort());
+   });
+
+   it('controla os membros de um grupo', async () => {
+      const owner = await createUser(context.sql);
+      const guest = await createUser(context.sql);
+      const group = await repository().create({ name: 'Equipe', type: 'group', created_by: owner.id });
+
+      await repository().addMember(group.id, owner.id);
+      await repository().addMember(group.id, owner.id);
+
+      assert.equal(group.name, 'Equipe');
+      assert.ok(await repository().isMember(group.id, owner.id));
+      assert.ok(!await repository().isMember(group.id, guest.id));
+      assert.equal((await repository().getRoomMembers(group.id)).length, 1);
+   });
+
+   it('lista só as salas do usuário', async () => {
+      const user = await createUser(context.sql);
+      const other = await createUser(context.sql);
+      const mine = await repository().create({ name: 'Minha', type: 'group', created_by: user.id });
+      const theirs = await repository().create({ name: 'Outra', type: 'group', created_by: other.id });
+      await repository().addMember(mine.id, user.id);
+      await repository().addMember(theirs.id, other.id);
+
+      const rooms = await repository().findUserRooms(user.id);
+      assert.deepEqual(rooms.map(room => room.id), [mine.id]);
+   });
+
+   it('cria o grupo com o criador como owner e os papéis na lista de membros', async () => {
+      const owner = await createUser(context.sql);
+      const guest = await createUser(context.sql);
+
+      const group = await repository().createGroup({ name: 'Time', created_by: owner.id, memberIds: [guest.id] });
+      assert.equal((await repository().findGroup(group.id)).name, 'Time');
+
+      const members = await repository().getGroupMembers(group.id);
+      assert.deepEqual(members.map(member => [member.id, member.role]), [[owner.id, 'owner'], [guest.id, 'member']]);
+      assert.equal(await repository().getRole(group.id, guest.id), 'member');
+      assert.equal(await repository().getRole(group.id, (await createUser(context.sql)).id), null);
+   });
+
+   it('usa rooms.created_by como owner em grupos antigos sem owner', async () => {
+      const creator = await createUser(context.sql);
+      const admin = await createUser(context.sql);
+      const group = await repository().create({ name: 'Antigo', type: 'group', created_by: creator.id });
+      await repository().addMember(group.id, creator.id);
+      await repository().addMember(group.id, admin.id);
+      await repository().setRole(group.id, admin.id, 'admin');
+
+      assert.equal(await repository().getRole(group.id, creator.id), 'owner');
+      assert.deepEqual((await repository().getGroupMembers(group.id)).map(member => member.role), ['owner', 'admin']);
+
+      // Com um owner definido, o criador volta a ser um membro comum
+      await repository().setRole(group.id, admin.id, 'owner');
+      assert.equal(await repository().getRole(group.id, creator.id), 'member');
+   });
+
+   it('confere as permissões de cada papel', async () => {
+      const owner = await createUser(context.sql);
+      const admin = await createUser(context.sql);
+      const group = await repository().createGroup({ name: 'Permissões', created_by: owner.id, memberIds: [admin.id] });
+      await repository().setRole(group.id, admin.id, 'admin');
+
+      assert.equal((await repository().assertPermission(group.id, admin.id, 'rename')).role, 'admin');
+      await assert.rejects(repository().assertPermission(group.id, admin.id, 'delete'), { status: 403 });
+      await assert.rejects(repository().assertPermission(group.id, (await createUser(context.sql)).id), { status: 403 });
+      await assert.rejects(repository().assertPermission(group.id + 1000, owner.id), { status: 404 });
+   });
+});
@@ -0,0 +1,103 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom, createMessage } = require('../support/databases');
+const SearchRepository = require('../../repositories/SearchRepository');
+const HistoryRepository = require('../../repositories/HistoryRepository');
+const { toDbDate } = require('../../utils/messageFormatter');
+
+describeEachBackend('SearchRepository', (context) => {
+   const ids = (rows) => rows.map(row => row.id);
+
+   it('exige todos os termos, como prefixo de palavra, só nas salas do usuário', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id] });
+      const other = await createRoom(sql, { members: [bia.id] });
+      const both = await createMessage(sql, room.id, ana.id, 'Reunião do orçamento amanhã cedo');
+      await createMessage(sql, room.id, ana.id, 'orçamento aprovado');
+      await createMessage(sql, other.id, bia.id, 'orçamento da reunião da outra sala');
+      const repository = new SearchRepository(sql);
+
+      assert.deepEqual(ids(await repository.search(ana.id, ['orçam', 'amanhã'], {}, { limit: 10 })), [both]);
+      assert.equal((await repository.search(ana.id, ['orçamento'], {}, { limit: 10 })).length, 2);
+      assert.deepEqual(ids(await repository.search(ana.id, ['inexistente'], {}, { limit: 10 })), []);
+   });
+
+   it('não encontra mensagens excluídas e acompanha as edições', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id] });
+      const edited = await createMessage(sql, room.id, ana.id, 'planilha antiga');
+      const deleted = await createMessage(sql, room.id, ana.id, 'planilha apagada');
+      const history = new HistoryRepository(sql);
+      const repository = new SearchRepository(sql);
+
+      await history.updateContent(edited, 'relatório novo');
+      await history.softDelete(deleted);
+
+      assert.deepEqual(ids(await repository.search(ana.id, ['planilha'], {}, { limit: 10 })), []);
+      assert.deepEqual(ids(await repository.search(ana.id, ['relatório'], {}, { limit: 10 })), [edited]);
+   });
+
+   it('aplica os filtros de sala, remetente, período e anexo', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id, bia.id] });
+      const other = await createRoom(sql, { members: [ana.id] });
+      const fromAna = await createMessage(sql, room.id, ana.id, 'contrato assinado');
+      const fromBia = await createMessage(sql, room.id, bia.id, 'contrato revisado');
+      const withFile = await createMessage(sql, other.id, ana.id, 'contrato anexo');
+      await sql.run('UPDATE messages SET file_data = ? WHERE id = ?', [JSON.stringify({ id: 1 }), withFile]);
+      await sql.run('UPDATE messages SET created_at = ? WHERE id = ?', ['2020-01-01 12:00:00', fromAna]);
+      const repository = new SearchRepository(sql);
+      const search = (filters) => repository.search(ana.id, ['contrato'], filters, { sort: 'recent', limit: 10 });
+
+      assert.deepEqual(ids(await search({ roomId: room.id })), [fromBia, fromAna]);
+      assert.deepEqual(ids(await search({ sender: bia.username })), [fromBia]);
+      assert.deepEqual(ids(await search({ until: '2020-12-31 00:00:00' })), [fromAna]);
+      assert.deepEqual(ids(await search({ since: toDbDate(new Date(Date.now() - 60 * 60 * 1000)) })), [withFile, fromBia]);
+      assert.deepEqual(ids(await search({ hasAttachment: true })), [withFile]);
+      assert.deepEqual(ids(await search({ hasAttachment: false })), [fromBia, fromAna]);
+   });
+
+   it('ordena por relevância ou por data e pagina devolvendo uma linha a mais', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id] });
+      const messages = [];
+      for (const content of ['viagem marcada', 'viagem viagem viagem para a praia', 'sobre a viagem']) {
+         messages.push(await createMessage(sql, room.id, ana.id, content));
+      }
+      const repository = new SearchRepository(sql);
+
+      const byRelevance = await repository.search(ana.id, ['viagem'], {}, { limit: 3 });
+      assert.equal(byRelevance[0].id, messages[1]);
+      assert.ok(byRelevance.every(row => Number(row.score) > 0));
+
+      const firstPage = await repository.search(ana.id, ['viagem'], {}, { sort: 'recent', limit: 2 });
+      assert.deepEqual(ids(firstPage), [messages[2], messages[1], messages[0]]);
+
+      const nextPage = await repository.search(ana.id, ['viagem'], {}, { sort: 'recent', beforeId: messages[1], limit: 2 });
+      assert.deepEqual(ids(nextPage), [messages[0]]);
+
+      const offsetPage = await repository.search(ana.id, ['viagem'], {}, { offset: 2, limit: 2 });
+      assert.equal(offsetPage.length, 1);
+   });
+
+   it('encontra o outro participante de cada conversa privada', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const caio = await createUser(sql);
+      const withBia = await createRoom(sql, { type: 'private', members: [ana.id, bia.id] });
+      const withCaio = await createRoom(sql, { type: 'private', members: [ana.id, caio.id] });
+      const repository = new SearchRepository(sql);
+
+      const partners = await repository.findPrivatePartners([withBia.id, withCaio.id], ana.id);
+      assert.equal(partners.get(withBia.id), bia.username);
+      assert.equal(partners.get(withCaio.id), caio.username);
+      assert.equal((await repository.findPrivatePartners([], ana.id)).size, 0);
+   });
+});
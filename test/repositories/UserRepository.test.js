@@ -0,0 +1,48 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, uniqueName } = require('../support/databases');
+const UserRepository = require('../../repositories/UserRepository');
+
+describeEachBackend('UserRepository', (context) => {
+   const repository = () => new UserRepository(context.sql);
+
+   it('cria e encontra o usuário por id, username e e-mail', async () => {
+      const username = uniqueName('ana');
+      const created = await repository().create({ username, email: `${username}@Example.com`, password_hash: 'hash' });
+
+      assert.equal(created.username, username);
+      assert.equal(created.password_hash, 'hash');
+      assert.equal((await repository().findById(created.id)).username, username);
+      assert.equal((await repository().findByUsername(username)).id, created.id);
+      assert.equal((await repository().findByEmail(`${username}@example.com`)).id, created.id);
+      assert.equal(await repository().findByUsername(uniqueName('ninguem')), undefined);
+   });
+
+   it('recusa username repetido', async () => {
+      const username = uniqueName('bia');
+      await repository().create({ username, password_hash: 'hash' });
+      await assert.rejects(repository().create({ username, password_hash: 'hash' }));
+   });
+
+   it('lista os outros usuários sem senha nem e-mail', async () => {
+      const me = await repository().create({ username: uniqueName('eu'), email: `${uniqueName('eu')}@example.com`, password_hash: 'hash' });
+      const other = await repository().create({ username: uniqueName('outro'), password_hash: 'hash' });
+
+      const users = await repository().findAll(me.id);
+      assert.ok(users.some(user => user.id === other.id));
+      assert.ok(!users.some(user => user.id === me.id));
+      assert.ok(users.every(user => !('password_hash' in user) && !('email' in user)));
+   });
+
+   it('atualiza a presença', async () => {
+      const user = await repository().create({ username: uniqueName('caio'), password_hash: 'hash' });
+
+      await repository().updateOnlineStatus(user.id, true);
+      assert.ok((await repository().findById(user.id)).is_online);
+
+      await repository().updateOnlineStatus(user.id, false);
+      const offline = await repository().findById(user.id);
+      assert.ok(!offline.is_online);
+      assert.ok(offline.last_seen);
+   });
+});
@@ -0,0 +1,117 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom, createMessage } = require('../support/databases');
+const AttachmentRepository = require('../../repositories/AttachmentRepository');
+const RoomRepository = require('../../repositories/RoomRepository');
+const AttachmentService = require('../../services/AttachmentService');
+const MemoryStorage = require('../../storage/MemoryStorage');
+
+describeEachBackend('AttachmentService', (context) => {
+   const service = (storage = new MemoryStorage()) => new AttachmentService(
+      new AttachmentRepository(context.sql),
+      new RoomRepository(context.sql),
+      { storage, secret: 'segredo-de-teste', urlTtl: 60 }
+   );
+
+   // Anexo enviado por uploader e, com room, já publicado em uma mensagem da sala
+   async function upload(uploader, room = null) {
+      const repository = new AttachmentRepository(context.sql);
+      const attachment = await repository.create({
+         filename: `file-${Date.now()}-${Math.random().toString(36).slice(2)}.pdf`,
+         original_name: 'contrato.pdf',
+         mimetype: 'application/pdf',
+         size: 4,
+         uploader_id: uploader.id
+      });
+      if (room) {
+         await repository.attachToMessage(attachment.id, room.id, await createMessage(context.sql, room.id, uploader.id, ''));
+      }
+      return attachment;
+   }
+
+   it('antes de publicado, só quem enviou acessa o anexo', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const attachment = await upload(ana);
+
+      assert.equal((await service().getForDownload(attachment.id, ana.id)).id, attachment.id);
+      await assert.rejects(service().getForDownload(attachment.id, bia.id), { status: 403 });
+      await assert.rejects(service().getForDownload(999999, ana.id), { status: 404 });
+   });
+
+   it('depois de publicado, os membros da sala também acessam; quem está fora, não', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const caio = await createUser(context.sql);
+      const room = await createRoom(context.sql, { members: [ana.id, bia.id] });
+      const attachment = await upload(ana, room);
+
+      assert.ok(await service().getForDownload(attachment.id, bia.id));
+      await assert.rejects(service().getForDownload(attachment.id, caio.id), { status: 403 });
+
+      // Quem sai da sala perde o acesso
+      await new RoomRepository(context.sql).removeMember(room.id, bia.id);
+      await assert.rejects(service().getForDownload(attachment.id, bia.id), { status: 403 });
+      assert.ok(await service().getForDownload(attachment.id, ana.id));
+   });
+
+   it('URL assinada só vale para quem tem acesso, até expirar e sem alterações', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const attachments = service();
+      const attachment = await upload(ana);
+
+      await assert.rejects(attachments.createSignedUrl(attachment.id, bia.id), { status: 403 });
+
+      const { url } = await attachments.createSignedUrl(attachment.id, ana.id);
+      const params = new URL(url, 'http://localhost').searchParams;
+      const expires = params.get('expires');
+      const signature = params.get('signature');
+
+      assert.equal((await attachments.getForSignedDownload(attachment.id, null, expires, signature)).id, attachment.id);
+      await assert.rejects(attachments.getForSignedDownload(attachment.id, 'thumbnail', expires, signature), { status: 403 });
+      await assert.rejects(attachments.getForSignedDownload(attachment.id, null, Number(expires) + 60, signature), { status: 403 });
+      await assert.rejects(attachments.getForSignedDownload(attachment.id + 1, null, expires, signature), { status: 403 });
+
+      const past = Math.floor(Date.now() / 1000) - 1;
+      await assert.rejects(attachments.getForSignedDownload(attachment.id, null, past, attachments.sign(attachment.id, null, past)), { status: 403 });
+   });
+
+   it('mensagens só publicam anexos do próprio remetente, uma única sala', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const room = await createRoom(context.sql, { members: [ana.id, bia.id] });
+      const other = await createRoom(context.sql, { members: [ana.id] });
+      const attachments = service();
+      const attachment = await upload(ana);
+
+      await assert.rejects(attachments.resolveForMessage({ id: attachment.id }, bia.id, room.id), { status: 400 });
+
+      // O que mais o cliente mandar em fileData é ignorado
+      const fileInfo = await attachments.resolveForMessage({ id: attachment.id, url: '/outro' }, ana.id, room.id);
+      assert.equal(fileInfo.url, `/api/attachments/${attachment.id}`);
+      assert.equal((await attachments.resolveForMessage({ filename: attachment.filename }, ana.id, room.id)).id, attachment.id);
+
+      await attachments.attachToMessage(fileInfo, room.id, await createMessage(context.sql, room.id, ana.id, ''));
+      assert.ok(await attachments.resolveForMessage({ id: attachment.id }, ana.id, room.id));
+      await assert.rejects(attachments.resolveForMessage({ id: attachment.id }, ana.id, other.id), { status: 400 });
+   });
+
+   it('só quem enviou exclui o arquivo, do banco e do storage', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const storage = new MemoryStorage();
+      const attachments = service(storage);
+      const attachment = await upload(ana);
+      await storage.putBuffer(attachment.filename, Buffer.from('%PDF'), { contentType: 'application/pdf' });
+
+      await assert.rejects(attachments.deleteByFilename(attachment.filename, bia.id), { status: 403 });
+      assert.equal((await attachments.openFile(attachment)).size, 4);
+
+      // Caminhos vindos do cliente não saem da pasta de uploads
+      await attachments.deleteByFilename(`../../${attachment.filename}`, ana.id);
+      assert.ok(!await storage.exists(attachment.filename));
+      await assert.rejects(attachments.findById(attachment.id), { status: 404 });
+      await assert.rejects(attachments.openFile(attachment), { status: 404 });
+   });
+});
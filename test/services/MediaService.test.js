@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const MediaService = require('../../services/MediaService');
+
+describe('MediaService', () => {
+   let uploadDir;
+   let media;
+
+   before(async () => {
+      uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-service-'));
+      media = new MediaService({ uploadDir });
+   });
+
+   after(async () => {
+      await fs.remove(uploadDir);
+   });
+
+   // Arquivo como o multer entrega: gravado na pasta de uploads com o tipo declarado pelo cliente
+   const receive = async (filename, content, mimetype) => {
+      const filePath = path.join(uploadDir, filename);
+      await fs.writeFile(filePath, content);
+      return { path: filePath, filename, originalname: filename, mimetype, size: content.length };
+   };
+
+   it('remove o EXIF das fotos e gera as variantes e o blurhash', async () => {
+      const photo = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#3366cc' } })
+         .jpeg()
+         .withMetadata({ exif: { IFD0: { Copyright: 'Ana', Artist: 'GPS de casa' } } })
+         .toBuffer();
+      assert.ok((await sharp(photo).metadata()).exif);
+
+      const file = await receive('foto.jpg', photo, 'image/jpeg');
+      const processed = await media.process(file);
+
+      assert.equal(processed.mimetype, 'image/jpeg');
+      assert.equal((await sharp(file.path).metadata()).exif, undefined);
+      assert.equal(processed.media.width, 1600);
+      assert.equal(processed.media.height, 900);
+      assert.equal(typeof processed.media.blurhash, 'string');
+      assert.deepEqual(
+         [processed.media.variants.thumbnail.width, processed.media.variants.preview.width],
+         [MediaService.VARIANTS.thumbnail, MediaService.VARIANTS.preview]
+      );
+      for (const variant of Object.values(processed.media.variants)) {
+         assert.ok(await fs.pathExists(path.join(uploadDir, variant.filename)));
+      }
+
+      await media.discard(file, processed.media);
+      assert.deepEqual(await fs.readdir(uploadDir), []);
+   });
+
+   it('recusa arquivos cujo conteúdo não bate com um tipo aceito', async () => {
+      const spoofed = await receive('foto.png', Buffer.from('<html><script>alert(1)</script></html>'), 'image/png');
+      await assert.rejects(media.process(spoofed), { status: 400 });
+
+      // Assinatura de imagem com o resto corrompido
+      const broken = await receive('quebrada.png', Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3]), 'image/png');
+      await assert.rejects(media.process(broken), { status: 400, message: 'Imagem inválida ou corrompida' });
+   });
+
+   it('documentos passam sem variantes', async () => {
+      const pdf = await receive('contrato.pdf', Buffer.from('%PDF-1.7\n%%EOF\n'), 'application/pdf');
+      assert.deepEqual(await media.process(pdf), { mimetype: 'application/pdf', size: pdf.size, media: null });
+   });
+
+   it('o avatar é recortado em um quadrado e o arquivo enviado é removido', async () => {
+      const image = await sharp({ create: { width: 600, height: 300, channels: 3, background: '#ffffff' } }).png().toBuffer();
+      const file = await receive('avatar.png', image, 'image/png');
+
+      const avatar = await media.createAvatar(file);
+      const metadata = await sharp(avatar).metadata();
+      assert.equal(metadata.format, 'webp');
+      assert.equal(metadata.width, MediaService.AVATAR_SIZE);
+      assert.equal(metadata.height, MediaService.AVATAR_SIZE);
+      assert.ok(!await fs.pathExists(file.path));
+
+      const pdf = await receive('avatar.pdf', Buffer.from('%PDF-1.7\n'), 'image/png');
+      await assert.rejects(media.createAvatar(pdf), { status: 400 });
+      assert.ok(!await fs.pathExists(pdf.path));
+   });
+});
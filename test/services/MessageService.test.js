@@ -0,0 +1,78 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom, createMessage } = require('../support/databases');
+const HistoryRepository = require('../../repositories/HistoryRepository');
+const MessageRepository = require('../../repositories/MessageRepository');
+const RoomRepository = require('../../repositories/RoomRepository');
+const MessageService = require('../../services/MessageService');
+
+describeEachBackend('MessageService', (context) => {
+   const service = () => new MessageService(new HistoryRepository(context.sql), new RoomRepository(context.sql));
+
+   it('o autor edita e exclui a própria mensagem', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id, bia.id] });
+      const messageId = await createMessage(sql, room.id, ana.id, 'oi');
+
+      await assert.rejects(service().editMessage(messageId, bia.id, 'invasão'), { status: 403 });
+
+      const edited = await service().editMessage(messageId, ana.id, 'olá');
+      assert.equal(edited.content, 'olá');
+      assert.ok(edited.edited_at);
+
+      const deleted = await service().deleteMessage(messageId, ana.id);
+      assert.ok(deleted.deleted_at);
+      await assert.rejects(service().deleteMessage(messageId, ana.id), { status: 410 });
+   });
+
+   it('recusa alterar mensagens de sistema, mesmo para quem executou a ação', async () => {
+      const { sql } = context;
+      const admin = await createUser(sql);
+      const room = await createRoom(sql, { members: [admin.id] });
+      const systemId = await sql.insert(
+         "INSERT INTO messages (room_id, user_id, content, message_type) VALUES (?, ?, ?, 'system')",
+         [room.id, admin.id, 'admin adicionou bia']
+      );
+
+      await assert.rejects(service().editMessage(systemId, admin.id, 'outra coisa'), { status: 403 });
+      await assert.rejects(service().deleteMessage(systemId, admin.id), { status: 403 });
+
+      // A própria camada de dados também não altera a linha
+      const history = new HistoryRepository(sql);
+      await history.updateContent(systemId, 'outra coisa');
+      await history.softDelete(systemId);
+      const row = await history.findById(systemId);
+      assert.equal(row.content, 'admin adicionou bia');
+      assert.equal(row.deleted_at, null);
+   });
+
+   it('quem saiu do grupo não altera mais as mensagens antigas', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id, bia.id] });
+      const messageId = await createMessage(sql, room.id, bia.id, 'tchau');
+
+      await new RoomRepository(sql).removeMember(room.id, bia.id);
+
+      await assert.rejects(service().editMessage(messageId, bia.id, 'editada'), { status: 403 });
+      await assert.rejects(service().deleteMessage(messageId, bia.id), { status: 403 });
+   });
+
+   it('findDuplicate devolve a mensagem do reenvio e recusa o id em outra sala', async () => {
+      const { sql } = context;
+      const ana = await createUser(sql);
+      const bia = await createUser(sql);
+      const room = await createRoom(sql, { members: [ana.id, bia.id] });
+      const other = await createRoom(sql, { members: [ana.id] });
+      const original = await new MessageRepository(sql).create({ room_id: room.id, user_id: ana.id, content: 'oi', client_message_id: 'envio-1' });
+
+      assert.equal(await service().findDuplicate(ana.id, null, room.id), null);
+      assert.equal(await service().findDuplicate(ana.id, 'envio-2', room.id), null);
+      assert.equal(await service().findDuplicate(bia.id, 'envio-1', room.id), null);
+      assert.equal((await service().findDuplicate(ana.id, 'envio-1', room.id)).id, original.id);
+      await assert.rejects(service().findDuplicate(ana.id, 'envio-1', other.id), { status: 409 });
+   });
+});
@@ -0,0 +1,85 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser } = require('../support/databases');
+const SessionRepository = require('../../repositories/SessionRepository');
+const UserRepository = require('../../repositories/UserRepository');
+const SessionService = require('../../services/SessionService');
+
+describeEachBackend('SessionService', (context) => {
+   const revoked = [];
+   const service = () => new SessionService(new SessionRepository(context.sql), new UserRepository(context.sql), {
+      secret: 'segredo-de-teste',
+      onRevoke: (sessionId) => revoked.push(sessionId)
+   });
+
+   it('troca o refresh token a cada uso e mantém a mesma sessão', async () => {
+      const sessions = service();
+      const ana = await createUser(context.sql);
+      const first = await sessions.createSession(ana, { deviceName: 'Celular', ip: '10.0.0.1' });
+
+      const second = await sessions.refresh(first.refreshToken, { ip: '10.0.0.2' });
+      assert.equal(second.sessionId, first.sessionId);
+      assert.notEqual(second.refreshToken, first.refreshToken);
+      assert.ok(second.expiresIn > 0);
+
+      const user = await sessions.validateToken(second.accessToken);
+      assert.equal(user.id, ana.id);
+      assert.equal(user.sessionId, first.sessionId);
+      assert.equal(user.password_hash, undefined);
+
+      const third = await sessions.refresh(second.refreshToken);
+      assert.equal(third.sessionId, first.sessionId);
+
+      await assert.rejects(sessions.refresh(`${first.sessionId}.outro-segredo`), { status: 401 });
+      await assert.rejects(sessions.refresh('sem-ponto'), { status: 401 });
+   });
+
+   it('reuso de um refresh token já trocado revoga a sessão inteira', async () => {
+      const sessions = service();
+      const ana = await createUser(context.sql);
+      const first = await sessions.createSession(ana);
+      const second = await sessions.refresh(first.refreshToken);
+
+      // Quem copiou o token antigo tenta usá-lo depois da troca
+      await assert.rejects(sessions.refresh(first.refreshToken), { status: 401 });
+      assert.ok(revoked.includes(first.sessionId));
+
+      // O token atual do dono legítimo também deixa de valer, assim como o access token
+      await assert.rejects(sessions.refresh(second.refreshToken), { status: 401 });
+      await assert.rejects(sessions.validateToken(second.accessToken), { status: 401 });
+   });
+
+   it('lista as sessões ativas e encerra só as do próprio usuário', async () => {
+      const sessions = service();
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const phone = await sessions.createSession(ana, { deviceName: 'Celular' });
+      const laptop = await sessions.createSession(ana, { deviceName: 'Notebook' });
+      const other = await sessions.createSession(bia);
+
+      const listed = await sessions.listSessions(ana.id, laptop.sessionId);
+      assert.deepEqual(listed.map(session => session.id).sort(), [phone.sessionId, laptop.sessionId].sort());
+      assert.equal(listed.find(session => session.current).deviceName, 'Notebook');
+
+      await assert.rejects(sessions.revokeForUser(ana.id, other.sessionId), { status: 404 });
+
+      await sessions.revokeForUser(ana.id, phone.sessionId);
+      assert.ok(revoked.includes(phone.sessionId));
+      await assert.rejects(sessions.revokeForUser(ana.id, phone.sessionId), { status: 404 });
+      await assert.rejects(sessions.refresh(phone.refreshToken), { status: 401 });
+      assert.deepEqual((await sessions.listSessions(ana.id)).map(session => session.id), [laptop.sessionId]);
+   });
+
+   it('encerra todas as sessões menos a atual', async () => {
+      const sessions = service();
+      const ana = await createUser(context.sql);
+      const current = await sessions.createSession(ana);
+      const others = [await sessions.createSession(ana), await sessions.createSession(ana)];
+
+      await sessions.revokeAll(ana.id, current.sessionId);
+
+      assert.ok(others.every(session => revoked.includes(session.sessionId)));
+      assert.deepEqual((await sessions.listSessions(ana.id)).map(session => session.id), [current.sessionId]);
+      assert.equal((await sessions.validateToken(current.accessToken)).sessionId, current.sessionId);
+   });
+});
@@ -0,0 +1,100 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { describeEachBackend, createUser } = require('../support/databases');
+const TwoFactorRepository = require('../../repositories/TwoFactorRepository');
+const AccountRepository = require('../../repositories/AccountRepository');
+const TwoFactorService = require('../../services/TwoFactorService');
+const { generateCode, currentStep } = require('../../utils/totp');
+
+describeEachBackend('TwoFactorService', (context) => {
+   const service = () => new TwoFactorService(new TwoFactorRepository(context.sql), new AccountRepository(context.sql), {
+      secret: 'segredo-de-teste'
+   });
+
+   // Usuário com 2FA ativo; o primeiro código (passo atual) já foi gasto na ativação
+   async function enabledUser(twoFactor) {
+      const user = await createUser(context.sql);
+      const { secret } = await twoFactor.setup(user);
+      const { recoveryCodes } = await twoFactor.enable(user.id, generateCode(secret, currentStep()));
+      return { user, secret, recoveryCodes };
+   }
+
+   it('ativa com o primeiro código do app e devolve os códigos de recuperação', async () => {
+      const twoFactor = service();
+      const user = await createUser(context.sql);
+
+      await assert.rejects(twoFactor.enable(user.id, '123456'), { status: 400 });
+
+      const { secret, otpauthUri } = await twoFactor.setup(user);
+      assert.ok(otpauthUri.startsWith('otpauth://totp/'));
+      assert.ok(otpauthUri.includes(`secret=${secret}`));
+      await assert.rejects(twoFactor.enable(user.id, 'abcdef'), { status: 400 });
+
+      const { recoveryCodes } = await twoFactor.enable(user.id, generateCode(secret, currentStep()));
+      assert.equal(recoveryCodes.length, TwoFactorService.RECOVERY_CODE_COUNT);
+      assert.ok(recoveryCodes.every(code => /^[0-9a-f]{4}-[0-9a-f]{4}$/.test(code)));
+      assert.deepEqual(await twoFactor.getStatus(user.id), { enabled: true, recoveryCodesRemaining: TwoFactorService.RECOVERY_CODE_COUNT });
+      await assert.rejects(twoFactor.setup(user), { status: 409 });
+   });
+
+   it('login em duas etapas: o challenge só vira usuário com um código novo', async () => {
+      const twoFactor = service();
+      const { user, secret } = await enabledUser(twoFactor);
+      const { challengeToken, expiresIn } = await twoFactor.createChallenge(user);
+      assert.ok(expiresIn > 0);
+      assert.equal(twoFactor.readChallenge(challengeToken), user.id);
+
+      // O código usado na ativação não vale de novo
+      await assert.rejects(twoFactor.verifyChallenge(challengeToken, { code: generateCode(secret, currentStep()) }), { code: 'INVALID_CODE' });
+
+      const next = generateCode(secret, currentStep() + 1);
+      assert.equal(await twoFactor.verifyChallenge(challengeToken, { code: next }), user.id);
+      await assert.rejects(twoFactor.verifyChallenge(challengeToken, { code: next }), { code: 'INVALID_CODE' });
+   });
+
+   it('recusa challenges inválidos ou de outro tipo', async () => {
+      const twoFactor = service();
+      await assert.rejects(twoFactor.verifyChallenge('token-qualquer', { code: '123456' }), { status: 401 });
+      assert.throws(() => twoFactor.readChallenge(undefined), { status: 401 });
+
+      const accessToken = jwt.sign({ userId: 1, type: 'access' }, 'segredo-de-teste');
+      assert.throws(() => twoFactor.readChallenge(accessToken), { status: 401 });
+   });
+
+   it('cada código de recuperação vale uma única vez', async () => {
+      const twoFactor = service();
+      const { user, recoveryCodes } = await enabledUser(twoFactor);
+      const { challengeToken } = await twoFactor.createChallenge(user);
+
+      // Formato livre: maiúsculas, espaços e sem hífen
+      const typed = ` ${recoveryCodes[0].replace('-', '').toUpperCase()} `;
+      assert.equal(await twoFactor.verifyChallenge(challengeToken, { recoveryCode: typed }), user.id);
+      await assert.rejects(twoFactor.verifyChallenge(challengeToken, { recoveryCode: recoveryCodes[0] }), { code: 'INVALID_CODE' });
+      assert.equal((await twoFactor.getStatus(user.id)).recoveryCodesRemaining, TwoFactorService.RECOVERY_CODE_COUNT - 1);
+
+      // Só o hash fica no banco
+      const stored = await context.sql.all('SELECT code_hash FROM two_factor_recovery_codes WHERE user_id = ?', [user.id]);
+      assert.ok(stored.every(row => !recoveryCodes.includes(row.code_hash)));
+   });
+
+   it('bloqueia o challenge depois de tentativas demais até um novo login', async () => {
+      const twoFactor = service();
+      const { user, secret } = await enabledUser(twoFactor);
+      const { challengeToken } = await twoFactor.createChallenge(user);
+
+      for (let attempt = 0; attempt < TwoFactorService.MAX_FAILED_ATTEMPTS; attempt++) {
+         await assert.rejects(twoFactor.verifyChallenge(challengeToken, { code: '000000' }), { code: 'INVALID_CODE' });
+      }
+
+      const next = generateCode(secret, currentStep() + 1);
+      await assert.rejects(twoFactor.verifyChallenge(challengeToken, { code: next }), { status: 429, code: 'TOO_MANY_ATTEMPTS' });
+
+      // Um challenge novo não zera as tentativas; só o reset explícito (bloqueio da conta) zera
+      const { challengeToken: another } = await twoFactor.createChallenge(user);
+      await assert.rejects(twoFactor.verifyChallenge(another, { code: next }), { code: 'TOO_MANY_ATTEMPTS' });
+
+      await twoFactor.resetFailedAttempts(user.id);
+      assert.equal(await twoFactor.verifyChallenge(another, { code: next }), user.id);
+   });
+});
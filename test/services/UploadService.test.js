@@ -0,0 +1,165 @@
+const { it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { describeEachBackend, createUser } = require('../support/databases');
+const UploadSessionRepository = require('../../repositories/UploadSessionRepository');
+const AttachmentRepository = require('../../repositories/AttachmentRepository');
+const RoomRepository = require('../../repositories/RoomRepository');
+const AttachmentService = require('../../services/AttachmentService');
+const MediaService = require('../../services/MediaService');
+const UploadService = require('../../services/UploadService');
+const MemoryStorage = require('../../storage/MemoryStorage');
+
+// Upload-Metadata do tus: pares "chave valor-em-base64"
+const metadata = (fields) => Object.entries(fields)
+   .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+   .join(',');
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n%%EOF\n');
+
+describeEachBackend('UploadService', (context) => {
+   let uploadDir;
+   let storage;
+   let uploads;
+
+   before(async () => {
+      uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-service-'));
+      storage = new MemoryStorage();
+      const attachmentService = new AttachmentService(new AttachmentRepository(context.sql), new RoomRepository(context.sql), { storage, secret: 'segredo-de-teste' });
+      uploads = new UploadService(new UploadSessionRepository(context.sql), attachmentService, new MediaService({ uploadDir }), {
+         uploadDir,
+         allowedTypes: ['application/pdf', 'text/plain'],
+         maxSize: 1024,
+         ttl: 60
+      });
+   });
+
+   after(async () => {
+      await fs.remove(uploadDir);
+   });
+
+   const createPdfUpload = (user, length = PDF.length) => uploads.create(user.id, {
+      length,
+      metadata: metadata({ filename: 'contrato.pdf', filetype: 'application/pdf' })
+   });
+
+   it('confere Upload-Length e Upload-Metadata ao criar a sessão', async () => {
+      const ana = await createUser(context.sql);
+      const valid = metadata({ filename: 'contrato.pdf', filetype: 'application/pdf' });
+
+      await assert.rejects(uploads.create(ana.id, { length: undefined, metadata: valid }), { status: 400 });
+      await assert.rejects(uploads.create(ana.id, { length: '0', metadata: valid }), { status: 400 });
+      await assert.rejects(uploads.create(ana.id, { length: '1.5', metadata: valid }), { status: 400 });
+      await assert.rejects(uploads.create(ana.id, { length: '1025', metadata: valid }), { status: 413 });
+      await assert.rejects(uploads.create(ana.id, { length: '10', metadata: metadata({ filetype: 'application/pdf' }) }), { status: 400 });
+      await assert.rejects(uploads.create(ana.id, { length: '10', metadata: metadata({ filename: 'a.exe', filetype: 'application/x-msdownload' }) }), { status: 400 });
+
+      const session = await uploads.create(ana.id, { length: '10', metadata: metadata({ filename: '../../etc/contrato.pdf', filetype: 'application/pdf' }) });
+      assert.equal(session.upload_length, 10);
+      assert.equal(session.upload_offset, 0);
+      assert.equal(session.original_name, 'contrato.pdf');
+      assert.ok(await fs.pathExists(uploads.getPartPath(session.id)));
+   });
+
+   it('recebe as partes em ordem, retoma pelo offset e finaliza na última', async () => {
+      const ana = await createUser(context.sql);
+      const session = await createPdfUpload(ana);
+      const [first, second] = [PDF.subarray(0, 10), PDF.subarray(10)];
+
+      const afterFirst = await uploads.appendChunk(session.id, ana.id, { offset: '0', chunk: first });
+      assert.equal(afterFirst.upload_offset, 10);
+      assert.deepEqual(uploads.toStatus(afterFirst).completed, false);
+
+      // Parte repetida (ex.: o cliente não recebeu a resposta) ou fora de ordem
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: first }), { status: 409 });
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 20, chunk: second }), { status: 409 });
+
+      // O HEAD do tus devolve o offset para retomar
+      assert.equal((await uploads.getSession(session.id, ana.id)).upload_offset, 10);
+
+      const finished = await uploads.appendChunk(session.id, ana.id, { offset: 10, chunk: second });
+      assert.ok(finished.attachment_id);
+      assert.ok(!await fs.pathExists(uploads.getPartPath(session.id)));
+
+      const file = await uploads.findFile(await uploads.getSession(session.id, ana.id));
+      assert.equal(file.id, finished.attachment_id);
+      assert.equal(file.mimetype, 'application/pdf');
+      assert.equal(file.size, PDF.length);
+      assert.deepEqual(storage.files.get(file.filename), PDF);
+
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: PDF.length, chunk: Buffer.alloc(0) }), { status: 409 });
+   });
+
+   it('recusa partes além do Upload-Length, vazias ou com checksum errado', async () => {
+      const ana = await createUser(context.sql);
+      const session = await createPdfUpload(ana);
+
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: Buffer.concat([PDF, Buffer.from('x')]) }), { status: 400 });
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: Buffer.alloc(0) }), { status: 400 });
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: undefined }), { status: 400 });
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: PDF, checksum: 'crc32 abc' }), { status: 400 });
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: PDF, checksum: 'sha1 AAAA' }), { status: 460 });
+      assert.equal((await uploads.getSession(session.id, ana.id)).upload_offset, 0);
+
+      const checksum = `sha256 ${crypto.createHash('sha256').update(PDF).digest('base64')}`;
+      assert.ok((await uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: PDF, checksum })).attachment_id);
+   });
+
+   it('duas partes simultâneas não gravam no mesmo offset', async () => {
+      const ana = await createUser(context.sql);
+      const session = await createPdfUpload(ana);
+
+      const results = await Promise.allSettled([
+         uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: PDF.subarray(0, 10) }),
+         uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: PDF.subarray(0, 10) })
+      ]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      assert.ok([409, 423].includes(results.find(result => result.status === 'rejected').reason.status));
+      assert.equal((await uploads.getSession(session.id, ana.id)).upload_offset, 10);
+   });
+
+   it('conteúdo que não bate com o tipo declarado descarta a sessão', async () => {
+      const ana = await createUser(context.sql);
+      const fake = Buffer.from('MZ\x90\x00 executável', 'latin1');
+      const session = await createPdfUpload(ana, fake.length);
+
+      await assert.rejects(uploads.appendChunk(session.id, ana.id, { offset: 0, chunk: fake }), { status: 400 });
+      await assert.rejects(uploads.getSession(session.id, ana.id), { status: 404 });
+      assert.deepEqual((await fs.readdir(uploadDir)).filter(name => name.startsWith('file-')), []);
+   });
+
+   it('só o dono vê, envia e cancela a sessão; sessões vencidas são limpas', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const session = await createPdfUpload(ana);
+
+      await assert.rejects(uploads.getSession(session.id, bia.id), { status: 404 });
+      await assert.rejects(uploads.appendChunk(session.id, bia.id, { offset: 0, chunk: PDF }), { status: 404 });
+      await assert.rejects(uploads.cancel(session.id, bia.id), { status: 404 });
+
+      await uploads.cancel(session.id, ana.id);
+      await assert.rejects(uploads.getSession(session.id, ana.id), { status: 404 });
+      assert.ok(!await fs.pathExists(uploads.getPartPath(session.id)));
+
+      const abandoned = await createPdfUpload(ana);
+      await context.sql.run('UPDATE upload_sessions SET expires_at = ? WHERE id = ?', [uploads.now() - 1, abandoned.id]);
+      await assert.rejects(uploads.getSession(abandoned.id, ana.id), { status: 410 });
+
+      assert.ok(await uploads.cleanupExpired() >= 1);
+      assert.ok(!await fs.pathExists(uploads.getPartPath(abandoned.id)));
+      assert.equal(await new UploadSessionRepository(context.sql).findById(abandoned.id), undefined);
+   });
+
+   it('lê o Upload-Metadata do tus', () => {
+      assert.deepEqual(UploadService.parseMetadata('filename Zm90by5wbmc=,filetype aW1hZ2UvcG5n,is_confidential'), {
+         filename: 'foto.png',
+         filetype: 'image/png',
+         is_confidential: ''
+      });
+      assert.deepEqual(UploadService.parseMetadata(undefined), {});
+   });
+});
@@ -0,0 +1,87 @@
+// Reenvio de mensagens com clientMessageId pelos handlers de produção (sockets/)
+const { it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeEachBackend, createUser, createRoom } = require('../support/databases');
+const { startChatServer, connectAs, settle, request } = require('../support/chatServer');
+
+describeEachBackend('envio de mensagens com clientMessageId', (context) => {
+   const clients = [];
+   let node;
+
+   before(async () => {
+      mock.method(console, 'log', () => {});
+      node = await startChatServer({ sql: context.sql, nodeId: 'no-a' });
+   });
+
+   after(async () => {
+      clients.forEach(client => client.disconnect());
+      await settle(50);
+      if (node) await node.close();
+      mock.restoreAll();
+   });
+
+   // Guarda todos os eventos recebidos pelo cliente
+   const collect = (client, event) => {
+      const received = [];
+      client.on(event, payload => received.push(payload));
+      return received;
+   };
+
+   it('reenvio devolve a mensagem original com duplicate: true e não entrega de novo', async () => {
+      const ana = await createUser(context.sql);
+      const bia = await createUser(context.sql);
+      const sender = await connectAs(node, ana, clients);
+      const recipient = await connectAs(node, bia, clients);
+      const delivered = collect(recipient, 'receive_private');
+      const confirmed = collect(sender, 'message_sent');
+
+      const payload = { to: bia.username, message: 'oi', clientMessageId: 'envio-1' };
+      const first = await request(sender, 'send_private', payload);
+      const resent = await request(sender, 'send_private', payload);
+      await settle(50);
+
+      assert.equal(first.success, true);
+      assert.equal(first.data.duplicate, false);
+      assert.equal(first.data.clientMessageId, 'envio-1');
+      assert.equal(resent.success, true);
+      assert.equal(resent.data.duplicate, true);
+      assert.equal(resent.data.id, first.data.id);
+      assert.equal(resent.data.createdAt, first.data.createdAt);
+
+      assert.deepEqual(delivered.map(message => message.id), [first.data.id]);
+      assert.deepEqual(confirmed.map(message => message.id), [first.data.id]);
+
+      const rows = await context.sql.all('SELECT id FROM messages WHERE user_id = ?', [ana.id]);
+      assert.equal(rows.length, 1);
+   });
+
+   it('envios simultâneos com o mesmo clientMessageId gravam uma única mensagem', async () => {
+      const caio = await createUser(context.sql);
+      const group = await createRoom(context.sql, { name: 'Equipe', members: [caio.id] });
+      const sender = await connectAs(node, caio, clients);
+      const delivered = collect(sender, 'receive_group');
+
+      const payload = { roomId: group.id, message: 'uma vez', clientMessageId: 'envio-2' };
+      const acks = await Promise.all([request(sender, 'send_group', payload), request(sender, 'send_group', payload)]);
+      await settle(50);
+
+      assert.ok(acks.every(ack => ack.success && ack.data.id === acks[0].data.id));
+      assert.deepEqual(acks.map(ack => ack.data.duplicate).sort(), [false, true]);
+      assert.equal(delivered.length, 1);
+   });
+
+   it('o mesmo clientMessageId em outra conversa é recusado com 409', async () => {
+      const dani = await createUser(context.sql);
+      const first = await createRoom(context.sql, { name: 'Primeira', members: [dani.id] });
+      const second = await createRoom(context.sql, { name: 'Segunda', members: [dani.id] });
+      const sender = await connectAs(node, dani, clients);
+      const delivered = collect(sender, 'receive_group');
+
+      await request(sender, 'send_group', { roomId: first.id, message: 'oi', clientMessageId: 'envio-3' });
+      const reused = await request(sender, 'send_group', { roomId: second.id, message: 'oi', clientMessageId: 'envio-3' });
+      await settle(50);
+
+      assert.deepEqual(reused, { success: false, error: 'clientMessageId já usado em outra conversa' });
+      assert.deepEqual(delivered.map(message => message.roomId), [first.id]);
+   });
+});
@@ -0,0 +1,129 @@
+// Servidor Socket.IO com os mesmos handlers do index.js (sockets/), montado sobre o
+// banco de teste. Vários servidores no mesmo processo, ligados pelo mesmo MemoryBus e
+// pela mesma presença em memória, fazem o papel de nós atrás de um load balancer.
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { createRealtime } = require('../../realtime');
+const { createStorage } = require('../../storage');
+const { createRateLimit } = require('../../ratelimit');
+const { ChatNotifier, registerSocketHandlers } = require('../../sockets');
+const { authenticateSocket } = require('../../middleware/auth');
+const UserRepository = require('../../repositories/UserRepository');
+const RoomRepository = require('../../repositories/RoomRepository');
+const MessageRepository = require('../../repositories/MessageRepository');
+const HistoryRepository = require('../../repositories/HistoryRepository');
+const ConversationRepository = require('../../repositories/ConversationRepository');
+const DeliveryRepository = require('../../repositories/DeliveryRepository');
+const AttachmentRepository = require('../../repositories/AttachmentRepository');
+const SessionRepository = require('../../repositories/SessionRepository');
+const ProfileRepository = require('../../repositories/ProfileRepository');
+const ContactRepository = require('../../repositories/ContactRepository');
+const PrivacyRepository = require('../../repositories/PrivacyRepository');
+const ReactionRepository = require('../../repositories/ReactionRepository');
+const SearchRepository = require('../../repositories/SearchRepository');
+const SessionService = require('../../services/SessionService');
+const MessageService = require('../../services/MessageService');
+const ThreadService = require('../../services/ThreadService');
+const ReactionService = require('../../services/ReactionService');
+const SearchService = require('../../services/SearchService');
+const GroupService = require('../../services/GroupService');
+const AttachmentService = require('../../services/AttachmentService');
+const MediaService = require('../../services/MediaService');
+const ProfileService = require('../../services/ProfileService');
+const PrivacyService = require('../../services/PrivacyService');
+
+const SECRET = 'segredo-de-teste';
+
+// Mesma montagem de repositories e services do initializeDatabase do index.js
+async function startChatServer({ sql, nodeId, bus, presenceState }) {
+   const server = http.createServer();
+   const io = new Server(server);
+   const realtime = await createRealtime({ type: 'memory', nodeId, bus, presenceState });
+   if (realtime.adapter) io.adapter(realtime.adapter);
+   const rateLimits = await createRateLimit({ driver: 'memory' });
+
+   const userRepository = new UserRepository(sql);
+   const roomRepository = new RoomRepository(sql);
+   const messageRepository = new MessageRepository(sql);
+   const historyRepository = new HistoryRepository(sql);
+   const fileStorage = createStorage({ driver: 'memory' });
+
+   const sessionService = new SessionService(new SessionRepository(sql), userRepository, {
+      secret: SECRET,
+      onRevoke: (sessionId) => io.in(SessionService.sessionRoom(sessionId)).disconnectSockets(true)
+   });
+   const privacyService = new PrivacyService(new ContactRepository(sql), new PrivacyRepository(sql), userRepository);
+   const threadService = new ThreadService(historyRepository, roomRepository);
+   const deps = {
+      userRepository,
+      roomRepository,
+      messageRepository,
+      historyRepository,
+      conversationRepository: new ConversationRepository(sql),
+      deliveryRepository: new DeliveryRepository(sql),
+      privacyService,
+      profileService: new ProfileService(new ProfileRepository(sql), new MediaService({ uploadDir: null }), fileStorage),
+      messageService: new MessageService(historyRepository, roomRepository),
+      threadService,
+      reactionService: new ReactionService(new ReactionRepository(sql), historyRepository, roomRepository),
+      searchService: new SearchService(new SearchRepository(sql)),
+      groupService: new GroupService(userRepository, roomRepository, messageRepository, privacyService),
+      attachmentService: new AttachmentService(new AttachmentRepository(sql), roomRepository, { storage: fileStorage, secret: SECRET }),
+      presence: realtime.presence,
+      limiter: rateLimits.limiter
+   };
+   deps.notifier = new ChatNotifier(io, deps);
+
+   io.use(authenticateSocket(sessionService));
+   registerSocketHandlers(io, deps);
+
+   await new Promise(resolve => server.listen(0, resolve));
+
+   return {
+      io,
+      realtime,
+      sessionService,
+      url: `http://localhost:${server.address().port}`,
+      async close() {
+         await new Promise(resolve => io.close(resolve));
+         await realtime.close();
+         await rateLimits.close();
+         await fileStorage.close();
+      }
+   };
+}
+
+// Cliente autenticado com uma sessão nova do usuário; resolve quando o socket já está na presença
+async function connectAs(node, user, clients) {
+   const { accessToken, sessionId } = await node.sessionService.createSession(user);
+   const client = connectClient(node.url, { auth: { token: accessToken }, transports: ['websocket'], forceNew: true });
+   client.sessionId = sessionId;
+   clients.push(client);
+
+   await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('connect_error', reject);
+   });
+   // A presença guarda "nodeId:socketId"
+   while (!(await node.realtime.presence.getSockets(user.id)).includes(`${node.realtime.nodeId}:${client.id}`)) {
+      await settle();
+   }
+   return client;
+}
+
+// Espera o bus entregar as mensagens entre os nós
+const settle = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+// Emite e espera a resposta do ack
+const request = (client, event, payload) => new Promise(resolve => client.emit(event, payload, resolve));
+
+module.exports = {
+   startChatServer,
+   connectAs,
+   nextEvent,
+   settle,
+   request
+};
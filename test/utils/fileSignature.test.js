@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { detectMimetype } = require('../../utils/fileSignature');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Primeiros bytes reais de cada formato (o resto do arquivo não importa para a detecção)
+const SAMPLES = {
+   jpeg: Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46]),
+   png: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]),
+   gif: Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'),
+   webp: Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WEBPVP8 ')]),
+   pdf: Buffer.from('%PDF-1.7\n'),
+   zip: Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00, 0x06, 0x00]),
+   ole: Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0x00]),
+   exe: Buffer.from([0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00]),
+   html: Buffer.from('<html><script>alert(1)</script></html>')
+};
+
+describe('utils/fileSignature', () => {
+   let dir;
+   let sequence = 0;
+
+   before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-signature-'));
+   });
+
+   after(async () => {
+      await fs.remove(dir);
+   });
+
+   const write = async (content) => {
+      const filePath = path.join(dir, `arquivo-${++sequence}`);
+      await fs.writeFile(filePath, content);
+      return filePath;
+   };
+
+   it('identifica o tipo real pelos magic bytes, qualquer que seja o tipo declarado', async () => {
+      assert.equal(await detectMimetype(await write(SAMPLES.jpeg), 'image/png'), 'image/jpeg');
+      assert.equal(await detectMimetype(await write(SAMPLES.png), 'image/png'), 'image/png');
+      assert.equal(await detectMimetype(await write(SAMPLES.gif), 'image/jpeg'), 'image/gif');
+      assert.equal(await detectMimetype(await write(SAMPLES.webp), 'image/webp'), 'image/webp');
+      assert.equal(await detectMimetype(await write(SAMPLES.pdf), 'image/jpeg'), 'application/pdf');
+   });
+
+   it('recusa conteúdo que não corresponde a nenhum tipo aceito', async () => {
+      // Executável e HTML renomeados como imagem ou PDF
+      assert.equal(await detectMimetype(await write(SAMPLES.exe), 'image/jpeg'), null);
+      assert.equal(await detectMimetype(await write(SAMPLES.html), 'image/png'), null);
+      assert.equal(await detectMimetype(await write(SAMPLES.html), 'application/pdf'), null);
+      assert.equal(await detectMimetype(await write(Buffer.alloc(0)), 'image/png'), null);
+
+      // RIFF sem "WEBP" na posição 8 (ex.: um WAV) não é WebP
+      const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WAVEfmt ')]);
+      assert.equal(await detectMimetype(await write(wav), 'image/webp'), null);
+   });
+
+   it('contêineres ZIP e OLE valem só para os documentos Office declarados', async () => {
+      assert.equal(await detectMimetype(await write(SAMPLES.zip), DOCX), DOCX);
+      assert.equal(await detectMimetype(await write(SAMPLES.zip), 'application/pdf'), null);
+      assert.equal(await detectMimetype(await write(SAMPLES.ole), 'application/msword'), 'application/msword');
+      assert.equal(await detectMimetype(await write(SAMPLES.ole), DOCX), null);
+   });
+
+   it('texto puro só é aceito quando declarado e sem conteúdo binário', async () => {
+      assert.equal(await detectMimetype(await write('olá, mundo\n'), 'text/plain'), 'text/plain');
+      assert.equal(await detectMimetype(await write('olá, mundo\n'), 'image/png'), null);
+      assert.equal(await detectMimetype(await write(Buffer.from([0x61, 0x00, 0x62])), 'text/plain'), null);
+      assert.equal(await detectMimetype(await write(Buffer.from([0x61, 0xC3, 0x28])), 'text/plain'), null);
+
+      // Caractere multibyte cortado no limite da leitura não invalida o arquivo
+      const cut = Buffer.concat([Buffer.alloc(4099, 'a'), Buffer.from('é')]);
+      assert.equal(await detectMimetype(await write(cut), 'text/plain'), 'text/plain');
+   });
+});
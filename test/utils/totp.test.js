@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, verifyCode, currentStep, base32Encode, base32Decode, generateSecret } = require('../../utils/totp');
+
+// Vetores do apêndice B da RFC 6238 para SHA-1 (segredo ASCII "12345678901234567890").
+// A RFC lista códigos de 8 dígitos; com 6 dígitos valem os últimos seis.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+   [59, '94287082'],
+   [1111111109, '07081804'],
+   [1111111111, '14050471'],
+   [1234567890, '89005924'],
+   [2000000000, '69279037'],
+   [20000000000, '65353130']
+];
+
+describe('utils/totp', () => {
+   it('codifica e decodifica base32 como a RFC 4648', () => {
+      assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+      assert.throws(() => base32Decode('GEZD1'), /Segredo TOTP inválido/);
+      assert.equal(base32Decode(generateSecret()).length, 20);
+   });
+
+   it('gera os códigos dos vetores da RFC 6238', () => {
+      for (const [seconds, expected] of RFC_VECTORS) {
+         const step = currentStep(seconds * 1000);
+         assert.equal(generateCode(RFC_SECRET, step), expected.slice(-6), `T = ${seconds}`);
+      }
+   });
+
+   it('usa passos de 30 segundos', () => {
+      assert.equal(currentStep(0), 0);
+      assert.equal(currentStep(29999), 0);
+      assert.equal(currentStep(30000), 1);
+      assert.equal(currentStep(59 * 1000), 1);
+   });
+
+   it('aceita o passo atual e os vizinhos dentro da janela', () => {
+      const now = 1111111111 * 1000;
+      const step = currentStep(now);
+
+      assert.equal(verifyCode(RFC_SECRET, '050471', { now }), step);
+      assert.equal(verifyCode(RFC_SECRET, ' 050 471 ', { now }), step);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now }), null);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now, window: 0 }), null);
+      assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now, window: 2 }), step + 2);
+   });
+
+   it('recusa códigos fora do formato', () => {
+      const now = 59 * 1000;
+      assert.equal(verifyCode(RFC_SECRET, '', { now }), null);
+      assert.equal(verifyCode(RFC_SECRET, '28708', { now }), null);
+      assert.equal(verifyCode(RFC_SECRET, '2870822', { now }), null);
+      assert.equal(verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+   });
+});
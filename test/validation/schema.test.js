@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, ValidationError, string, integer, boolean, array, object, record, optional, nullable, routes, socketEvents } = require('../../validation');
+
+// Detalhes do ValidationError lançado por validate()
+const detailsOf = (schema, value) => {
+   try {
+      validate(schema, value);
+   } catch (error) {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.status, 400);
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      return error.details;
+   }
+   assert.fail('era esperado um ValidationError');
+};
+
+describe('validation/schema', () => {
+   it('normaliza os valores aceitos', () => {
+      const schema = object({
+         id: integer(),
+         name: string({ trim: true, min: 1 }),
+         flag: boolean(),
+         tags: array(string(), { unique: true })
+      });
+
+      assert.deepEqual(validate(schema, { id: '12', name: '  ana ', flag: 'false', tags: ['a', 'b', 'a'] }), {
+         id: 12,
+         name: 'ana',
+         flag: false,
+         tags: ['a', 'b']
+      });
+   });
+
+   it('recusa campos fora do schema, a não ser com unknown: strip', () => {
+      assert.deepEqual(detailsOf(object({ name: string() }), { name: 'ana', admin: true }), [
+         { field: 'admin', code: 'UNKNOWN_FIELD', message: '"admin" não é um campo aceito' }
+      ]);
+      assert.deepEqual(validate(object({ name: string() }, { unknown: 'strip' }), { name: 'ana', admin: true }), { name: 'ana' });
+   });
+
+   it('reúne os erros de todos os campos, com o caminho de cada um', () => {
+      const schema = object({ id: integer(), items: array(integer()), nested: object({ name: string({ max: 3 }) }) });
+      const details = detailsOf(schema, { id: 'abc', items: [1, 0], nested: { name: 'longo' } });
+
+      assert.deepEqual(details.map(detail => [detail.field, detail.code]), [
+         ['id', 'INVALID_TYPE'],
+         ['items[1]', 'TOO_SMALL'],
+         ['nested.name', 'TOO_LONG']
+      ]);
+   });
+
+   it('optional devolve o padrão quando o campo falta', () => {
+      const schema = object({ message: optional(string(), ''), page: optional(integer(), 1), note: optional(string()) });
+
+      assert.deepEqual(validate(schema, {}), { message: '', page: 1 });
+      // Texto vazio é um valor; nos demais tipos, vazio conta como ausente
+      assert.deepEqual(validate(schema, { message: '', page: '' }), { message: '', page: 1 });
+      assert.deepEqual(detailsOf(object({ name: string() }), {}).map(detail => detail.code), ['REQUIRED']);
+   });
+
+   it('nullable aceita null para limpar o campo', () => {
+      const schema = object({ bio: nullable(optional(string({ max: 5 }))) });
+      assert.deepEqual(validate(schema, { bio: null }), { bio: null });
+      assert.deepEqual(validate(schema, {}), {});
+   });
+
+   it('record valida as chaves e os valores do mapa', () => {
+      const schema = record(integer());
+      assert.deepEqual(validate(schema, { 1: '5' }), { 1: 5 });
+      assert.deepEqual(detailsOf(schema, { abc: 1 }).map(detail => [detail.field, detail.code]), [['abc', 'INVALID_FORMAT']]);
+   });
+
+   it('refine só roda quando os campos já são válidos', () => {
+      const schema = object({ a: optional(integer()), b: optional(integer()) }, {
+         refine: (value) => value.a || value.b ? null : { field: 'a', code: 'REQUIRED', message: 'é obrigatório (ou "b")' }
+      });
+
+      assert.deepEqual(detailsOf(schema, {}), [{ field: 'a', code: 'REQUIRED', message: '"a" é obrigatório (ou "b")' }]);
+      assert.deepEqual(detailsOf(schema, { a: 'x' }).map(detail => detail.code), ['INVALID_TYPE']);
+      assert.deepEqual(validate(schema, { b: 2 }), { b: 2 });
+   });
+});
+
+describe('validation/schemas', () => {
+   it('mensagem nova precisa de texto ou anexo', () => {
+      assert.deepEqual(validate(socketEvents.send_group, { roomId: '3', fileData: { id: 7, url: '/x' } }), {
+         roomId: 3,
+         message: '',
+         fileData: { id: 7 }
+      });
+      assert.deepEqual(validate(socketEvents.send_private, { to: 'bia', message: 'oi' }), { to: 'bia', message: 'oi' });
+
+      for (const payload of [{ to: 'bia' }, { to: 'bia', message: '   ' }]) {
+         assert.deepEqual(detailsOf(socketEvents.send_private, payload), [
+            { field: 'message', code: 'REQUIRED', message: '"message" não pode ficar vazio sem um anexo' }
+         ]);
+      }
+      assert.deepEqual(detailsOf(socketEvents.send_private, { to: 'bia', message: 'oi', clientMessageId: 'a b' })
+         .map(detail => detail.field), ['clientMessageId']);
+   });
+
+   it('login aceita username ou email, mas precisa de um deles', () => {
+      assert.deepEqual(validate(routes.login.body, { email: ' ana@example.com ', password: 'x' }), { email: 'ana@example.com', password: 'x' });
+      assert.deepEqual(detailsOf(routes.login.body, { password: 'x' }), [
+         { field: 'username', code: 'REQUIRED', message: '"username" é obrigatório (ou "email")' }
+      ]);
+      assert.deepEqual(detailsOf(routes.login.body, { username: 'ana', password: 'x', remember: true }).map(detail => detail.code), ['UNKNOWN_FIELD']);
+   });
+
+   it('sync sem payload vira { rooms: {} }', () => {
+      assert.deepEqual(validate(socketEvents.sync, undefined), { rooms: {} });
+      assert.deepEqual(validate(socketEvents.sync, {}), { rooms: {} });
+      assert.deepEqual(validate(socketEvents.sync, { rooms: { 4: '10', 5: null } }), { rooms: { 4: 10, 5: null } });
+      assert.deepEqual(detailsOf(socketEvents.sync, { rooms: { 4: 0 } }).map(detail => detail.field), ['rooms.4']);
+   });
+
+   it('eventos com id simples aceitam o número direto', () => {
+      assert.equal(validate(socketEvents.join_room, '8'), 8);
+      assert.deepEqual(detailsOf(socketEvents.join_room, undefined).map(detail => detail.code), ['REQUIRED']);
+   });
+});
@@ -0,0 +1,10 @@
+// Erro de regra de negócio com o status HTTP correspondente
+class ServiceError extends Error {
+   constructor(message, status = 400) {
+      super(message);
+      this.name = 'ServiceError';
+      this.status = status;
+   }
+}
+
+module.exports = ServiceError;
@@ -0,0 +1,74 @@
+// Identifica o tipo real de um arquivo pelos primeiros bytes ("magic bytes"),
+// sem confiar no mimetype informado pelo cliente.
+const fs = require('fs-extra');
+
+const SIGNATURES = [
+   { mimetype: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+   { mimetype: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+   { mimetype: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+   { mimetype: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], also: { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] } },
+   { mimetype: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+   // Office antigo (doc/xls) usa o contêiner OLE; o novo (docx/xlsx) é um ZIP
+   { family: 'ole', offset: 0, bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+   { family: 'zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+// Tipos declarados que cada família de contêiner pode conter
+const FAMILIES = {
+   ole: ['application/msword', 'application/vnd.ms-excel'],
+   zip: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+   ]
+};
+
+const matches = (buffer, { offset, bytes }) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const HEAD_SIZE = 4100;
+
+// Texto puro não tem assinatura: aceitamos se não houver bytes nulos e for UTF-8 válido
+const looksLikeText = (buffer) => {
+   if (buffer.includes(0x00)) return false;
+
+   const decoder = new TextDecoder('utf-8', { fatal: true });
+   // Se o trecho lido foi cortado, o último caractere multibyte pode estar incompleto
+   const maxTrim = buffer.length === HEAD_SIZE ? 3 : 0;
+   for (let trim = 0; trim <= maxTrim; trim++) {
+      try {
+         decoder.decode(buffer.subarray(0, buffer.length - trim));
+         return true;
+      } catch (error) {
+         // tenta novamente sem o último byte
+      }
+   }
+   return false;
+};
+
+// Retorna o mimetype real do arquivo, resolvendo ambiguidades com o mimetype declarado,
+// ou null se o conteúdo não corresponder a nenhum tipo conhecido.
+async function detectMimetype(filePath, declaredMimetype) {
+   const handle = await fs.open(filePath, 'r');
+   const buffer = Buffer.alloc(HEAD_SIZE);
+   let bytesRead;
+   try {
+      ({ bytesRead } = await fs.read(handle, buffer, 0, buffer.length, 0));
+   } finally {
+      await fs.close(handle);
+   }
+   const head = buffer.subarray(0, bytesRead);
+
+   for (const signature of SIGNATURES) {
+      if (!matches(head, signature) || (signature.also && !matches(head, signature.also))) continue;
+
+      if (signature.family) {
+         return FAMILIES[signature.family].includes(declaredMimetype) ? declaredMimetype : null;
+      }
+      return signature.mimetype;
+   }
+
+   return declaredMimetype === 'text/plain' && looksLikeText(head) ? 'text/plain' : null;
+}
+
+module.exports = {
+   detectMimetype
+};
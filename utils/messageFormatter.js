@@ -0,0 +1,137 @@
+// Formatação das mensagens enviadas ao cliente.
+// Todos os eventos e rotas usam o mesmo DTO (toMessageDto), versionado em MESSAGE_DTO_VERSION:
+// mudanças incompatíveis no formato sobem a versão.
+const MESSAGE_DTO_VERSION = 1;
+
+// Converte o created_at do banco (UTC, "YYYY-MM-DD HH:MM:SS") em Date
+const parseDbDate = (value) => {
+   if (!value) return new Date();
+   if (value instanceof Date) return value;
+   const normalized = String(value).includes('T') ? String(value) : String(value).replace(' ', 'T') + 'Z';
+   const date = new Date(normalized);
+   return isNaN(date.getTime()) ? new Date() : date;
+};
+
+const parseFileData = (fileData) => {
+   if (!fileData) return null;
+   if (typeof fileData !== 'string') return fileData;
+   try {
+      return JSON.parse(fileData);
+   } catch (error) {
+      return null;
+   }
+};
+
+const toIsoDate = (value) => (value ? parseDbDate(value).toISOString() : null);
+
+// Date -> "YYYY-MM-DD HH:MM:SS" em UTC, o mesmo formato do CURRENT_TIMESTAMP
+const toDbDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Chaves no storage dos avatares enviados por upload
+const AVATAR_PREFIX = 'avatar-';
+
+const isStoredAvatar = (avatar) => typeof avatar === 'string' && avatar.startsWith(AVATAR_PREFIX);
+
+// Avatar guardado no storage é servido por /api/users/:id/avatar; a versão na URL muda a cada troca
+const toAvatarUrl = (userId, avatar) => isStoredAvatar(avatar)
+   ? `/api/users/${userId}/avatar?v=${encodeURIComponent(avatar)}`
+   : avatar || null;
+
+// Campos de estado comuns aos dois formatos
+const editState = (row) => ({
+   editedAt: toIsoDate(row.edited_at),
+   deleted: !!row.deleted_at,
+   system: row.message_type === 'system'
+});
+
+// Trecho da mensagem citada exibido acima da resposta
+const QUOTE_PREVIEW_LENGTH = 200;
+
+const toQuote = ({ id, username, content, deletedAt }) => ({
+   id,
+   from: username || null,
+   message: deletedAt || content === null || content === undefined ? null : String(content).slice(0, QUOTE_PREVIEW_LENGTH),
+   deleted: !!deletedAt
+});
+
+// Resposta (reply_to com a citação) e thread; reply_count só vem preenchido no histórico
+const threadState = (row) => ({
+   replyTo: row.reply_to ? toQuote({
+      id: row.reply_to,
+      username: row.reply_username,
+      content: row.reply_content,
+      deletedAt: row.reply_deleted_at
+   }) : null,
+   threadId: row.thread_id || null,
+   replyCount: Number(row.reply_count) || 0
+});
+
+// Reações agregadas por emoji ({ emoji, count, users }), preenchidas por ReactionService.attachReactions
+const reactionState = (row) => ({
+   reactions: row.reactions || []
+});
+
+// Mensagem como enviada ao cliente em tempo real, no histórico, nas threads e na busca.
+// - type: "private" ou "group" (row.room_type quando a consulta traz o tipo da sala)
+// - to: nas conversas privadas, o outro participante
+// - createdAt: data de envio gravada no banco, em ISO 8601 UTC (timestamp repete o valor)
+// - clientMessageId: id gerado pelo cliente no envio, para casar com a mensagem exibida antes da confirmação
+const toMessageDto = (row, { type = row.room_type, to } = {}) => {
+   const createdAt = toIsoDate(row.created_at);
+   const dto = {
+      version: MESSAGE_DTO_VERSION,
+      id: row.id,
+      clientMessageId: row.client_message_id || null,
+      roomId: row.room_id,
+      type,
+      sender: {
+         id: row.user_id,
+         username: row.username,
+         avatarUrl: toAvatarUrl(row.user_id, row.avatar)
+      },
+      from: row.username,
+      message: row.content,
+      messageType: row.message_type || 'text',
+      fileData: parseFileData(row.file_data),
+      createdAt,
+      timestamp: createdAt,
+      ...editState(row),
+      ...threadState(row),
+      ...reactionState(row)
+   };
+   if (type === 'private') {
+      dto.to = to || null;
+   }
+   return dto;
+};
+
+// Eventos "message_edited" e "message_deleted": só o que mudou na mensagem
+const toEditedPayload = (message) => ({
+   id: message.id,
+   roomId: message.room_id,
+   type: message.room_type,
+   message: message.content,
+   editedAt: toIsoDate(message.edited_at)
+});
+
+const toDeletedPayload = (message) => ({
+   id: message.id,
+   roomId: message.room_id,
+   type: message.room_type,
+   deletedAt: toIsoDate(message.deleted_at)
+});
+
+module.exports = {
+   MESSAGE_DTO_VERSION,
+   AVATAR_PREFIX,
+   toIsoDate,
+   toDbDate,
+   parseDbDate,
+   parseFileData,
+   isStoredAvatar,
+   toAvatarUrl,
+   toQuote,
+   toMessageDto,
+   toEditedPayload,
+   toDeletedPayload
+};
@@ -0,0 +1,84 @@
+// Termos da busca textual e trechos com os termos destacados.
+// A comparação ignora maiúsculas e acentos, como os índices de busca do banco.
+
+const MAX_TERMS = 10;
+const MAX_TERM_LENGTH = 50;
+
+// Só letras e números: os termos vão direto para a sintaxe de busca de cada banco
+const parseSearchTerms = (query) => {
+   if (typeof query !== 'string') return [];
+   const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+   return [...new Set(words.map(word => word.slice(0, MAX_TERM_LENGTH)))].slice(0, MAX_TERMS);
+};
+
+const foldChar = (char) => char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Texto sem acentos e, para cada posição dele, a posição correspondente no original
+const foldText = (text) => {
+   let folded = '';
+   const positions = [];
+   let index = 0;
+
+   for (const char of text) {
+      const foldedChar = foldChar(char);
+      for (let i = 0; i < foldedChar.length; i++) positions.push(index);
+      folded += foldedChar;
+      index += char.length;
+   }
+   positions.push(index);
+   return { folded, positions };
+};
+
+const isWordChar = (char) => /[\p{L}\p{N}]/u.test(char);
+
+// Ocorrências dos termos no início de palavras (a busca é por prefixo), em ordem e sem sobreposição
+const findMatches = (text, terms) => {
+   const { folded, positions } = foldText(text);
+   const matches = [];
+
+   for (const term of terms.map(foldChar)) {
+      let from = 0;
+      let found;
+      while (term && (found = folded.indexOf(term, from)) !== -1) {
+         if (found === 0 || !isWordChar(folded[found - 1])) {
+            matches.push({ start: positions[found], end: positions[found + term.length] });
+         }
+         from = found + term.length;
+      }
+   }
+
+   matches.sort((a, b) => a.start - b.start);
+   return matches.filter((match, i) => i === 0 || match.start >= matches[i - 1].end);
+};
+
+// Trecho de até maxLength caracteres em torno da primeira ocorrência.
+// highlights: posições ({ start, length }) dos termos dentro de text.
+const buildSnippet = (content, terms, { maxLength = 160, context = 40 } = {}) => {
+   const text = String(content || '').replace(/\s+/g, ' ').trim();
+   const matches = findMatches(text, terms);
+
+   let start = 0;
+   if (text.length > maxLength && matches.length > 0) {
+      start = Math.max(0, Math.min(matches[0].start - context, text.length - maxLength));
+      // Começa no início de uma palavra
+      const space = text.lastIndexOf(' ', start);
+      if (space !== -1 && start - space < 15) start = space + 1;
+   }
+   const end = Math.min(text.length, start + maxLength);
+
+   const prefix = start > 0 ? '…' : '';
+   const suffix = end < text.length ? '…' : '';
+
+   return {
+      text: prefix + text.slice(start, end) + suffix,
+      highlights: matches
+         .filter(match => match.start >= start && match.end <= end)
+         .map(match => ({ start: match.start - start + prefix.length, length: match.end - match.start }))
+   };
+};
+
+module.exports = {
+   MAX_TERMS,
+   parseSearchTerms,
+   buildSnippet
+};
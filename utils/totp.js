@@ -0,0 +1,93 @@
+// TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30s: o padrão dos apps
+// autenticadores (Google Authenticator, Authy, 1Password...).
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // segundos
+
+const base32Encode = (buffer) => {
+   let bits = 0;
+   let value = 0;
+   let output = '';
+
+   for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+         output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+         bits -= 5;
+      }
+   }
+   if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+   }
+   return output;
+};
+
+const base32Decode = (input) => {
+   const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+   let bits = 0;
+   let value = 0;
+   const bytes = [];
+
+   for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+         throw new Error('Segredo TOTP inválido');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+         bytes.push((value >>> (bits - 8)) & 255);
+         bits -= 8;
+      }
+   }
+   return Buffer.from(bytes);
+};
+
+// 160 bits, o tamanho recomendado para HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+const generateCode = (secret, step) => {
+   const counter = Buffer.alloc(8);
+   counter.writeBigUInt64BE(BigInt(step));
+
+   const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+   const offset = hmac[hmac.length - 1] & 15;
+   const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+   return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Retorna o passo em que o código bate (aceitando ±window passos de diferença de relógio) ou null
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+   const normalized = String(code || '').replace(/\s/g, '');
+   if (!/^\d{6}$/.test(normalized)) return null;
+
+   const step = currentStep(now);
+   for (let delta = -window; delta <= window; delta++) {
+      const expected = Buffer.from(generateCode(secret, step + delta));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+         return step + delta;
+      }
+   }
+   return null;
+};
+
+// URI lida pelo QR code dos apps autenticadores
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+   const label = encodeURIComponent(`${issuer}:${accountName}`);
+   return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+};
+
+module.exports = {
+   generateSecret,
+   generateCode,
+   verifyCode,
+   currentStep,
+   buildOtpauthUri,
+   base32Encode,
+   base32Decode
+};
@@ -0,0 +1,12 @@
+// Validação declarativa das entradas: regras em ./schema, limites em ./limits
+// e os schemas de cada rota e evento do socket em ./schemas.
+const schema = require('./schema');
+const limits = require('./limits');
+const { routes, socketEvents } = require('./schemas');
+
+module.exports = {
+   ...schema,
+   limits,
+   routes,
+   socketEvents
+};
@@ -0,0 +1,15 @@
+// Limites de tamanho dos dados enviados pelos clientes.
+// Os de mensagens e grupos podem ser trocados no .env.
+const envLimit = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+module.exports = {
+   MESSAGE_MAX_LENGTH: envLimit('MESSAGE_MAX_LENGTH', 5000),
+   GROUP_NAME_MAX_LENGTH: envLimit('GROUP_NAME_MAX_LENGTH', 100),
+   GROUP_MAX_MEMBERS: envLimit('GROUP_MAX_MEMBERS', 100),
+   USERNAME_MAX_LENGTH: 50,
+   EMAIL_MAX_LENGTH: 254,
+   PASSWORD_MAX_LENGTH: 128,
+   DEVICE_NAME_MAX_LENGTH: 100,
+   TOKEN_MAX_LENGTH: 2048,
+   SEARCH_QUERY_MAX_LENGTH: 200
+};
@@ -0,0 +1,174 @@
+// Schemas declarativos para validar o corpo das rotas e os payloads do socket.
+// Cada regra confere o tipo, o tamanho e o formato do valor e devolve o valor
+// normalizado (ex.: "12" vira 12 nos ids vindos da URL). Os erros de todos os
+// campos são reunidos em um único ValidationError.
+const ServiceError = require('../utils/ServiceError');
+
+class ValidationError extends ServiceError {
+   // details: [{ field, code, message }]
+   constructor(details) {
+      super(details[0].message, 400);
+      this.name = 'ValidationError';
+      this.code = 'VALIDATION_ERROR';
+      this.details = details;
+   }
+}
+
+const label = (path) => path || 'payload';
+
+const fail = (errors, path, code, message) => {
+   errors.push({ field: label(path), code, message: `"${label(path)}" ${message}` });
+   return undefined;
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Regra: { type, check(value, path, errors) } — check devolve o valor normalizado.
+// Campos são obrigatórios, a não ser que venham envolvidos em optional().
+const rule = (type, check) => ({
+   type,
+   check: (value, path, errors) => isMissing(value)
+      ? fail(errors, path, 'REQUIRED', 'é obrigatório')
+      : check(value, path, errors)
+});
+
+const string = ({ min = 0, max, trim = false, pattern, values, patternMessage = 'tem formato inválido' } = {}) =>
+   rule('string', (value, path, errors) => {
+      if (typeof value !== 'string') return fail(errors, path, 'INVALID_TYPE', 'deve ser um texto');
+
+      const text = trim ? value.trim() : value;
+      if (values && !values.includes(text)) {
+         return fail(errors, path, 'INVALID_VALUE', `deve ser ${values.join(', ')}`);
+      }
+      if (text.length < min) {
+         return fail(errors, path, min === 1 ? 'REQUIRED' : 'TOO_SHORT', min === 1 ? 'não pode ficar vazio' : `deve ter ao menos ${min} caracteres`);
+      }
+      if (max !== undefined && text.length > max) {
+         return fail(errors, path, 'TOO_LONG', `deve ter no máximo ${max} caracteres`);
+      }
+      if (pattern && !pattern.test(text)) {
+         return fail(errors, path, 'INVALID_FORMAT', patternMessage);
+      }
+      return text;
+   });
+
+// Aceita números e textos só com dígitos (parâmetros da URL e da query string)
+const integer = ({ min = 1, max } = {}) =>
+   rule('integer', (value, path, errors) => {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isSafeInteger(number)) return fail(errors, path, 'INVALID_TYPE', 'deve ser um número inteiro');
+      if (number < min) return fail(errors, path, 'TOO_SMALL', `deve ser no mínimo ${min}`);
+      if (max !== undefined && number > max) return fail(errors, path, 'TOO_LARGE', `deve ser no máximo ${max}`);
+      return number;
+   });
+
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false };
+
+const boolean = () =>
+   rule('boolean', (value, path, errors) => {
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string' && value in BOOLEAN_STRINGS) return BOOLEAN_STRINGS[value];
+      return fail(errors, path, 'INVALID_TYPE', 'deve ser true ou false');
+   });
+
+const array = (items, { min = 0, max, unique = false } = {}) =>
+   rule('array', (value, path, errors) => {
+      if (!Array.isArray(value)) return fail(errors, path, 'INVALID_TYPE', 'deve ser uma lista');
+      if (value.length < min) return fail(errors, path, 'TOO_FEW_ITEMS', `deve ter ao menos ${min} item(ns)`);
+      if (max !== undefined && value.length > max) {
+         return fail(errors, path, 'TOO_MANY_ITEMS', `deve ter no máximo ${max} itens`);
+      }
+
+      const result = value.map((item, index) => items.check(item, `${label(path)}[${index}]`, errors));
+      return unique ? [...new Set(result)] : result;
+   });
+
+// unknown: 'reject' (padrão) recusa campos fora do schema; 'strip' só os descarta.
+// refine(result): regra entre campos; devolve { field, code, message } quando falha.
+const object = (fields, { unknown = 'reject', refine } = {}) =>
+   rule('object', (value, path, errors) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+         return fail(errors, path, 'INVALID_TYPE', 'deve ser um objeto');
+      }
+
+      const errorCount = errors.length;
+      const result = {};
+      for (const key of Object.keys(value)) {
+         if (!Object.prototype.hasOwnProperty.call(fields, key) && unknown === 'reject') {
+            fail(errors, path ? `${path}.${key}` : key, 'UNKNOWN_FIELD', 'não é um campo aceito');
+         }
+      }
+      for (const [key, fieldRule] of Object.entries(fields)) {
+         const checked = fieldRule.check(value[key], path ? `${path}.${key}` : key, errors);
+         if (checked !== undefined) result[key] = checked;
+      }
+
+      const problem = refine && errors.length === errorCount && refine(result);
+      if (problem) {
+         return fail(errors, path ? `${path}.${problem.field}` : problem.field, problem.code, problem.message);
+      }
+      return result;
+   });
+
+// Objeto usado como mapa (ex.: { [roomId]: lastMessageId }): chaves no formato keyPattern
+const record = (values, { keyPattern = /^\d+$/, max } = {}) =>
+   rule('object', (value, path, errors) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+         return fail(errors, path, 'INVALID_TYPE', 'deve ser um objeto');
+      }
+
+      const keys = Object.keys(value);
+      if (max !== undefined && keys.length > max) {
+         return fail(errors, path, 'TOO_MANY_ITEMS', `deve ter no máximo ${max} itens`);
+      }
+
+      const result = {};
+      for (const key of keys) {
+         const keyPath = path ? `${path}.${key}` : key;
+         if (!keyPattern.test(key)) {
+            fail(errors, keyPath, 'INVALID_FORMAT', 'não é uma chave válida');
+            continue;
+         }
+         const checked = values.check(value[key], keyPath, errors);
+         if (checked !== undefined) result[key] = checked;
+      }
+      return result;
+   });
+
+// Campo opcional: ausente (ou vazio, fora dos textos) vale defaultValue
+const optional = (inner, defaultValue) => ({
+   type: inner.type,
+   check: (value, path, errors) => {
+      if (isMissing(value) || (value === '' && inner.type !== 'string')) return defaultValue;
+      return inner.check(value, path, errors);
+   }
+});
+
+// null aceito como valor (ex.: limpar a bio); use por fora de optional()
+const nullable = (inner) => ({
+   type: inner.type,
+   check: (value, path, errors) => value === null ? null : inner.check(value, path, errors)
+});
+
+// Valida value com o schema; devolve o valor normalizado ou lança ValidationError
+const validate = (schema, value, path = '') => {
+   const errors = [];
+   const result = schema.check(value, path, errors);
+   if (errors.length > 0) {
+      throw new ValidationError(errors);
+   }
+   return result;
+};
+
+module.exports = {
+   ValidationError,
+   string,
+   integer,
+   boolean,
+   array,
+   object,
+   record,
+   optional,
+   nullable,
+   validate
+};
@@ -0,0 +1,222 @@
+// Schemas de cada rota (params, query e body) e de cada evento do socket.
+// Campos fora do schema são recusados, exceto em fileData, que repete o "file"
+// devolvido pelo upload e do qual só id e filename são usados.
+const { string, integer, boolean, array, object, record, optional, nullable } = require('./schema');
+const limits = require('./limits');
+const ProfileService = require('../services/ProfileService');
+const PrivacyService = require('../services/PrivacyService');
+const SearchService = require('../services/SearchService');
+const MediaService = require('../services/MediaService');
+
+// ===== Campos reutilizados =====
+const id = () => integer({ min: 1 });
+const username = () => string({ min: 1, max: limits.USERNAME_MAX_LENGTH, trim: true });
+const password = () => string({ min: 1, max: limits.PASSWORD_MAX_LENGTH });
+const email = () => string({
+   min: 3,
+   max: limits.EMAIL_MAX_LENGTH,
+   trim: true,
+   pattern: /^[^\s@]+@[^\s@]+$/,
+   patternMessage: 'deve ser um e-mail válido'
+});
+const token = () => string({ min: 1, max: limits.TOKEN_MAX_LENGTH });
+const deviceName = () => optional(string({ max: limits.DEVICE_NAME_MAX_LENGTH, trim: true }));
+const messageText = () => string({ max: limits.MESSAGE_MAX_LENGTH });
+const visibility = () => optional(string({ values: PrivacyService.VISIBILITIES }));
+const variant = () => optional(string({ values: Object.keys(MediaService.VARIANTS) }));
+
+// Gerado pelo cliente (ex.: um UUID) para que reenvios não dupliquem a mensagem
+const clientMessageId = () => optional(string({
+   min: 1,
+   max: 64,
+   pattern: /^[A-Za-z0-9_-]+$/,
+   patternMessage: 'deve ter só letras, números, "-" e "_"'
+}));
+
+const fileData = () => optional(object({
+   id: optional(id()),
+   filename: optional(string({ min: 1, max: 255 }))
+}, {
+   unknown: 'strip',
+   refine: (file) => file.id || file.filename
+      ? null
+      : { field: 'id', code: 'REQUIRED', message: 'é obrigatório (ou "filename")' }
+}));
+
+// Mensagem nova: texto, anexo ou os dois
+const requireContent = (payload) => (payload.message && payload.message.trim()) || payload.fileData
+   ? null
+   : { field: 'message', code: 'REQUIRED', message: 'não pode ficar vazio sem um anexo' };
+
+const historyQuery = () => object({
+   before: optional(id()),
+   after: optional(id()),
+   limit: optional(integer({ min: 1 }))
+});
+
+const searchOptions = () => object({
+   q: optional(string({ max: limits.SEARCH_QUERY_MAX_LENGTH })),
+   query: optional(string({ max: limits.SEARCH_QUERY_MAX_LENGTH })),
+   roomId: optional(id()),
+   sender: optional(username()),
+   since: optional(string({ max: 40 })),
+   until: optional(string({ max: 40 })),
+   hasAttachment: optional(boolean()),
+   sort: optional(string({ values: SearchService.SORTS })),
+   cursor: optional(string({ max: 200 })),
+   limit: optional(integer({ min: 1 }))
+});
+
+const roomParams = () => object({ roomId: id() });
+const idParams = () => object({ id: id() });
+const usernameParams = () => object({ username: username() });
+const roomMemberParams = () => object({ roomId: id(), username: username() });
+const empty = () => object({});
+
+// ===== Rotas =====
+const routes = {
+   register: {
+      body: object({
+         username: username(),
+         email: optional(email()),
+         password: password(),
+         deviceName: deviceName()
+      })
+   },
+   login: {
+      body: object({
+         username: optional(username()),
+         email: optional(email()),
+         password: password(),
+         deviceName: deviceName()
+      }, {
+         refine: (body) => body.username || body.email
+            ? null
+            : { field: 'username', code: 'REQUIRED', message: 'é obrigatório (ou "email")' }
+      })
+   },
+   loginTwoFactor: {
+      body: object({
+         challengeToken: token(),
+         code: optional(string({ max: 16 })),
+         recoveryCode: optional(string({ max: 64 })),
+         deviceName: deviceName()
+      })
+   },
+   refresh: {
+      body: object({ refreshToken: token(), deviceName: deviceName() })
+   },
+   noBody: { body: empty() },
+   // Rotas que não recebem nada além da autenticação (GETs de listagem, health, upload)
+   noQuery: { query: empty() },
+   twoFactorCode: { body: object({ code: string({ min: 1, max: 16 }) }) },
+   passwordConfirmation: { body: object({ password: password() }) },
+   tokenBody: { body: object({ token: token() }) },
+   forgotPassword: { body: object({ email: email() }) },
+   resetPassword: { body: object({ token: token(), password: password() }) },
+   sessionParams: { params: idParams() },
+
+   userParams: { params: idParams() },
+   updateProfile: {
+      params: idParams(),
+      body: object({
+         displayName: nullable(optional(string({ max: ProfileService.MAX_DISPLAY_NAME_LENGTH }))),
+         bio: nullable(optional(string({ max: ProfileService.MAX_BIO_LENGTH }))),
+         status: optional(string({ values: ProfileService.STATUSES }))
+      })
+   },
+   changePassword: {
+      params: idParams(),
+      body: object({ currentPassword: password(), newPassword: password() })
+   },
+
+   usernameBody: { body: object({ username: username() }) },
+   usernameParams: { params: usernameParams() },
+   updatePrivacy: {
+      body: object({ onlineVisibility: visibility(), lastSeenVisibility: visibility() })
+   },
+
+   attachment: { params: idParams(), query: object({ variant: variant() }) },
+   signedAttachment: {
+      params: idParams(),
+      query: object({
+         variant: variant(),
+         expires: integer({ min: 1 }),
+         signature: string({ min: 1, max: 128 })
+      })
+   },
+   uploadFilename: { params: object({ filename: string({ min: 1, max: 255 }) }) },
+   uploadSession: { params: object({ id: string({ min: 1, max: 64, pattern: /^[a-f0-9]+$/ }) }) },
+
+   privateHistory: { params: usernameParams(), query: historyQuery() },
+   groupHistory: { params: roomParams(), query: historyQuery() },
+   search: { query: searchOptions() },
+   messageParams: { params: idParams() },
+   editMessage: { params: idParams(), body: object({ message: messageText() }) },
+   thread: { params: idParams(), query: historyQuery() },
+
+   createGroup: {
+      body: object({
+         name: string({ min: 1, max: limits.GROUP_NAME_MAX_LENGTH, trim: true }),
+         members: optional(array(username(), { max: limits.GROUP_MAX_MEMBERS, unique: true }), [])
+      })
+   },
+   groupParams: { params: roomParams() },
+   renameGroup: {
+      params: roomParams(),
+      body: object({ name: string({ min: 1, max: limits.GROUP_NAME_MAX_LENGTH, trim: true }) })
+   },
+   addGroupMember: { params: roomParams(), body: object({ username: username() }) },
+   groupMemberParams: { params: roomMemberParams() }
+};
+
+// ===== Eventos do socket (payload do primeiro argumento) =====
+const groupTarget = () => object({ roomId: id(), username: username() });
+const typingTarget = () => object({ to: optional(username()), roomId: optional(id()) });
+const reaction = () => object({ messageId: id(), emoji: string({ min: 1, max: 32 }) });
+
+const socketEvents = {
+   send_private: object({
+      to: username(),
+      message: optional(messageText(), ''),
+      fileData: fileData(),
+      replyTo: optional(id()),
+      clientMessageId: clientMessageId()
+   }, { refine: requireContent }),
+   send_group: object({
+      roomId: id(),
+      message: optional(messageText(), ''),
+      fileData: fileData(),
+      replyTo: optional(id()),
+      clientMessageId: clientMessageId()
+   }, { refine: requireContent }),
+   confirm_delivery: object({ messageIds: array(id(), { max: 500, unique: true }) }),
+   sync: optional(object({ rooms: optional(record(optional(id(), null), { max: 1000 }), {}) }), { rooms: {} }),
+   edit_message: object({ messageId: id(), message: messageText() }),
+   delete_message: object({ messageId: id() }),
+   add_reaction: reaction(),
+   remove_reaction: reaction(),
+   create_group: object({
+      groupName: string({ min: 1, max: limits.GROUP_NAME_MAX_LENGTH, trim: true }),
+      members: array(username(), { max: limits.GROUP_MAX_MEMBERS, unique: true })
+   }),
+   add_member: groupTarget(),
+   remove_member: groupTarget(),
+   promote_member: groupTarget(),
+   demote_member: groupTarget(),
+   rename_group: object({ roomId: id(), name: string({ min: 1, max: limits.GROUP_NAME_MAX_LENGTH, trim: true }) }),
+   leave_group: object({ roomId: id() }),
+   delete_group: object({ roomId: id() }),
+   join_room: id(),
+   leave_room: id(),
+   mark_read: object({ roomId: id(), messageId: optional(id()) }),
+   typing: typingTarget(),
+   stop_typing: typingTarget(),
+   update_status: object({ status: string({ values: ProfileService.STATUSES }) }),
+   search_messages: searchOptions()
+};
+
+module.exports = {
+   routes,
+   socketEvents
+};